@@ -0,0 +1,59 @@
+/**
+ * Scopes an API key can be granted, and the routes each scope opens.
+ *
+ * API keys are default-deny: a request made with a key only reaches a route listed under one
+ * of its scopes. Everything else (account settings, admin console, API key management...)
+ * needs a normal login. Inside an allowed route the key still acts as its owner, so the
+ * owner's role capabilities and institution apply as usual.
+ */
+export const API_KEY_SCOPES = {
+  "sessions:read": {
+    description: "List and view tutoring sessions",
+    routes: [{ methods: ["GET"], path: "/api/tutoring-sessions" }],
+  },
+  "sessions:write": {
+    description: "Create, update and delete tutoring sessions and manage rosters",
+    routes: [{ methods: ["POST", "PUT", "PATCH", "DELETE"], path: "/api/tutoring-sessions" }],
+  },
+  "progress:read": {
+    description: "Read progress records",
+    routes: [{ methods: ["GET"], path: "/api/progress" }],
+  },
+  "progress:write": {
+    description: "Create and update progress records",
+    routes: [{ methods: ["POST"], path: "/api/progress" }],
+  },
+  "materials:read": {
+    description: "List and view study materials",
+    routes: [{ methods: ["GET"], path: "/api/materials" }],
+  },
+  "feedback:read": {
+    description: "Read feedback and tutor ratings",
+    routes: [{ methods: ["GET"], path: "/api/feedbacks" }],
+  },
+  "tutors:read": {
+    description: "Browse tutor profiles",
+    routes: [{ methods: ["GET"], path: "/api/tutors" }],
+  },
+  "profile:read": {
+    description: "Read the key owner's profile",
+    routes: [{ methods: ["GET"], path: "/api/users/me", exact: true }],
+  },
+};
+
+export const API_KEY_SCOPE_NAMES = Object.keys(API_KEY_SCOPES);
+
+const matchesPath = (rulePath, path, exact) =>
+  path === rulePath || (!exact && path.startsWith(`${rulePath}/`));
+
+/**
+ * True if one of the scopes opens this request, e.g. apiKeyAllows(["sessions:read"], "GET", "/api/tutoring-sessions/123")
+ */
+export const apiKeyAllows = (scopes, method, path) => {
+  const normalized = path.length > 1 ? path.replace(/\/+$/, "") : path;
+  return scopes.some((scope) =>
+    (API_KEY_SCOPES[scope]?.routes || []).some(
+      (rule) => rule.methods.includes(method) && matchesPath(rule.path, normalized, rule.exact),
+    ),
+  );
+};
@@ -0,0 +1,38 @@
+import Feedback from "../models/FeedbackModel.js";
+import Progress from "../models/ProgressModel.js";
+
+// Index changes that Mongoose autoIndex cannot apply to existing databases on its own.
+// Every step is idempotent and runs once per start-up, after connecting.
+
+/**
+ * Drop an index the schema no longer declares and build its replacement. Used where a unique
+ * index became partial: both cover the same keys, so the old one has to go first.
+ */
+const replaceLegacyIndex = async (Model, legacyName) => {
+  const indexes = await Model.collection.indexes().catch((err) => {
+    if (err.codeName === "NamespaceNotFound") return [];
+    throw err;
+  });
+  if (!indexes.some((index) => index.name === legacyName)) return;
+
+  await Model.collection.dropIndex(legacyName);
+  await Model.createIndexes();
+  console.log(`Dropped legacy index ${Model.collection.name}.${legacyName}`);
+};
+
+// Anonymized feedback (no student) and progress of erased tutors (no tutor) must be exempt from
+// uniqueness, or erasing a second account with records for the same pair hits E11000
+const LEGACY_INDEXES = [
+  [Feedback, "student_1_tutor_1_session_1"],
+  [Progress, "student_1_tutor_1_topic_1"],
+];
+
+export const runIndexMigrations = async () => {
+  for (const [Model, legacyName] of LEGACY_INDEXES) {
+    try {
+      await replaceLegacyIndex(Model, legacyName);
+    } catch (err) {
+      console.error(`Index migration ${legacyName} failed:`, err.message);
+    }
+  }
+};
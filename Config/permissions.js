@@ -0,0 +1,151 @@
+import { ROLES } from "../models/UserModel.js";
+
+// Shared by institution admins and the super admin
+const ADMIN_CAPABILITIES = [
+  "tutor:read",
+  "session:create",
+  "session:update:any",
+  "session:delete:any",
+  "session:roster:any",
+  "material:create",
+  "material:update:any",
+  "material:delete:any",
+  "feedback:create",
+  "feedback:read:any",
+  "feedback:delete:any",
+  "progress:write:any",
+  "progress:read:any",
+  "message:read:any",
+  "session:join",
+  "user:manage",
+  "user:impersonate",
+  "tutorVerification:review",
+  "audit:read",
+  "twoFactor:manage",
+  "apiKey:manage",
+];
+
+/**
+ * Capability-based access policy.
+ *
+ * A capability is "resource:action" or "resource:action:scope":
+ *  - "any" lets the role act on every resource of that kind
+ *  - "own" limits it to resources the user owns (see ownsAny below)
+ *
+ * Routers and services only ask for capabilities, so adding a role means adding it to
+ * ROLES in UserModel and giving it an entry here.
+ */
+export const ROLE_CAPABILITIES = {
+  [ROLES.STUDENT]: [
+    "tutor:read",
+    "feedback:create",
+    "feedback:delete:own",
+    "progress:write:own",
+    "progress:read:own",
+    "message:create",
+    "message:read:own",
+    "message:update:own",
+    "message:delete:own",
+    "session:join",
+    "guardianLink:read:own",
+    "guardianLink:respond",
+    "guardianLink:revoke:own",
+    "apiKey:manage",
+    "booking:create",
+    "booking:respond",
+  ],
+
+  [ROLES.TUTOR]: [
+    "tutor:read",
+    "tutorProfile:update:own",
+    "tutorDashboard:read",
+    "tutorVerification:submit",
+    "session:create",
+    "session:update:own",
+    "session:delete:own",
+    "session:roster:own",
+    "material:create",
+    "material:update:own",
+    "material:delete:own",
+    "feedback:read:own",
+    "progress:write:own",
+    "progress:read:own",
+    "message:read:any",
+    "session:join",
+    "twoFactor:manage",
+    "apiKey:manage",
+    "booking:respond",
+  ],
+
+  [ROLES.ORGANIZER]: [
+    "tutor:read",
+    "organizer:program",
+    "session:update:own",
+    "session:delete:own",
+    "session:roster:own",
+    "feedback:read:own",
+    "progress:read:own",
+    "session:join",
+    "apiKey:manage",
+  ],
+
+  // Read-only access to linked students (link checked in guardianService)
+  [ROLES.GUARDIAN]: [
+    "tutor:read",
+    "guardianLink:create",
+    "guardianLink:read:own",
+    "guardianLink:revoke:own",
+    "guardian:view",
+  ],
+
+  // Institution admin: the ":any" scopes stop at their own institution (Config/tenancy.js)
+  [ROLES.ADMIN]: ADMIN_CAPABILITIES,
+
+  // Above all institutions
+  [ROLES.SUPERADMIN]: [...ADMIN_CAPABILITIES, "institution:manage"],
+};
+
+const capabilitiesOf = (role) => ROLE_CAPABILITIES[role] || [];
+
+/**
+ * Exact capability check, e.g. hasCapability(user, "material:delete:any")
+ */
+export const hasCapability = (user, capability) =>
+  Boolean(user) && capabilitiesOf(user.role).includes(capability);
+
+/**
+ * True if the user holds the capability in any scope (bare, own or any).
+ * Used by route guards; the ownership check happens once the resource is loaded.
+ */
+export const hasAnyScope = (user, capability) =>
+  hasCapability(user, capability) ||
+  hasCapability(user, `${capability}:own`) ||
+  hasCapability(user, `${capability}:any`);
+
+/**
+ * Ids a user acts for: themselves, plus the tutors they coordinate if they are an organizer
+ */
+export const actingForIds = (user) => [
+  String(user._id),
+  ...(user.role === ROLES.ORGANIZER ? (user.organizerProfile?.tutors || []).map(String) : []),
+];
+
+const ownsAny = (user, ownerIds) => {
+  const mine = actingForIds(user);
+  return ownerIds.filter(Boolean).some((id) => mine.includes(String(id._id ?? id)));
+};
+
+/**
+ * Ownership-aware check. `ownerIds` are the users who own the resource
+ * (e.g. a session's tutor, a material's uploader, a feedback's student).
+ */
+export const can = (user, capability, ownerIds = []) => {
+  if (hasCapability(user, `${capability}:any`) || hasCapability(user, capability)) return true;
+  return hasCapability(user, `${capability}:own`) && ownsAny(user, [].concat(ownerIds));
+};
+
+/**
+ * Roles holding a capability in any scope, e.g. rolesWith("twoFactor:manage")
+ */
+export const rolesWith = (capability) =>
+  Object.keys(ROLE_CAPABILITIES).filter((role) => hasAnyScope({ role }, capability));
@@ -0,0 +1,30 @@
+import { ROLES } from "../models/UserModel.js";
+
+/**
+ * Multi-institution tenancy.
+ *
+ * Users, sessions, materials, feedback, progress and messages carry an `institution`.
+ * Every read and write goes through tenantFilter / sameTenant so a caller only ever sees
+ * their own institution. The super admin sits above all institutions.
+ *
+ * Accounts without an institution (data from before tenancy) form one shared default tenant:
+ * `{ institution: null }` also matches documents that have no institution field.
+ */
+export const isSuperAdmin = (user) => user?.role === ROLES.SUPERADMIN;
+
+// Institution id of a user or a tenant-scoped document (null for the default tenant)
+export const institutionOf = (doc) => doc?.institution?._id ?? doc?.institution ?? null;
+
+/**
+ * Query fragment restricting a query to the caller's institution:
+ * Model.find({ ...filter, ...tenantFilter(req.user) })
+ * Super admins are not restricted.
+ */
+export const tenantFilter = (user, field = "institution") =>
+  isSuperAdmin(user) ? {} : { [field]: institutionOf(user) };
+
+/**
+ * True if the caller may see a document (or user) that was loaded without tenantFilter
+ */
+export const sameTenant = (user, doc) =>
+  isSuperAdmin(user) || String(institutionOf(user) ?? "") === String(institutionOf(doc) ?? "");
@@ -0,0 +1,245 @@
+import { StatusCodes } from "http-status-codes";
+import * as adminUserService from "../services/adminUserService.js";
+import * as organizerService from "../services/organizerService.js";
+import * as auditService from "../services/auditService.js";
+import * as impersonationService from "../services/impersonationService.js";
+import * as userImportService from "../services/userImportService.js";
+import * as tutorStatsService from "../services/tutorStatsService.js";
+import { recordAudit, AUDIT_ACTIONS } from "../services/auditService.js";
+import { paginatedResponse, successResponse } from "../utils/responseHandler.js";
+import { validateObjectId } from "../utils/validationUtils.js";
+import { institutionOf } from "../Config/tenancy.js";
+
+/**
+ * GET /api/admin/users
+ * Query params: search, role, status, verified, createdFrom, createdTo, institution (super admin), sort, page, limit
+ */
+export const listUsers = async (req, res) => {
+  const result = await adminUserService.listUsers(req.user, req.query);
+
+  res.status(StatusCodes.OK).json(
+    paginatedResponse("Users retrieved successfully", result.users, {
+      totalCount: result.totalCount,
+      totalPages: result.totalPages,
+      currentPage: result.currentPage,
+      limit: result.limit,
+    }),
+  );
+};
+
+/**
+ * GET /api/admin/users/:id
+ * User with session, feedback, progress and material counts
+ */
+export const getUser = async (req, res) => {
+  validateObjectId(req.params.id);
+
+  const details = await adminUserService.getUserDetails(req.user, req.params.id);
+  res.status(StatusCodes.OK).json(successResponse("User retrieved successfully", details));
+};
+
+/**
+ * PATCH /api/admin/users/:id/role
+ * body: { role }
+ */
+export const changeUserRole = async (req, res) => {
+  validateObjectId(req.params.id);
+
+  const { user, previousRole } = await adminUserService.changeUserRole(req.user, req.params.id, req.body.role);
+  await recordAudit(req, AUDIT_ACTIONS.ROLE_CHANGED, {
+    target: { type: "user", id: user._id, label: user.email },
+    metadata: { from: previousRole, to: user.role },
+  });
+  res.status(StatusCodes.OK).json(successResponse("User role updated", user));
+};
+
+/**
+ * PATCH /api/admin/users/:id/suspend
+ * body: { reason? }
+ */
+export const suspendUser = async (req, res) => {
+  validateObjectId(req.params.id);
+
+  const user = await adminUserService.suspendUser(req.user, req.params.id, req.body?.reason);
+  await recordAudit(req, AUDIT_ACTIONS.USER_SUSPENDED, {
+    target: { type: "user", id: user._id, label: user.email },
+    metadata: { reason: user.suspensionReason },
+  });
+  res.status(StatusCodes.OK).json(successResponse("User suspended", user));
+};
+
+/**
+ * PATCH /api/admin/users/:id/reactivate
+ */
+export const reactivateUser = async (req, res) => {
+  validateObjectId(req.params.id);
+
+  const user = await adminUserService.reactivateUser(req.user, req.params.id);
+  await recordAudit(req, AUDIT_ACTIONS.USER_REACTIVATED, {
+    target: { type: "user", id: user._id, label: user.email },
+  });
+  res.status(StatusCodes.OK).json(successResponse("User reactivated", user));
+};
+
+/**
+ * DELETE /api/admin/users/:id
+ * Soft delete (can be undone with reactivate)
+ */
+export const deleteUser = async (req, res) => {
+  validateObjectId(req.params.id);
+
+  const user = await adminUserService.softDeleteUser(req.user, req.params.id);
+  await recordAudit(req, AUDIT_ACTIONS.USER_DELETED, {
+    target: { type: "user", id: user._id, label: user.email },
+  });
+  res.status(StatusCodes.OK).json(successResponse("User deleted", user));
+};
+
+/**
+ * GET /api/admin/users/:id/api-keys
+ */
+export const listUserApiKeys = async (req, res) => {
+  validateObjectId(req.params.id);
+
+  const { apiKeys } = await adminUserService.listUserApiKeys(req.user, req.params.id);
+  res.status(StatusCodes.OK).json(successResponse("API keys retrieved successfully", apiKeys));
+};
+
+/**
+ * DELETE /api/admin/users/:id/api-keys/:keyId
+ */
+export const revokeUserApiKey = async (req, res) => {
+  validateObjectId(req.params.id);
+  validateObjectId(req.params.keyId);
+
+  const { user, apiKey } = await adminUserService.revokeUserApiKey(req.user, req.params.id, req.params.keyId);
+  await recordAudit(req, AUDIT_ACTIONS.API_KEY_REVOKED, {
+    target: { type: "apiKey", id: apiKey._id, label: apiKey.name },
+    metadata: { owner: user._id, ownerEmail: user.email },
+  });
+  res.status(StatusCodes.OK).json(successResponse("API key revoked", apiKey));
+};
+
+/**
+ * POST /api/admin/users/import?dryRun=true
+ * multipart form: file (CSV with fullName, email, phoneNumber, location, role, subjects)
+ * Returns a per-row report; with dryRun nothing is created
+ */
+export const importUsers = async (req, res) => {
+  const dryRun = String(req.query.dryRun ?? req.body?.dryRun) === "true";
+
+  const result = await userImportService.importUsersFromCsv(req.file?.buffer, {
+    dryRun,
+    institution: institutionOf(req.user),
+  });
+  if (!dryRun) {
+    await recordAudit(req, AUDIT_ACTIONS.USERS_IMPORTED, {
+      metadata: {
+        fileName: req.file.originalname,
+        totalRows: result.totalRows,
+        created: result.created,
+        invalid: result.invalid,
+        failed: result.failed,
+      },
+    });
+  }
+
+  const message = dryRun
+    ? `Dry run: ${result.valid} of ${result.totalRows} rows are valid`
+    : `${result.created} of ${result.totalRows} accounts created`;
+  res.status(dryRun || !result.created ? StatusCodes.OK : StatusCodes.CREATED).json(successResponse(message, result));
+};
+
+/**
+ * POST /api/admin/users/:id/impersonate
+ * body: { reason }
+ * Returns a short-lived token to send as "Authorization: Bearer"; no cookie is set so the
+ * admin's own login in the browser is left untouched.
+ */
+export const impersonateUser = async (req, res) => {
+  validateObjectId(req.params.id);
+
+  const { token, expiresIn, user } = await impersonationService.startImpersonation(
+    req,
+    req.params.id,
+    req.body.reason,
+  );
+  res.status(StatusCodes.OK).json(
+    successResponse("Impersonation token issued", {
+      token,
+      expiresIn,
+      user: { _id: user._id, fullName: user.fullName, email: user.email, role: user.role },
+    }),
+  );
+};
+
+/**
+ * POST /api/admin/tutors/recompute-stats
+ * Rebuilds every tutor's rating and completed session count from feedback and sessions
+ */
+export const recomputeTutorStats = async (req, res) => {
+  const result = await tutorStatsService.recomputeTutorStats(req.user);
+  await recordAudit(req, AUDIT_ACTIONS.TUTOR_STATS_RECOMPUTED, { metadata: result });
+  res.status(StatusCodes.OK).json(
+    successResponse(`${result.tutorsUpdated} of ${result.tutorsChecked} tutors updated`, result),
+  );
+};
+
+/**
+ * POST /api/admin/organizers/:id/tutors
+ * body: { tutorId }
+ */
+export const assignOrganizerTutor = async (req, res) => {
+  validateObjectId(req.params.id);
+
+  const organizer = await organizerService.assignTutor(req.user, req.params.id, req.body.tutorId);
+  await recordAudit(req, AUDIT_ACTIONS.ORGANIZER_TUTOR_ASSIGNED, {
+    target: { type: "user", id: organizer._id, label: organizer.email },
+    metadata: { tutorId: req.body.tutorId },
+  });
+  res.status(StatusCodes.OK).json(
+    successResponse("Tutor assigned to organizer", { tutors: organizer.organizerProfile.tutors }),
+  );
+};
+
+/**
+ * DELETE /api/admin/organizers/:id/tutors/:tutorId
+ */
+export const unassignOrganizerTutor = async (req, res) => {
+  validateObjectId(req.params.id);
+  validateObjectId(req.params.tutorId);
+
+  const organizer = await organizerService.unassignTutor(req.user, req.params.id, req.params.tutorId);
+  await recordAudit(req, AUDIT_ACTIONS.ORGANIZER_TUTOR_UNASSIGNED, {
+    target: { type: "user", id: organizer._id, label: organizer.email },
+    metadata: { tutorId: req.params.tutorId },
+  });
+  res.status(StatusCodes.OK).json(
+    successResponse("Tutor removed from organizer", { tutors: organizer.organizerProfile.tutors }),
+  );
+};
+
+/**
+ * GET /api/admin/audit
+ * Query params: action (comma list, "auth.*" prefixes), actor, actorEmail, impersonator, targetType, targetId, ip, from, to, page, limit
+ */
+export const listAuditLogs = async (req, res) => {
+  const result = await auditService.listAuditLogs(req.user, req.query);
+
+  res.status(StatusCodes.OK).json(
+    paginatedResponse("Audit log retrieved successfully", result.entries, {
+      totalCount: result.totalCount,
+      totalPages: result.totalPages,
+      currentPage: result.currentPage,
+      limit: result.limit,
+    }),
+  );
+};
+
+/**
+ * GET /api/admin/audit/export
+ * Same filters as the list, streamed as CSV without paging
+ */
+export const exportAuditLogs = async (req, res) => {
+  await auditService.streamAuditCsv(req.user, req.query, res);
+};
@@ -0,0 +1,53 @@
+import { StatusCodes } from "http-status-codes";
+import * as apiKeyService from "../services/apiKeyService.js";
+import { recordAudit, AUDIT_ACTIONS } from "../services/auditService.js";
+import { API_KEY_SCOPES } from "../Config/apiKeyScopes.js";
+import { successResponse } from "../utils/responseHandler.js";
+import { validateObjectId } from "../utils/validationUtils.js";
+
+/**
+ * GET /api/users/me/api-keys/scopes
+ * Scopes a key can be given, with what each one allows
+ */
+export const listApiKeyScopes = async (req, res) => {
+  const scopes = Object.entries(API_KEY_SCOPES).map(([scope, { description }]) => ({ scope, description }));
+  res.status(StatusCodes.OK).json(successResponse("API key scopes retrieved successfully", scopes));
+};
+
+/**
+ * POST /api/users/me/api-keys
+ * body: { name, scopes: [], expiresInDays? }
+ * The key is only returned in this response
+ */
+export const createMyApiKey = async (req, res) => {
+  const { apiKey, key } = await apiKeyService.createApiKey(req.user, req.body);
+  await recordAudit(req, AUDIT_ACTIONS.API_KEY_CREATED, {
+    target: { type: "apiKey", id: apiKey._id, label: apiKey.name },
+    metadata: { scopes: apiKey.scopes, expiresAt: apiKey.expiresAt },
+  });
+
+  res.status(StatusCodes.CREATED).json(
+    successResponse("API key created. Copy it now, it will not be shown again", { ...apiKey.toJSON(), key })
+  );
+};
+
+/**
+ * GET /api/users/me/api-keys
+ */
+export const listMyApiKeys = async (req, res) => {
+  const apiKeys = await apiKeyService.listApiKeys(req.user._id);
+  res.status(StatusCodes.OK).json(successResponse("API keys retrieved successfully", apiKeys));
+};
+
+/**
+ * DELETE /api/users/me/api-keys/:id
+ */
+export const revokeMyApiKey = async (req, res) => {
+  validateObjectId(req.params.id);
+
+  const apiKey = await apiKeyService.revokeApiKey(req.user._id, req.params.id, req.user._id);
+  await recordAudit(req, AUDIT_ACTIONS.API_KEY_REVOKED, {
+    target: { type: "apiKey", id: apiKey._id, label: apiKey.name },
+  });
+  res.status(StatusCodes.OK).json(successResponse("API key revoked", apiKey));
+};
@@ -1,22 +1,145 @@
 import User from "../models/UserModel.js";
 import bcrypt from "bcryptjs";
-import { createJWT } from "../utils/generateToken.js";
+import { createJWT, verifyJWT } from "../utils/generateToken.js";
+import {
+  ACCESS_TOKEN_EXPIRE_IN,
+  issueTokens,
+  rotateRefreshToken,
+  findTokenSession,
+  findAccessTokenSession,
+  revokeSession,
+  revokeAllUserTokens,
+  listUserSessions,
+  revokeUserSession,
+} from "../services/authTokenService.js";
+import {
+  assertLoginAllowed,
+  assertIpNotLocked,
+  recordFailedLogin,
+  clearLoginFailures,
+  unlockWithToken,
+  clearLock,
+} from "../services/loginThrottleService.js";
+import {
+  isTwoFactorRequired,
+  verifyLoginCode,
+} from "../services/twoFactorService.js";
+import { recordAudit, AUDIT_ACTIONS } from "../services/auditService.js";
+import { findUserOrThrow, promoteConfiguredSuperAdmin } from "../services/adminUserService.js";
+import {
+  assertInstitutionActive,
+  findActiveInstitutionByCode,
+} from "../services/institutionService.js";
+import { validateObjectId } from "../utils/validationUtils.js";
 import { hashPassword } from "../utils/passwordUtils.js";
+import { createRandomToken, hashToken } from "../utils/tokenUtils.js";
+import {
+  buildClientUrl,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} from "../services/authMailService.js";
 import { StatusCodes } from "http-status-codes";
+import { extractToken } from "../Middleware/authMiddleware.js";
 import {
   UnauthenticatedError,
-  NotFoundError,
+  UnauthorizedError,
   BadRequestError,
 } from "../errors/customErrors.js";
 
+const RESET_PASSWORD_EXPIRE_MINUTES =
+  Number(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 30;
+const EMAIL_VERIFY_EXPIRE_IN = process.env.EMAIL_VERIFY_EXPIRE_IN || "1d";
+const EMAIL_VERIFY_PURPOSE = "verify-email";
+const TWO_FACTOR_PURPOSE = "2fa-login";
+const TWO_FACTOR_CHALLENGE_EXPIRE_IN = "5m";
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("dummy-password-for-timing", 10);
+
+const isProduction = process.env.NODE_ENV === "production";
+
+// Access token cookie for the web client; the refresh cookie is only sent to /api/auth
+const setAuthCookies = (res, { accessToken, refreshToken, refreshTokenExpiresAt }) => {
+  res.cookie("token", accessToken, {
+    httpOnly: true,
+    expires: refreshTokenExpiresAt,
+    secure: isProduction,
+  });
+  res.cookie("refreshToken", refreshToken, {
+    httpOnly: true,
+    expires: refreshTokenExpiresAt,
+    secure: isProduction,
+    path: "/api/auth",
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.cookie("token", "logout", {
+    httpOnly: true,
+    expires: new Date(Date.now()),
+  });
+  res.cookie("refreshToken", "logout", {
+    httpOnly: true,
+    expires: new Date(Date.now()),
+    path: "/api/auth",
+  });
+};
+
+// Issue tokens for a fully authenticated user and send the login response
+const completeLogin = async (req, res, user) => {
+  await assertInstitutionActive(user);
+
+  const tokens = await issueTokens(user, {
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+  setAuthCookies(res, tokens);
+
+  await recordAudit(req, AUDIT_ACTIONS.LOGIN, {
+    actor: user,
+    metadata: { sessionId: tokens.sessionId, twoFactor: Boolean(user.twoFactor?.enabled) },
+  });
+
+  const roleMessage = user.role === "tutor" ? "Tutor logged in" : "User logged in";
+
+  res.status(StatusCodes.OK).json({
+    msg: roleMessage,
+    token: tokens.accessToken, // remove this if you ONLY want cookie-based auth
+    refreshToken: tokens.refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRE_IN,
+    // Admins under the mandatory 2FA policy can only reach /2fa/enroll and /2fa/confirm until enrolled
+    twoFactorSetupRequired: isTwoFactorRequired(user) && !user.twoFactor?.enabled,
+    user: {
+      role: user.role,
+      name: user.fullName || user.email,
+      email: user.email,
+    },
+  });
+};
+
+// Email a signed verification link; the token is bound to the current email address
+const sendVerificationLink = async (user) => {
+  const token = createJWT(
+    { userId: user._id, email: user.email, purpose: EMAIL_VERIFY_PURPOSE },
+    EMAIL_VERIFY_EXPIRE_IN
+  );
+
+  await sendVerificationEmail({
+    to: user.email,
+    name: user.fullName,
+    verifyUrl: buildClientUrl("/verify-email", { token }),
+  });
+};
+
 // Register a new user or tutor
 export const register = async (req, res) => {
-  const { email, password, role, subjects } = req.body || {};
+  const { email, password, role, subjects, institutionCode } = req.body || {};
   if (!email || !password) {
     throw new BadRequestError("Email and password are required");
   }
 
-  const isFirstAccount = (await User.countDocuments()) === 0;
+  // Users join an institution with its code; without one they land in the default tenant
+  const institution = institutionCode ? await findActiveInstitutionByCode(institutionCode) : null;
+  req.body.institution = institution?._id;
+  delete req.body.institutionCode;
 
   // If role is provided and is "tutor", use it; otherwise apply default logic
   if (role === "tutor") {
@@ -38,15 +161,26 @@ export const register = async (req, res) => {
       },
       isVerified: false,
     };
+  } else if (role === "guardian") {
+    // Parents sign up on their own and then ask to be linked to a student
+    req.body.role = "guardian";
   } else {
-    req.body.role = isFirstAccount ? "admin" : "user";
+    // Admins are promoted later; the super admin comes from SUPERADMIN_EMAIL
+    req.body.role = "user";
   }
 
   const hashedPassword = await hashPassword(password);
   req.body.password = hashedPassword;
 
+  req.body.emailVerified = false;
+  req.body.emailVerifiedAt = undefined;
+
   const user = await User.create(req.body);
 
+  sendVerificationLink(user).catch((e) => {
+    console.error("Verification email failed:", e.message);
+  });
+
   const message =
     user.role === "tutor"
       ? "Tutor registered successfully"
@@ -57,47 +191,364 @@ export const register = async (req, res) => {
 
 // Login user/tutor and set JWT token in cookie
 export const login = async (req, res) => {
-  const { email, password, role } = req.body || {};
-  if (!email || !password) {
+  const { password, role } = req.body || {};
+  if (!req.body?.email || !password) {
     throw new BadRequestError("Email and password are required");
   }
+  // Stored emails are lowercase; the lookup and the lockout counter must use the same form
+  const email = String(req.body.email).trim().toLowerCase();
 
   // Optionally filter by role if provided in request
   const query = { email };
   if (role) query.role = role;
 
+  await assertLoginAllowed(email);
+
   const user = await User.findOne(query);
-  const isValidUser = user && (await bcrypt.compare(password, user.password));
-  if (!isValidUser) throw new UnauthenticatedError("Invalid credentials");
+  // Compare against a dummy hash when the user is missing so response time does not reveal it
+  const isValidUser = await bcrypt.compare(
+    password,
+    user?.password || DUMMY_PASSWORD_HASH
+  );
+  if (!user || !isValidUser || user.status === "deleted") {
+    await recordFailedLogin(email, req.ip, user);
+    await recordAudit(req, AUDIT_ACTIONS.LOGIN_FAILED, {
+      actor: user,
+      actorEmail: email,
+      metadata: { reason: user ? "invalid-password" : "unknown-account" },
+    });
+    await assertIpNotLocked(req.ip);
+    throw new UnauthenticatedError("Invalid credentials");
+  }
+  if (!user.isActive()) {
+    await recordAudit(req, AUDIT_ACTIONS.LOGIN_FAILED, {
+      actor: user,
+      metadata: { reason: "suspended" },
+    });
+    throw new UnauthorizedError("Your account has been suspended");
+  }
 
-  const oneday = 24 * 60 * 60 * 1000;
+  await clearLoginFailures(email);
 
-  // Keep both keys if you have middleware expecting either `id` or `userId`
-  const token = createJWT({ userId: user._id, id: user._id, role: user.role });
+  // Step-up: no tokens until the second factor is verified via /2fa/verify
+  if (user.twoFactor?.enabled) {
+    const challengeToken = createJWT(
+      { userId: user._id, purpose: TWO_FACTOR_PURPOSE },
+      TWO_FACTOR_CHALLENGE_EXPIRE_IN
+    );
+    return res.status(StatusCodes.OK).json({
+      msg: "Two-factor authentication required",
+      twoFactorRequired: true,
+      challengeToken,
+    });
+  }
 
-  res.cookie("token", token, {
-    httpOnly: true,
-    expires: new Date(Date.now() + oneday),
-    secure: process.env.NODE_ENV === "production",
+  await completeLogin(req, res, user);
+};
+
+// Second login step for accounts with 2FA: challenge token + TOTP or recovery code
+export const verifyTwoFactorLogin = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body || {};
+  if (!challengeToken || (!code && !recoveryCode)) {
+    throw new BadRequestError("challengeToken and a code or recoveryCode are required");
+  }
+
+  let decoded;
+  try {
+    decoded = verifyJWT(challengeToken);
+  } catch (error) {
+    throw new UnauthenticatedError("Login challenge is invalid or has expired");
+  }
+  if (decoded.purpose !== TWO_FACTOR_PURPOSE) {
+    throw new UnauthenticatedError("Login challenge is invalid or has expired");
+  }
+
+  const pendingUser = await User.findById(decoded.userId).select("email fullName role status");
+  if (!pendingUser || pendingUser.status === "deleted") {
+    throw new UnauthenticatedError("Login challenge is invalid or has expired");
+  }
+  // Same status check as the password step: the account may have been suspended since
+  if (!pendingUser.isActive()) {
+    await recordAudit(req, AUDIT_ACTIONS.LOGIN_FAILED, {
+      actor: pendingUser,
+      metadata: { reason: "suspended" },
+    });
+    throw new UnauthorizedError("Your account has been suspended");
+  }
+
+  // Wrong codes count as failed logins, so guessing codes hits the same lockout
+  await assertLoginAllowed(pendingUser.email);
+
+  const user = await verifyLoginCode(decoded.userId, { code, recoveryCode });
+  if (!user) {
+    await recordFailedLogin(pendingUser.email, req.ip, pendingUser);
+    await recordAudit(req, AUDIT_ACTIONS.LOGIN_FAILED, {
+      actor: pendingUser,
+      metadata: { reason: "invalid-2fa-code" },
+    });
+    await assertIpNotLocked(req.ip);
+    throw new UnauthenticatedError("Invalid authentication code");
+  }
+
+  await clearLoginFailures(user.email);
+  await completeLogin(req, res, user);
+};
+
+// Exchange a refresh token (cookie or body) for a new access/refresh pair
+export const refresh = async (req, res) => {
+  const rawToken = req.cookies?.refreshToken || req.body?.refreshToken;
+
+  try {
+    const tokens = await rotateRefreshToken(rawToken, {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+    setAuthCookies(res, tokens);
+
+    res.status(StatusCodes.OK).json({
+      msg: "Token refreshed",
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE_IN,
+    });
+  } catch (error) {
+    clearAuthCookies(res);
+    throw error;
+  }
+};
+
+// Revoke the current login (refresh token family) and clear cookies
+export const logout = async (req, res) => {
+  const rawToken = req.cookies?.refreshToken || req.body?.refreshToken;
+  // Bearer-only clients may not send the refresh token, so also end the access token's session
+  const sessions = [await findTokenSession(rawToken), findAccessTokenSession(extractToken(req))].filter(Boolean);
+  const sessionIds = [...new Set(sessions.map((s) => String(s.sessionId)))];
+
+  if (sessionIds.length) {
+    await Promise.all(sessionIds.map((sessionId) => revokeSession(sessionId, "logout")));
+    await recordAudit(req, AUDIT_ACTIONS.LOGOUT, {
+      actor: await User.findById(sessions[0].userId).select("email role"),
+      metadata: { sessionId: sessionIds[0], ...(sessionIds.length > 1 && { sessionIds }) },
+    });
+  }
+
+  clearAuthCookies(res);
+  res.status(StatusCodes.OK).json({ msg: "User logged out" });
+};
+
+// Sign out everywhere: revoke every refresh token of the logged-in user
+export const logoutAll = async (req, res) => {
+  await revokeAllUserTokens(req.user._id, "logout-all");
+  await recordAudit(req, AUDIT_ACTIONS.LOGOUT_ALL);
+
+  clearAuthCookies(res);
+  res.status(StatusCodes.OK).json({ msg: "Logged out from all devices" });
+};
+
+// List the devices the logged-in user is signed in on
+export const getMySessions = async (req, res) => {
+  const sessions = await listUserSessions(req.user._id);
+  const currentId = String(req.auth?.sessionId);
+
+  res.status(StatusCodes.OK).json({
+    count: sessions.length,
+    sessions: sessions.map((s) => ({ ...s, current: String(s._id) === currentId })),
   });
+};
 
-  const roleMessage = user.role === "tutor" ? "Tutor logged in" : "User logged in";
+// Sign out one of the logged-in user's devices
+export const revokeMySession = async (req, res) => {
+  validateObjectId(req.params.id);
+  await revokeUserSession(req.user._id, req.params.id, "user-revoked", req.user._id);
+
+  if (String(req.params.id) === String(req.auth?.sessionId)) {
+    clearAuthCookies(res);
+  }
+  res.status(StatusCodes.OK).json({ msg: "Session revoked" });
+};
+
+// Admin: list the active sessions of any account
+export const getUserSessions = async (req, res) => {
+  validateObjectId(req.params.userId);
+
+  const user = await findUserOrThrow(req.user, req.params.userId);
+
+  const sessions = await listUserSessions(user._id);
+  res.status(StatusCodes.OK).json({ count: sessions.length, sessions });
+};
+
+// Admin: kill one session, or every session when handling a compromised account
+export const revokeUserSessionByAdmin = async (req, res) => {
+  validateObjectId(req.params.userId);
+
+  await findUserOrThrow(req.user, req.params.userId);
+
+  if (req.params.id) {
+    validateObjectId(req.params.id);
+    await revokeUserSession(req.params.userId, req.params.id, "admin-revoked", req.user._id);
+    await recordAudit(req, AUDIT_ACTIONS.SESSIONS_REVOKED, {
+      target: { type: "user", id: req.params.userId },
+      metadata: { sessionId: req.params.id },
+    });
+    return res.status(StatusCodes.OK).json({ msg: "Session revoked" });
+  }
+
+  await revokeAllUserTokens(req.params.userId, "admin-revoked", req.user._id);
+  await recordAudit(req, AUDIT_ACTIONS.SESSIONS_REVOKED, {
+    target: { type: "user", id: req.params.userId },
+    metadata: { allSessions: true },
+  });
+  res.status(StatusCodes.OK).json({ msg: "All sessions revoked" });
+};
+
+// Unlock a locked account with the token from the lockout email
+export const unlockAccount = async (req, res) => {
+  const { token } = req.body || {};
+  if (!token) {
+    throw new BadRequestError("Unlock token is required");
+  }
+
+  await unlockWithToken(token);
+  res.status(StatusCodes.OK).json({ msg: "Account unlocked. You can log in again" });
+};
+
+// Admin: clear the login lock of an account (optionally also an IP address via ?ip=)
+export const clearUserLockout = async (req, res) => {
+  validateObjectId(req.params.userId);
+
+  const user = await findUserOrThrow(req.user, req.params.userId);
+
+  await clearLock({ email: user.email, ip: req.query.ip });
+  await recordAudit(req, AUDIT_ACTIONS.LOCKOUT_CLEARED, {
+    target: { type: "user", id: user._id, label: user.email },
+    metadata: req.query.ip ? { ip: req.query.ip } : undefined,
+  });
+  res.status(StatusCodes.OK).json({ msg: "Login lock cleared" });
+};
+
+// Request a password reset link (always responds the same way to avoid leaking which emails exist)
+export const forgotPassword = async (req, res) => {
+  const { email } = req.body || {};
+  if (!email) {
+    throw new BadRequestError("Email is required");
+  }
+
+  const user = await User.findOne({ email: String(email).trim().toLowerCase() });
+
+  if (user && user.status !== "deleted") {
+    const { token, hashedToken } = createRandomToken();
+    user.resetPasswordToken = hashedToken;
+    user.resetPasswordExpiry = new Date(
+      Date.now() + RESET_PASSWORD_EXPIRE_MINUTES * 60 * 1000
+    );
+    await user.save();
+
+    try {
+      await sendPasswordResetEmail({
+        to: user.email,
+        name: user.fullName,
+        resetUrl: buildClientUrl("/reset-password", { token }),
+        expiresInMinutes: RESET_PASSWORD_EXPIRE_MINUTES,
+      });
+    } catch (err) {
+      // Drop the unusable token but keep the response identical for the caller
+      console.error("Password reset email failed:", err.message);
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpiry = undefined;
+      await user.save();
+    }
+  }
 
   res.status(StatusCodes.OK).json({
-    msg: roleMessage,
-    token, // remove this if you ONLY want cookie-based auth
-    user: {
-      role: user.role,
-      name: user.fullName || user.email,
-      email: user.email,
-    },
+    msg: "If an account exists for that email, a password reset link has been sent",
   });
 };
 
-export const logout = (req, res) => {
-  res.cookie("token", "logout", {
-    httpOnly: true,
-    expires: new Date(Date.now()),
+// Set a new password using a reset token; the token is single-use and all existing logins are invalidated
+export const resetPassword = async (req, res) => {
+  const { token, password } = req.body || {};
+  if (!token || !password) {
+    throw new BadRequestError("Token and password are required");
+  }
+
+  const user = await User.findOne({
+    resetPasswordToken: hashToken(token),
+    resetPasswordExpiry: { $gt: new Date() },
   });
-  res.status(StatusCodes.OK).json({ msg: "User logged out" });
-};
\ No newline at end of file
+  if (!user) {
+    throw new BadRequestError("Password reset link is invalid or has expired");
+  }
+
+  user.password = await hashPassword(password);
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpiry = undefined;
+  user.passwordChangedAt = new Date();
+  // The link was delivered to this address (also how imported accounts set their first password)
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  await revokeAllUserTokens(user._id, "password-reset");
+  clearAuthCookies(res);
+
+  res.status(StatusCodes.OK).json({
+    msg: "Password has been reset. Please log in with your new password",
+  });
+};
+
+// Confirm an email address from the signed verification link
+export const verifyEmail = async (req, res) => {
+  const { token } = req.body || {};
+  if (!token) {
+    throw new BadRequestError("Verification token is required");
+  }
+
+  let decoded;
+  try {
+    decoded = verifyJWT(token);
+  } catch (error) {
+    throw new BadRequestError("Verification link is invalid or has expired");
+  }
+
+  if (decoded.purpose !== EMAIL_VERIFY_PURPOSE) {
+    throw new BadRequestError("Verification link is invalid or has expired");
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user || user.email !== decoded.email) {
+    throw new BadRequestError("Verification link is invalid or has expired");
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    await promoteConfiguredSuperAdmin(user);
+  }
+
+  res.status(StatusCodes.OK).json({ msg: "Email verified successfully" });
+};
+
+// Send a fresh verification link (same response whether or not the account exists)
+export const resendVerificationEmail = async (req, res) => {
+  const { email } = req.body || {};
+  if (!email) {
+    throw new BadRequestError("Email is required");
+  }
+
+  const user = await User.findOne({ email: String(email).trim().toLowerCase() });
+
+  if (user && !user.emailVerified) {
+    try {
+      await sendVerificationLink(user);
+    } catch (err) {
+      console.error("Verification email failed:", err.message);
+    }
+  }
+
+  res.status(StatusCodes.OK).json({
+    msg: "If the account exists and is not yet verified, a new verification link has been sent",
+  });
+};
@@ -0,0 +1,75 @@
+import { StatusCodes } from "http-status-codes";
+import * as bookingService from "../services/bookingService.js";
+import { successResponse, paginatedResponse } from "../utils/responseHandler.js";
+import { validateObjectId } from "../utils/validationUtils.js";
+
+/**
+ * POST /api/bookings
+ * body: { tutorId, subject, start, message? }
+ */
+export const createBooking = async (req, res) => {
+  const booking = await bookingService.createBooking(req.user, req.body);
+  res.status(StatusCodes.CREATED).json(successResponse("Booking request sent to the tutor", booking));
+};
+
+/**
+ * GET /api/bookings?as=&status=&page=&limit=
+ */
+export const listMyBookings = async (req, res) => {
+  const result = await bookingService.listBookings(req.user, req.query);
+  res.status(StatusCodes.OK).json(
+    paginatedResponse("Booking requests retrieved successfully", result.bookings, {
+      totalCount: result.totalCount,
+      totalPages: result.totalPages,
+      currentPage: result.currentPage,
+      limit: result.limit,
+    })
+  );
+};
+
+/**
+ * GET /api/bookings/:id
+ */
+export const getBooking = async (req, res) => {
+  validateObjectId(req.params.id);
+  const booking = await bookingService.getBooking(req.user, req.params.id);
+  res.status(StatusCodes.OK).json(successResponse("Booking request retrieved successfully", booking));
+};
+
+/**
+ * PATCH /api/bookings/:id/accept
+ */
+export const acceptBooking = async (req, res) => {
+  validateObjectId(req.params.id);
+  const { booking, session } = await bookingService.acceptBooking(req.user, req.params.id);
+  res.status(StatusCodes.OK).json(successResponse("Booking accepted and session scheduled", { booking, session }));
+};
+
+/**
+ * PATCH /api/bookings/:id/decline
+ * body: { note? }
+ */
+export const declineBooking = async (req, res) => {
+  validateObjectId(req.params.id);
+  const booking = await bookingService.declineBooking(req.user, req.params.id, req.body.note);
+  res.status(StatusCodes.OK).json(successResponse("Booking request declined", booking));
+};
+
+/**
+ * PATCH /api/bookings/:id/propose
+ * body: { start, note? }
+ */
+export const proposeBookingTime = async (req, res) => {
+  validateObjectId(req.params.id);
+  const booking = await bookingService.proposeTime(req.user, req.params.id, req.body);
+  res.status(StatusCodes.OK).json(successResponse("New time proposed to the student", booking));
+};
+
+/**
+ * PATCH /api/bookings/:id/cancel
+ */
+export const cancelBooking = async (req, res) => {
+  validateObjectId(req.params.id);
+  const booking = await bookingService.cancelBooking(req.user, req.params.id);
+  res.status(StatusCodes.OK).json(successResponse("Booking request cancelled", booking));
+};
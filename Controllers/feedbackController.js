@@ -1,10 +1,13 @@
 import mongoose from "mongoose";
 import Feedback from "../models/FeedbackModel.js";
-import User from "../models/UserModel.js";
+import User, { ROLES } from "../models/UserModel.js";
 import { sendFeedbackNotificationEmail } from "../services/feedbackMailService.js";
+import { recordAudit, AUDIT_ACTIONS } from "../services/auditService.js";
+import { refreshTutorRating } from "../services/tutorStatsService.js";
+import { can } from "../Config/permissions.js";
+import { institutionOf, tenantFilter } from "../Config/tenancy.js";
 
-const STUDENT_ROLE = process.env.STUDENT_ROLE || "user";
-const TUTOR_ROLE = process.env.TUTOR_ROLE || "organizer";
+const TUTOR_ROLE = ROLES.TUTOR;
 
 /**
  * POST /api/feedbacks
@@ -13,11 +16,6 @@ const TUTOR_ROLE = process.env.TUTOR_ROLE || "organizer";
  */
 export const submitFeedback = async (req, res) => {
   try {
-    // only student/admin can submit
-    if (req.user.role !== STUDENT_ROLE && req.user.role !== "admin") {
-      return res.status(403).json({ message: "Only students can submit feedback" });
-    }
-
     const { tutorId, rating, message, sessionId } = req.body;
 
     if (!tutorId || !mongoose.Types.ObjectId.isValid(tutorId)) {
@@ -33,17 +31,20 @@ export const submitFeedback = async (req, res) => {
       return res.status(400).json({ message: "Invalid sessionId" });
     }
 
-    const tutor = await User.findById(tutorId).select("_id role fullName email");
+    const tutor = await User.findOne({ _id: tutorId, ...tenantFilter(req.user) }).select(
+      "_id role fullName email institution"
+    );
     if (!tutor) return res.status(404).json({ message: "Tutor not found" });
 
     // enforce "tutor" role if you want strictness:
-    if (tutor.role !== TUTOR_ROLE && tutor.role !== "admin") {
+    if (tutor.role !== TUTOR_ROLE && tutor.role !== ROLES.ADMIN) {
       return res.status(400).json({ message: "Target user is not a tutor" });
     }
 
     const payload = {
       student: req.user._id,
       tutor: tutorId,
+      institution: institutionOf(tutor),
       session: sessionId || null,
       rating: numRating,
       message: (message || "").trim(),
@@ -55,6 +56,7 @@ export const submitFeedback = async (req, res) => {
       payload,
       { upsert: true, new: true, setDefaultsOnInsert: true }
     );
+    await refreshTutorRating(tutorId);
 
     sendFeedbackNotificationEmail({
       studentName: req.user.fullName || "Student",
@@ -92,7 +94,7 @@ export const getMyFeedbacks = async (req, res) => {
 
 /**
  * GET /api/feedbacks/tutor/:tutorId
- * tutor/admin can view feedback messages list for a tutor
+ * tutor/admin (or the tutor's organizer) can view feedback messages list for a tutor
  */
 export const getTutorFeedbacks = async (req, res) => {
   try {
@@ -101,14 +103,12 @@ export const getTutorFeedbacks = async (req, res) => {
       return res.status(400).json({ message: "Invalid tutorId" });
     }
 
-    const isAdmin = req.user.role === "admin";
-    const isTutorSelf = req.user.role === TUTOR_ROLE && String(req.user._id) === String(tutorId);
-
-    if (!isAdmin && !isTutorSelf) {
+    // the tutor themselves, their organizer or an admin
+    if (!can(req.user, "feedback:read", [tutorId])) {
       return res.status(403).json({ message: "Forbidden" });
     }
 
-    const feedbacks = await Feedback.find({ tutor: tutorId })
+    const feedbacks = await Feedback.find({ tutor: tutorId, ...tenantFilter(req.user) })
       .populate("student", "fullName email role")
       .sort({ createdAt: -1 });
 
@@ -130,7 +130,7 @@ export const getTutorRatingStats = async (req, res) => {
     }
 
     const stats = await Feedback.aggregate([
-      { $match: { tutor: new mongoose.Types.ObjectId(tutorId) } },
+      { $match: { tutor: new mongoose.Types.ObjectId(tutorId), ...tenantFilter(req.user) } },
       {
         $group: {
           _id: "$tutor",
@@ -184,17 +184,19 @@ export const deleteFeedback = async (req, res) => {
       return res.status(400).json({ message: "Invalid feedback id" });
     }
 
-    const feedback = await Feedback.findById(id);
+    const feedback = await Feedback.findOne({ _id: id, ...tenantFilter(req.user) });
     if (!feedback) return res.status(404).json({ message: "Feedback not found" });
 
-    const isAdmin = req.user.role === "admin";
-    const isOwner = String(feedback.student) === String(req.user._id);
-
-    if (!isAdmin && !isOwner) {
+    if (!can(req.user, "feedback:delete", [feedback.student])) {
       return res.status(403).json({ message: "Forbidden" });
     }
 
     await Feedback.deleteOne({ _id: id });
+    await refreshTutorRating(feedback.tutor);
+    await recordAudit(req, AUDIT_ACTIONS.FEEDBACK_DELETED, {
+      target: { type: "feedback", id: feedback._id },
+      metadata: { tutorId: feedback.tutor, studentId: feedback.student, rating: feedback.rating },
+    });
     return res.json({ message: "Feedback deleted" });
   } catch (err) {
     return res.status(500).json({ message: "Server error", error: err.message });
@@ -0,0 +1,94 @@
+import { StatusCodes } from "http-status-codes";
+import * as guardianService from "../services/guardianService.js";
+import { successResponse } from "../utils/responseHandler.js";
+import { validateObjectId } from "../utils/validationUtils.js";
+
+/**
+ * POST /api/guardian/links
+ * Guardian invites a student, body: { studentEmail }
+ * Responds the same way whether or not the student exists
+ */
+export const inviteStudent = async (req, res) => {
+  await guardianService.inviteStudent(req.user, req.body.studentEmail);
+  res
+    .status(StatusCodes.OK)
+    .json(successResponse("If a student account exists for that email, an invitation has been sent"));
+};
+
+/**
+ * GET /api/guardian/links
+ * Guardian: linked students. Student: linked guardians.
+ */
+export const getLinks = async (req, res) => {
+  const links = await guardianService.listLinks(req.user);
+  res.status(StatusCodes.OK).json(successResponse("Guardian links retrieved successfully", links));
+};
+
+/**
+ * POST /api/guardian/links/accept
+ * Student accepts an invite, body: { token }
+ */
+export const acceptInvite = async (req, res) => {
+  const link = await guardianService.acceptInvite(req.user, req.body.token);
+  res.status(StatusCodes.OK).json(successResponse("Guardian linked to your account", link));
+};
+
+/**
+ * POST /api/guardian/links/:id/decline
+ */
+export const declineInvite = async (req, res) => {
+  validateObjectId(req.params.id);
+
+  const link = await guardianService.declineInvite(req.user, req.params.id);
+  res.status(StatusCodes.OK).json(successResponse("Invitation declined", link));
+};
+
+/**
+ * DELETE /api/guardian/links/:id
+ * Guardian or student ends the link
+ */
+export const revokeLink = async (req, res) => {
+  validateObjectId(req.params.id);
+
+  const link = await guardianService.revokeLink(req.user, req.params.id);
+  res.status(StatusCodes.OK).json(successResponse("Guardian link removed", link));
+};
+
+/**
+ * GET /api/guardian/students/:studentId/progress
+ */
+export const getStudentProgress = async (req, res) => {
+  validateObjectId(req.params.studentId);
+
+  const progress = await guardianService.getStudentProgress(req.user, req.params.studentId);
+  res.status(StatusCodes.OK).json(successResponse("Progress retrieved successfully", progress));
+};
+
+/**
+ * GET /api/guardian/students/:studentId/sessions?upcoming=true
+ */
+export const getStudentSessions = async (req, res) => {
+  validateObjectId(req.params.studentId);
+
+  const sessions = await guardianService.getStudentSessions(req.user, req.params.studentId, req.query);
+  res.status(StatusCodes.OK).json(successResponse("Sessions retrieved successfully", sessions));
+};
+
+/**
+ * GET /api/guardian/students/:studentId/attendance
+ */
+export const getStudentAttendance = async (req, res) => {
+  validateObjectId(req.params.studentId);
+
+  const attendance = await guardianService.getStudentAttendance(req.user, req.params.studentId);
+  res.status(StatusCodes.OK).json(successResponse("Attendance retrieved successfully", attendance));
+};
+
+/**
+ * PATCH /api/guardian/preferences
+ * body: { weeklySummary: boolean }
+ */
+export const updatePreferences = async (req, res) => {
+  const preferences = await guardianService.setWeeklySummary(req.user, req.body.weeklySummary);
+  res.status(StatusCodes.OK).json(successResponse("Preferences updated", preferences));
+};
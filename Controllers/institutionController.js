@@ -0,0 +1,71 @@
+import { StatusCodes } from "http-status-codes";
+import * as institutionService from "../services/institutionService.js";
+import { recordAudit, AUDIT_ACTIONS } from "../services/auditService.js";
+import { successResponse } from "../utils/responseHandler.js";
+import { validateObjectId } from "../utils/validationUtils.js";
+
+/**
+ * POST /api/institutions
+ * body: { name, code, contactEmail? }
+ */
+export const createInstitution = async (req, res) => {
+  const institution = await institutionService.createInstitution(req.user, req.body);
+  await recordAudit(req, AUDIT_ACTIONS.INSTITUTION_CREATED, {
+    target: { type: "institution", id: institution._id, label: institution.code },
+  });
+  res.status(StatusCodes.CREATED).json(successResponse("Institution created", institution));
+};
+
+/**
+ * GET /api/institutions
+ * Every institution with member counts per role
+ */
+export const listInstitutions = async (req, res) => {
+  const institutions = await institutionService.listInstitutions();
+  res.status(StatusCodes.OK).json(successResponse("Institutions retrieved successfully", institutions));
+};
+
+/**
+ * GET /api/institutions/:id
+ * Institution with its admins
+ */
+export const getInstitution = async (req, res) => {
+  validateObjectId(req.params.id);
+
+  const institution = await institutionService.getInstitution(req.params.id);
+  res.status(StatusCodes.OK).json(successResponse("Institution retrieved successfully", institution));
+};
+
+/**
+ * PATCH /api/institutions/:id
+ * body: { name?, contactEmail?, status? }
+ */
+export const updateInstitution = async (req, res) => {
+  validateObjectId(req.params.id);
+
+  const institution = await institutionService.updateInstitution(req.params.id, req.body);
+  await recordAudit(req, AUDIT_ACTIONS.INSTITUTION_UPDATED, {
+    target: { type: "institution", id: institution._id, label: institution.code },
+    metadata: req.body,
+  });
+  res.status(StatusCodes.OK).json(successResponse("Institution updated", institution));
+};
+
+/**
+ * PUT /api/institutions/users/:userId
+ * body: { institutionId } (null removes the user from every institution)
+ */
+export const assignUserInstitution = async (req, res) => {
+  validateObjectId(req.params.userId);
+
+  const { user, previousInstitution } = await institutionService.assignUserToInstitution(
+    req.user,
+    req.params.userId,
+    req.body.institutionId,
+  );
+  await recordAudit(req, AUDIT_ACTIONS.USER_INSTITUTION_CHANGED, {
+    target: { type: "user", id: user._id, label: user.email },
+    metadata: { from: previousInstitution, to: user.institution },
+  });
+  res.status(StatusCodes.OK).json(successResponse("User moved to institution", user));
+};
@@ -4,6 +4,8 @@ import { BadRequestError, NotFoundError } from "../errors/customErrors.js";
 import path from "path";
 import fs from "fs";
 import { createMessageWithTranslation, processMessageContent } from "../services/messageService.js";
+import { can, hasCapability } from "../Config/permissions.js";
+import { institutionOf, tenantFilter } from "../Config/tenancy.js";
 
 //If message contains Sinhala characters (Unicode 0D80-0DFF), 
 //it will be automatically translated to English using Google Gemini API
@@ -25,11 +27,14 @@ export const createMessage = async (req, res) => {
     // Process message with translation service
     const messagePayload = await createMessageWithTranslation(
       req.body,
-      { userId: req.user.userId },
+      req.user,
       req.file
     );
 
-    const createdMessage = await Message.create(messagePayload);
+    const createdMessage = await Message.create({
+      ...messagePayload,
+      institution: institutionOf(req.user),
+    });
 
     // Populate creator details
     const populatedMessage = await Message.findById(createdMessage._id)
@@ -76,12 +81,11 @@ export const createMessage = async (req, res) => {
 // Get all messages created by the logged-in user
 export const getAllMessages = async (req, res) => {
   try {
-    let query = {};
+    let query = { ...tenantFilter(req.user) };
     
-    // If user role is 'user', show only their messages
-    // If role is 'admin' or 'tutor', show all messages
-    if (req.user.role === "user") {
-      query.createdBy = req.user.userId;
+    // Roles with message:read:any (tutors, admins) see every message of their institution; others only their own
+    if (!hasCapability(req.user, "message:read:any")) {
+      query.createdBy = req.user._id;
     }
     
     const messages = await Message.find(query).sort("-createdAt").populate("createdBy", "fullName email role");
@@ -100,14 +104,14 @@ export const updateMessage = async (req, res) => {
     const { id } = req.params;
 
     // Find the message first to check ownership
-    const message = await Message.findById(id);
+    const message = await Message.findOne({ _id: id, ...tenantFilter(req.user) });
 
     if (!message) {
       throw new NotFoundError("Message not found");
     }
 
     // Check if the logged-in user is the creator of the message
-    if (message.createdBy.toString() !== req.user.userId) {
+    if (!can(req.user, "message:update", [message.createdBy])) {
       throw new BadRequestError("You are not authorized to update this message");
     }
 
@@ -158,14 +162,14 @@ export const deleteMessage = async (req, res) => {
     const { id } = req.params;
     
     // Find the message first to check ownership
-    const message = await Message.findById(id);
+    const message = await Message.findOne({ _id: id, ...tenantFilter(req.user) });
 
     if (!message) {
       throw new NotFoundError("Message not found");
     }
 
     // Check if the logged-in user is the creator of the message
-    if (message.createdBy.toString() !== req.user.userId) {
+    if (!can(req.user, "message:delete", [message.createdBy])) {
       throw new BadRequestError("You are not authorized to delete this message");
     }
 
@@ -0,0 +1,56 @@
+import { StatusCodes } from "http-status-codes";
+import * as organizerService from "../services/organizerService.js";
+import { paginatedResponse, successResponse } from "../utils/responseHandler.js";
+
+/**
+ * GET /api/organizer/tutors
+ * Tutors assigned to the logged-in organizer
+ */
+export const getMyTutors = async (req, res) => {
+  const tutors = await organizerService.listCoordinatedTutors(req.user);
+  res.status(StatusCodes.OK).json(successResponse("Tutors retrieved successfully", tutors));
+};
+
+/**
+ * POST /api/organizer/sessions
+ * body: { tutorId, subject, description, schedule, capacity, ... } (same fields as POST /api/tutoring-sessions)
+ */
+export const createSessionForTutor = async (req, res) => {
+  const { tutorId, ...payload } = req.body;
+
+  const session = await organizerService.createSessionForTutor(req.user, tutorId, payload);
+  res.status(StatusCodes.CREATED).json(successResponse("Tutoring session created", session));
+};
+
+/**
+ * GET /api/organizer/sessions
+ * Query params: tutorId, status, upcoming, page, limit
+ */
+export const getSessions = async (req, res) => {
+  const result = await organizerService.listCoordinatedSessions(req.user, req.query);
+
+  res.status(StatusCodes.OK).json(
+    paginatedResponse("Sessions retrieved successfully", result.sessions, {
+      totalCount: result.totalCount,
+      totalPages: result.totalPages,
+      currentPage: result.currentPage,
+      limit: result.limit,
+    }),
+  );
+};
+
+/**
+ * GET /api/organizer/feedback-summary?tutorId=
+ */
+export const getFeedbackSummary = async (req, res) => {
+  const summary = await organizerService.getFeedbackSummary(req.user, req.query.tutorId);
+  res.status(StatusCodes.OK).json(successResponse("Feedback summary retrieved successfully", summary));
+};
+
+/**
+ * GET /api/organizer/progress-summary?tutorId=
+ */
+export const getProgressSummary = async (req, res) => {
+  const summary = await organizerService.getProgressSummary(req.user, req.query.tutorId);
+  res.status(StatusCodes.OK).json(successResponse("Progress summary retrieved successfully", summary));
+};
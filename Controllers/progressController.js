@@ -1,9 +1,8 @@
 import mongoose from "mongoose";
 import Progress from "../models/ProgressModel.js";
 import User from "../models/UserModel.js";
-
-const STUDENT_ROLE = process.env.STUDENT_ROLE || "user";
-const TUTOR_ROLE = process.env.TUTOR_ROLE || "organizer";
+import { can, actingForIds } from "../Config/permissions.js";
+import { institutionOf, tenantFilter } from "../Config/tenancy.js";
 
 // Helper: validate ObjectId
 const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
@@ -27,21 +26,18 @@ export const upsertProgress = async (req, res) => {
       return res.status(400).json({ message: "Invalid sessionId" });
     }
 
-    const isAdmin = req.user.role === "admin";
-    const isTutor = req.user.role === TUTOR_ROLE;
-    const isStudent = req.user.role === STUDENT_ROLE;
-
-    // permissions
-    if (!isAdmin) {
-      if (isTutor && String(req.user._id) !== String(tutorId)) {
-        return res.status(403).json({ message: "Tutor can update only their own students' progress" });
-      }
-      if (isStudent && String(req.user._id) !== String(studentId)) {
-        return res.status(403).json({ message: "Student can update only their own progress" });
-      }
-      if (!isTutor && !isStudent) {
-        return res.status(403).json({ message: "Forbidden" });
-      }
+    // a progress record is owned by both its student and its tutor
+    if (!can(req.user, "progress:write", [studentId, tutorId])) {
+      return res.status(403).json({ message: "You can update only progress records you are part of" });
+    }
+
+    // both parties must belong to the caller's institution
+    const [student, tutor] = await Promise.all([
+      User.findOne({ _id: studentId, ...tenantFilter(req.user) }).select("institution"),
+      User.exists({ _id: tutorId, ...tenantFilter(req.user) }),
+    ]);
+    if (!student || !tutor) {
+      return res.status(404).json({ message: "Student or tutor not found" });
     }
 
     const percent =
@@ -63,6 +59,7 @@ export const upsertProgress = async (req, res) => {
       ...(topic !== undefined ? { topic: (topic || "").trim() } : {}),
       ...(percent !== undefined ? { completionPercent: percent } : {}),
       ...(notes !== undefined ? { notes: (notes || "").trim() } : {}),
+      institution: institutionOf(student),
       updatedBy: req.user._id,
     };
 
@@ -96,7 +93,8 @@ export const getMyProgress = async (req, res) => {
 
 /**
  * GET /api/progress/student/:studentId
- * Student/admin can view; tutor can only view records where they are tutor
+ * Student/admin can view; tutor can only view records where they are tutor,
+ * organizer only records of the tutors they coordinate
  */
 export const getProgressByStudent = async (req, res) => {
   try {
@@ -106,19 +104,12 @@ export const getProgressByStudent = async (req, res) => {
       return res.status(400).json({ message: "Invalid studentId" });
     }
 
-    const isAdmin = req.user.role === "admin";
-    const isTutor = req.user.role === TUTOR_ROLE;
-    const isStudent = req.user.role === STUDENT_ROLE;
-
-    if (isStudent && String(req.user._id) !== String(studentId)) {
-      return res.status(403).json({ message: "Forbidden" });
-    }
-
-    const query = { student: studentId };
+    const query = { student: studentId, ...tenantFilter(req.user) };
 
-    // tutor sees only their own student progress records
-    if (!isAdmin && isTutor) {
-      query.tutor = req.user._id;
+    // the student and admins see everything; tutors and organizers only the records
+    // of the tutors they act for
+    if (!can(req.user, "progress:read", [studentId])) {
+      query.tutor = { $in: actingForIds(req.user) };
     }
 
     const list = await Progress.find(query)
@@ -133,7 +124,7 @@ export const getProgressByStudent = async (req, res) => {
 
 /**
  * GET /api/progress/tutor/:tutorId
- * Tutor/admin views progress for their students
+ * Tutor/admin (or the tutor's organizer) views progress for their students
  */
 export const getProgressByTutor = async (req, res) => {
   try {
@@ -143,14 +134,11 @@ export const getProgressByTutor = async (req, res) => {
       return res.status(400).json({ message: "Invalid tutorId" });
     }
 
-    const isAdmin = req.user.role === "admin";
-    const isTutorSelf = req.user.role === TUTOR_ROLE && String(req.user._id) === String(tutorId);
-
-    if (!isAdmin && !isTutorSelf) {
+    if (!can(req.user, "progress:read", [tutorId])) {
       return res.status(403).json({ message: "Forbidden" });
     }
 
-    const list = await Progress.find({ tutor: tutorId })
+    const list = await Progress.find({ tutor: tutorId, ...tenantFilter(req.user) })
       .populate("student", "fullName email role")
       .sort({ updatedAt: -1 });
 
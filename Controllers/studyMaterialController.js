@@ -1,6 +1,7 @@
 import { StatusCodes } from "http-status-codes";
 import { BadRequestError, NotFoundError } from "../errors/customErrors.js";
-import * as studyMaterialService from "../Services/studyMaterialService.js";
+import * as studyMaterialService from "../services/studyMaterialService.js";
+import { recordAudit, AUDIT_ACTIONS } from "../services/auditService.js";
 import {
   paginatedResponse,
   successResponse,
@@ -16,7 +17,6 @@ export const createStudyMaterial = async (req, res) => {
     throw new BadRequestError("Please upload a file (PDF, DOC, image, etc.)");
   }
 
-  const uploaderId = req.user.userId || req.user._id;
   const materialData = {
     ...req.body,
     fileUrl: req.file.path, // Cloudinary secure URL
@@ -24,7 +24,7 @@ export const createStudyMaterial = async (req, res) => {
 
   const material = await studyMaterialService.createMaterial(
     materialData,
-    uploaderId,
+    req.user,
   );
 
   res
@@ -38,7 +38,7 @@ export const createStudyMaterial = async (req, res) => {
  * Query params: page, limit, subject, grade, keyword, sort
  */
 export const getAllStudyMaterials = async (req, res) => {
-  const result = await studyMaterialService.getAllMaterials(req.query);
+  const result = await studyMaterialService.getAllMaterials(req.user, req.query);
 
   res.status(StatusCodes.OK).json(
     paginatedResponse("Materials retrieved successfully", result.materials, {
@@ -57,7 +57,7 @@ export const getAllStudyMaterials = async (req, res) => {
 export const getSingleStudyMaterial = async (req, res) => {
   validateObjectId(req.params.id); // Validate MongoDB ObjectId
 
-  const material = await studyMaterialService.getMaterialById(req.params.id);
+  const material = await studyMaterialService.getMaterialById(req.user, req.params.id);
 
   res
     .status(StatusCodes.OK)
@@ -78,12 +78,19 @@ export const updateStudyMaterial = async (req, res) => {
     updates.fileUrl = req.file.path;
   }
 
-  const updatedMaterial = await studyMaterialService.updateMaterial(
+  const { material: updatedMaterial, previousStatus } = await studyMaterialService.updateMaterial(
     req.params.id,
     updates,
     req.user,
   );
 
+  if (updatedMaterial.status !== previousStatus) {
+    await recordAudit(req, AUDIT_ACTIONS.MATERIAL_STATUS_CHANGED, {
+      target: { type: "material", id: updatedMaterial._id, label: updatedMaterial.title },
+      metadata: { from: previousStatus, to: updatedMaterial.status },
+    });
+  }
+
   res
     .status(StatusCodes.OK)
     .json(
@@ -98,7 +105,11 @@ export const updateStudyMaterial = async (req, res) => {
 export const deleteStudyMaterial = async (req, res) => {
   validateObjectId(req.params.id); // Validate MongoDB ObjectId
 
-  await studyMaterialService.deleteMaterial(req.params.id, req.user);
+  const material = await studyMaterialService.deleteMaterial(req.params.id, req.user);
+  await recordAudit(req, AUDIT_ACTIONS.MATERIAL_DELETED, {
+    target: { type: "material", id: material._id, label: material.title },
+    metadata: { uploadedBy: material.uploadedBy },
+  });
 
   res
     .status(StatusCodes.OK)
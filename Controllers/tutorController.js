@@ -1,35 +1,60 @@
 import User from "../models/UserModel.js";
 import { StatusCodes } from "http-status-codes";
+import { BadRequestError, NotFoundError } from "../errors/customErrors.js";
+import { tenantFilter } from "../Config/tenancy.js";
+import { searchTutors, TUTOR_PUBLIC_FIELDS } from "../services/tutorSearchService.js";
+import { getBookableSlots } from "../services/tutorAvailabilityService.js";
+import { getTutorDashboard } from "../services/tutorDashboardService.js";
+import { paginatedResponse } from "../utils/responseHandler.js";
 
-// Get all tutors with optional filtering and pagination
-export const getAllTutors = async (req, res) => {
-  try {
-    const { subject, page = 1, limit = 10 } = req.query;
-    
-    const query = { role: "tutor" };
-    if (subject) query["tutorProfile.subjects"] = subject.toLowerCase();
+// tutorProfile fields a tutor may edit directly. rating, sessionCount and isVerified
+// are maintained by the system; subjects and qualifications have their own endpoints.
+const EDITABLE_PROFILE_FIELDS = [
+  "bio",
+  "experience",
+  "specializations",
+  "hourlyRate",
+  "availability",
+  "languages",
+];
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const tutors = await User.find(query)
-      .select("-password -resetPasswordToken -resetPasswordExpiry")
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort("-createdAt");
+// The tutor's own view of their account
+const OWN_TUTOR_FIELDS = "-password -resetPasswordToken -resetPasswordExpiry";
+const MAX_AVAILABILITY_EXCEPTIONS = 100;
 
-    const total = await User.countDocuments(query);
+// Apply an update to the logged-in tutor and return the fresh tutor document
+const updateOwnTutor = async (tutorId, update) => {
+  const tutor = await User.findOneAndUpdate({ _id: tutorId, role: "tutor" }, update, {
+    new: true,
+    runValidators: true,
+  }).select(OWN_TUTOR_FIELDS);
 
-    res.status(StatusCodes.OK).json({
-      success: true,
-      tutors,
-      pagination: { page: parseInt(page), limit: parseInt(limit), total },
-    });
-  } catch (error) {
-    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-      success: false,
-      msg: "Failed to fetch tutors",
-      error: error.message,
-    });
-  }
+  if (!tutor) throw new NotFoundError("Tutor not found");
+  return tutor;
+};
+
+// Listing shape: the tutor plus a top-level badge flag for the client
+const withVerifiedBadge = (tutor) => ({
+  ...tutor.toJSON(),
+  verifiedBadge: Boolean(tutor.tutorProfile?.isVerified),
+});
+
+/**
+ * GET /api/tutors
+ * Tutor search: q, subjects, languages, minRate, maxRate, minRating, minExperience,
+ * availability, verified, sort, page, limit (see services/tutorSearchService.js)
+ */
+export const getAllTutors = async (req, res) => {
+  const result = await searchTutors(req.user, req.query);
+
+  res.status(StatusCodes.OK).json(
+    paginatedResponse("Tutors retrieved successfully", result.tutors.map(withVerifiedBadge), {
+      totalCount: result.totalCount,
+      totalPages: result.totalPages,
+      currentPage: result.currentPage,
+      limit: result.limit,
+    })
+  );
 };
 
 // Get tutors by specific subject
@@ -37,18 +62,23 @@ export const getTutorsBySubject = async (req, res) => {
   try {
     const { subject } = req.params;
     
-    const tutors = await User.find({
+    const query = {
       role: "tutor",
+      status: { $nin: ["suspended", "deleted"] },
       "tutorProfile.subjects": subject.toLowerCase(),
-    })
-      .select("-password -resetPasswordToken -resetPasswordExpiry")
+      ...tenantFilter(req.user),
+    };
+    if (req.query.verified === "true") query["tutorProfile.isVerified"] = true;
+
+    const tutors = await User.find(query)
+      .select(TUTOR_PUBLIC_FIELDS)
       .sort({ "tutorProfile.rating.average": -1 });
 
     res.status(StatusCodes.OK).json({
       success: true,
       subject,
       count: tutors.length,
-      tutors,
+      tutors: tutors.map(withVerifiedBadge),
     });
   } catch (error) {
     res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
@@ -63,7 +93,7 @@ export const getTutorsBySubject = async (req, res) => {
 export const getAvailableSubjects = async (req, res) => {
   try {
     const subjects = await User.aggregate([
-      { $match: { role: "tutor" } },
+      { $match: { role: "tutor", status: { $nin: ["suspended", "deleted"] }, ...tenantFilter(req.user) } },
       { $unwind: "$tutorProfile.subjects" },
       { $group: { _id: "$tutorProfile.subjects", count: { $sum: 1 } } },
       { $sort: { count: -1 } },
@@ -83,8 +113,12 @@ export const getAvailableSubjects = async (req, res) => {
 // Get tutor by ID
 export const getTutorById = async (req, res) => {
   try {
-    const tutor = await User.findOne({ _id: req.params.id, role: "tutor" })
-      .select("-password -resetPasswordToken -resetPasswordExpiry");
+    const tutor = await User.findOne({
+      _id: req.params.id,
+      role: "tutor",
+      status: { $nin: ["suspended", "deleted"] },
+      ...tenantFilter(req.user),
+    }).select(TUTOR_PUBLIC_FIELDS);
 
     if (!tutor) {
       return res.status(StatusCodes.NOT_FOUND).json({
@@ -93,7 +127,7 @@ export const getTutorById = async (req, res) => {
       });
     }
 
-    res.status(StatusCodes.OK).json({ success: true, tutor });
+    res.status(StatusCodes.OK).json({ success: true, tutor: withVerifiedBadge(tutor) });
   } catch (error) {
     res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
       success: false,
@@ -102,3 +136,221 @@ export const getTutorById = async (req, res) => {
     });
   }
 };
+
+/**
+ * PATCH /api/tutors/me/profile
+ * body: { bio?, experience?, specializations?, hourlyRate?, availability?, languages? }
+ */
+export const updateMyTutorProfile = async (req, res) => {
+  const $set = {};
+  EDITABLE_PROFILE_FIELDS.forEach((field) => {
+    if (req.body?.[field] !== undefined) $set[`tutorProfile.${field}`] = req.body[field];
+  });
+
+  if (Object.keys($set).length === 0) {
+    throw new BadRequestError(
+      `Nothing to update. Allowed fields: ${EDITABLE_PROFILE_FIELDS.join(", ")}`
+    );
+  }
+
+  const tutor = await updateOwnTutor(req.user._id, { $set });
+  res.status(StatusCodes.OK).json({ success: true, msg: "Tutor profile updated", tutor });
+};
+
+/**
+ * POST /api/tutors/me/subjects
+ * body: { subject }
+ */
+export const addMySubject = async (req, res) => {
+  const subject = String(req.body.subject).trim().toLowerCase();
+
+  const tutor = await updateOwnTutor(req.user._id, {
+    $addToSet: { "tutorProfile.subjects": subject },
+  });
+  res.status(StatusCodes.OK).json({ success: true, msg: "Subject added", subjects: tutor.tutorProfile.subjects });
+};
+
+/**
+ * DELETE /api/tutors/me/subjects/:subject
+ * A tutor must keep at least one subject
+ */
+export const removeMySubject = async (req, res) => {
+  const subject = String(req.params.subject).trim().toLowerCase();
+
+  const current = await User.findOne({ _id: req.user._id, role: "tutor" }).select("tutorProfile.subjects");
+  if (!current) throw new NotFoundError("Tutor not found");
+
+  const subjects = current.tutorProfile?.subjects || [];
+  if (!subjects.includes(subject)) {
+    throw new NotFoundError(`Subject "${subject}" is not in your profile`);
+  }
+  if (subjects.length === 1) {
+    throw new BadRequestError("A tutor must teach at least one subject");
+  }
+
+  const tutor = await updateOwnTutor(req.user._id, {
+    $pull: { "tutorProfile.subjects": subject },
+  });
+  res.status(StatusCodes.OK).json({ success: true, msg: "Subject removed", subjects: tutor.tutorProfile.subjects });
+};
+
+/**
+ * POST /api/tutors/me/qualifications
+ * body: { degree, institution, year? }
+ */
+export const addMyQualification = async (req, res) => {
+  const { degree, institution, year } = req.body;
+
+  const tutor = await updateOwnTutor(req.user._id, {
+    $push: {
+      "tutorProfile.qualifications": {
+        degree: String(degree).trim(),
+        institution: String(institution).trim(),
+        ...(year !== undefined ? { year: Number(year) } : {}),
+      },
+    },
+  });
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    msg: "Qualification added",
+    qualifications: tutor.tutorProfile.qualifications,
+  });
+};
+
+/**
+ * DELETE /api/tutors/me/qualifications/:qualificationId
+ */
+export const removeMyQualification = async (req, res) => {
+  const { qualificationId } = req.params;
+
+  const exists = await User.exists({
+    _id: req.user._id,
+    role: "tutor",
+    "tutorProfile.qualifications._id": qualificationId,
+  });
+  if (!exists) throw new NotFoundError("Qualification not found");
+
+  const tutor = await updateOwnTutor(req.user._id, {
+    $pull: { "tutorProfile.qualifications": { _id: qualificationId } },
+  });
+  res.status(StatusCodes.OK).json({
+    success: true,
+    msg: "Qualification removed",
+    qualifications: tutor.tutorProfile.qualifications,
+  });
+};
+
+/**
+ * PATCH /api/tutors/me/availability
+ * body: { availability: "available" | "busy" | "unavailable" }
+ */
+export const setMyAvailability = async (req, res) => {
+  const tutor = await updateOwnTutor(req.user._id, {
+    $set: { "tutorProfile.availability": req.body.availability },
+  });
+  res.status(StatusCodes.OK).json({
+    success: true,
+    msg: "Availability updated",
+    availability: tutor.tutorProfile.availability,
+  });
+};
+
+/**
+ * PUT /api/tutors/me/availability/weekly
+ * body: { windows: [{ day: 0-6, start: "HH:MM", end: "HH:MM" }], timezone?, slotMinutes? }
+ * Replaces the whole weekly schedule
+ */
+export const setMyWeeklyAvailability = async (req, res) => {
+  const { windows, timezone, slotMinutes } = req.body;
+
+  const $set = {
+    "tutorProfile.weeklyAvailability": windows.map(({ day, start, end }) => ({ day, start, end })),
+  };
+  if (timezone !== undefined) $set["tutorProfile.timezone"] = timezone;
+  if (slotMinutes !== undefined) $set["tutorProfile.slotMinutes"] = slotMinutes;
+
+  const tutor = await updateOwnTutor(req.user._id, { $set });
+  const { weeklyAvailability, timezone: savedTimezone, slotMinutes: savedSlotMinutes } = tutor.tutorProfile;
+  res.status(StatusCodes.OK).json({
+    success: true,
+    msg: "Weekly availability updated",
+    timezone: savedTimezone,
+    slotMinutes: savedSlotMinutes,
+    weeklyAvailability,
+  });
+};
+
+/**
+ * POST /api/tutors/me/availability/exceptions
+ * body: { date: "YYYY-MM-DD", kind: "blocked" | "extra", start?, end?, reason? }
+ * "blocked" without times is a day off
+ */
+export const addMyAvailabilityException = async (req, res) => {
+  const { date, kind, start, end, reason } = req.body;
+
+  const current = await User.findOne({ _id: req.user._id, role: "tutor" }).select("tutorProfile.availabilityExceptions");
+  if (!current) throw new NotFoundError("Tutor not found");
+  if ((current.tutorProfile?.availabilityExceptions || []).length >= MAX_AVAILABILITY_EXCEPTIONS) {
+    throw new BadRequestError(
+      `You can have at most ${MAX_AVAILABILITY_EXCEPTIONS} exceptions. Remove past ones first`
+    );
+  }
+
+  const tutor = await updateOwnTutor(req.user._id, {
+    $push: {
+      "tutorProfile.availabilityExceptions": {
+        date,
+        kind,
+        ...(start && end ? { start, end } : {}),
+        ...(reason ? { reason } : {}),
+      },
+    },
+  });
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    msg: "Availability exception added",
+    availabilityExceptions: tutor.tutorProfile.availabilityExceptions,
+  });
+};
+
+/**
+ * DELETE /api/tutors/me/availability/exceptions/:exceptionId
+ */
+export const removeMyAvailabilityException = async (req, res) => {
+  const { exceptionId } = req.params;
+
+  const exists = await User.exists({
+    _id: req.user._id,
+    role: "tutor",
+    "tutorProfile.availabilityExceptions._id": exceptionId,
+  });
+  if (!exists) throw new NotFoundError("Availability exception not found");
+
+  const tutor = await updateOwnTutor(req.user._id, {
+    $pull: { "tutorProfile.availabilityExceptions": { _id: exceptionId } },
+  });
+  res.status(StatusCodes.OK).json({
+    success: true,
+    msg: "Availability exception removed",
+    availabilityExceptions: tutor.tutorProfile.availabilityExceptions,
+  });
+};
+
+/**
+ * GET /api/tutors/:id/slots?from=&to=
+ * Free bookable slots (UTC) computed from the tutor's weekly windows, exceptions and sessions
+ */
+export const getTutorSlots = async (req, res) => {
+  const result = await getBookableSlots(req.user, req.params.id, req.query);
+  res.status(StatusCodes.OK).json({ success: true, count: result.slots.length, ...result });
+};
+
+/**
+ * GET /api/tutors/me/dashboard
+ * Today's schedule, upcoming sessions with fill rates, rating trend, stalled students
+ * and material engagement for the logged-in tutor
+ */
+export const getMyDashboard = async (req, res) => {
+  const dashboard = await getTutorDashboard(req.user);
+  res.status(StatusCodes.OK).json({ success: true, ...dashboard });
+};
@@ -0,0 +1,83 @@
+import { StatusCodes } from "http-status-codes";
+import * as tutorVerificationService from "../services/tutorVerificationService.js";
+import { recordAudit, AUDIT_ACTIONS } from "../services/auditService.js";
+import { paginatedResponse, successResponse } from "../utils/responseHandler.js";
+import { validateObjectId } from "../utils/validationUtils.js";
+
+/**
+ * POST /api/tutors/me/verification
+ * multipart form: documents (1-5 files), note?
+ */
+export const submitVerification = async (req, res) => {
+  const request = await tutorVerificationService.submitVerificationRequest(
+    req.user,
+    req.files,
+    req.body?.note,
+  );
+
+  res
+    .status(StatusCodes.CREATED)
+    .json(successResponse("Verification request submitted", request));
+};
+
+/**
+ * GET /api/tutors/me/verification
+ * The logged-in tutor's requests, newest first
+ */
+export const getMyVerification = async (req, res) => {
+  const requests = await tutorVerificationService.getMyVerificationRequests(req.user._id);
+
+  res.status(StatusCodes.OK).json(
+    successResponse("Verification requests retrieved successfully", {
+      isVerified: Boolean(req.user.tutorProfile?.isVerified),
+      requests,
+    }),
+  );
+};
+
+/**
+ * GET /api/admin/tutor-verifications
+ * Query params: status (default pending), page, limit
+ */
+export const listVerificationRequests = async (req, res) => {
+  const result = await tutorVerificationService.listVerificationRequests(req.user, req.query);
+
+  res.status(StatusCodes.OK).json(
+    paginatedResponse("Verification requests retrieved successfully", result.requests, {
+      totalCount: result.totalCount,
+      totalPages: result.totalPages,
+      currentPage: result.currentPage,
+      limit: result.limit,
+    }),
+  );
+};
+
+/**
+ * GET /api/admin/tutor-verifications/:id
+ */
+export const getVerificationRequest = async (req, res) => {
+  validateObjectId(req.params.id);
+
+  const request = await tutorVerificationService.getVerificationRequest(req.user, req.params.id);
+  res.status(StatusCodes.OK).json(successResponse("Verification request retrieved successfully", request));
+};
+
+/**
+ * PATCH /api/admin/tutor-verifications/:id/:action
+ * action: approve | reject | request-info, body: { comment? }
+ */
+export const reviewVerificationRequest = async (req, res) => {
+  validateObjectId(req.params.id);
+
+  const request = await tutorVerificationService.reviewVerificationRequest(
+    req.user,
+    req.params.id,
+    req.params.action,
+    req.body?.comment,
+  );
+  await recordAudit(req, AUDIT_ACTIONS.VERIFICATION_REVIEWED, {
+    target: { type: "user", id: request.tutor },
+    metadata: { requestId: request._id, decision: request.status, comment: req.body?.comment },
+  });
+  res.status(StatusCodes.OK).json(successResponse(`Verification request ${request.status}`, request));
+};
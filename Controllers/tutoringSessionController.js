@@ -1,6 +1,8 @@
 import * as tutoringSessionService from "../services/tutoringSessionService.js";
+import { recordAudit, AUDIT_ACTIONS } from "../services/auditService.js";
 import { StatusCodes } from "http-status-codes";
 import TutoringSession from "../models/TutoringSessionModel.js";
+import { tenantFilter } from "../Config/tenancy.js";
 
 export const createTutoringSession = async (req, res) => {
   const session = await tutoringSessionService.createSession(req.user, req.body);
@@ -8,12 +10,12 @@ export const createTutoringSession = async (req, res) => {
 };
 
 export const getAllTutoringSessions = async (req, res) => {
-  const { sessions, pagination } = await tutoringSessionService.getAllSessions(req.query);
+  const { sessions, pagination } = await tutoringSessionService.getAllSessions(req.user, req.query);
   return res.status(StatusCodes.OK).json({ msg: "Tutoring sessions retrieved", sessions, pagination });
 };
 
 export const getTutoringSessionById = async (req, res) => {
-  const session = await tutoringSessionService.getSessionById(req.params.id);
+  const session = await tutoringSessionService.getSessionById(req.user, req.params.id);
   return res.status(StatusCodes.OK).json({ msg: "Session retrieved", session });
 };
 
@@ -23,7 +25,11 @@ export const updateTutoringSession = async (req, res) => {
 };
 
 export const deleteTutoringSession = async (req, res) => {
-  await tutoringSessionService.deleteSession(req.user, req.params.id);
+  const session = await tutoringSessionService.deleteSession(req.user, req.params.id);
+  await recordAudit(req, AUDIT_ACTIONS.SESSION_DELETED, {
+    target: { type: "session", id: session._id, label: `${session.subject} - ${session.topic}` },
+    metadata: { tutorId: session.tutor, enrolled: session.capacity?.currentEnrolled },
+  });
   return res.status(StatusCodes.OK).json({ msg: "Session deleted successfully" });
 };
 
@@ -38,7 +44,7 @@ export const leaveTutoringSession = async (req, res) => {
 };
 
 export const getTutorSessions = async (req, res) => {
-  const sessions = await tutoringSessionService.getTutorSessions(req.params.tutorId);
+  const sessions = await tutoringSessionService.getTutorSessions(req.user, req.params.tutorId);
   return res.status(StatusCodes.OK).json({ msg: "Tutor sessions retrieved", sessions });
 };
 
@@ -47,11 +53,44 @@ export const getMyEnrolledSessions = async (req, res) => {
   return res.status(StatusCodes.OK).json({ msg: "Your enrolled sessions", sessions });
 };
 
+export const getSessionRoster = async (req, res) => {
+  const session = await tutoringSessionService.getSessionRoster(req.user, req.params.id);
+  return res.status(StatusCodes.OK).json({
+    msg: "Session roster retrieved",
+    capacity: session.capacity,
+    participants: session.participants,
+  });
+};
+
+export const addSessionParticipant = async (req, res) => {
+  const session = await tutoringSessionService.addSessionParticipant(req.user, req.params.id, req.body.userId);
+  return res.status(StatusCodes.OK).json({ msg: "Participant added", currentEnrolled: session.capacity.currentEnrolled });
+};
+
+export const removeSessionParticipant = async (req, res) => {
+  const session = await tutoringSessionService.removeSessionParticipant(req.user, req.params.id, req.params.userId);
+  return res.status(StatusCodes.OK).json({ msg: "Participant removed", currentEnrolled: session.capacity.currentEnrolled });
+};
+
+export const updateSessionParticipantStatus = async (req, res) => {
+  await tutoringSessionService.updateSessionParticipantStatus(
+    req.user,
+    req.params.id,
+    req.params.userId,
+    req.body.status
+  );
+  return res.status(StatusCodes.OK).json({ msg: "Participant status updated" });
+};
+
 export const getTutoringSessionsByTutor = async (req, res) => {
   const { tutorId } = req.params;
 
   try {
-    const sessions = await TutoringSession.find({ tutor: tutorId }).sort({ "schedule.date": 1 });
+    const sessions = await TutoringSession.find({
+      tutor: tutorId,
+      ...tenantFilter(req.user),
+      ...tutoringSessionService.visibleSessionsFilter(req.user),
+    }).sort({ "schedule.date": 1 });
 
     if (!sessions || sessions.length === 0) {
       return res.status(404).json({ msg: "No sessions found for this tutor" });
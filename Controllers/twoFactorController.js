@@ -0,0 +1,58 @@
+import { StatusCodes } from "http-status-codes";
+import { BadRequestError } from "../errors/customErrors.js";
+import * as twoFactorService from "../services/twoFactorService.js";
+
+/**
+ * POST /api/auth/2fa/enroll
+ * Returns a new secret + otpauth URL for the authenticator app (tutor/admin)
+ */
+export const enrollTwoFactor = async (req, res) => {
+  const enrollment = await twoFactorService.startEnrollment(req.user._id);
+  res.status(StatusCodes.OK).json({
+    msg: "Scan the secret with your authenticator app, then confirm with a code",
+    ...enrollment,
+  });
+};
+
+/**
+ * POST /api/auth/2fa/confirm
+ * body: { code }
+ * Enables 2FA and returns the recovery codes (shown only once)
+ */
+export const confirmTwoFactor = async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) throw new BadRequestError("code is required");
+
+  const recoveryCodes = await twoFactorService.confirmEnrollment(req.user._id, code);
+  res.status(StatusCodes.OK).json({
+    msg: "Two-factor authentication enabled. Store these recovery codes somewhere safe",
+    recoveryCodes,
+  });
+};
+
+/**
+ * POST /api/auth/2fa/disable
+ * body: { password, code | recoveryCode }
+ */
+export const disableTwoFactor = async (req, res) => {
+  const { password, code, recoveryCode } = req.body || {};
+  if (!password || (!code && !recoveryCode)) {
+    throw new BadRequestError("password and a code or recoveryCode are required");
+  }
+
+  await twoFactorService.disableTwoFactor(req.user._id, { password, code, recoveryCode });
+  res.status(StatusCodes.OK).json({ msg: "Two-factor authentication disabled" });
+};
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * body: { code }
+ * Replaces every recovery code
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) throw new BadRequestError("code is required");
+
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id, code);
+  res.status(StatusCodes.OK).json({ msg: "Recovery codes regenerated", recoveryCodes });
+};
@@ -0,0 +1,165 @@
+import fs from "fs";
+import User from "../models/UserModel.js";
+import { StatusCodes } from "http-status-codes";
+import { BadRequestError, NotFoundError } from "../errors/customErrors.js";
+import { hashPassword, comparePassword } from "../utils/passwordUtils.js";
+import { revokeOtherSessions, reissueAccessToken } from "../services/authTokenService.js";
+import { verifyLoginCode } from "../services/twoFactorService.js";
+import { streamExportArchive, eraseAccount } from "../services/accountDataService.js";
+import { recordAudit, AUDIT_ACTIONS } from "../services/auditService.js";
+
+// Only these fields can be changed through PATCH /api/users/me.
+// role, email, tutorProfile, emailVerified, etc. are ignored to prevent mass-assignment.
+const SELF_EDITABLE_FIELDS = ["fullName", "phoneNumber", "location"];
+
+const DEFAULT_AVATAR = "uploads/default-avatar.png";
+
+const removeLocalFile = (filePath) => {
+  if (!filePath || filePath === DEFAULT_AVATAR || !filePath.startsWith("uploads/")) return;
+  fs.unlink(filePath, (err) => {
+    if (err) console.error("Failed to remove old avatar:", err.message);
+  });
+};
+
+/**
+ * GET /api/users/me
+ * Logged-in user's own profile
+ */
+export const getMe = async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (!user) throw new NotFoundError("User not found");
+
+  res.status(StatusCodes.OK).json({ user });
+};
+
+/**
+ * PATCH /api/users/me
+ * body: { fullName?, phoneNumber?, location? }
+ */
+export const updateMe = async (req, res) => {
+  const updates = {};
+  SELF_EDITABLE_FIELDS.forEach((field) => {
+    if (req.body?.[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  if (Object.keys(updates).length === 0) {
+    throw new BadRequestError(
+      `Nothing to update. Allowed fields: ${SELF_EDITABLE_FIELDS.join(", ")}`
+    );
+  }
+
+  const user = await User.findByIdAndUpdate(req.user._id, updates, {
+    new: true,
+    runValidators: true,
+  });
+  if (!user) throw new NotFoundError("User not found");
+
+  res.status(StatusCodes.OK).json({ msg: "Profile updated", user });
+};
+
+/**
+ * PATCH /api/users/me/avatar
+ * multipart/form-data with an image in the "avatar" field
+ */
+export const updateMyAvatar = async (req, res) => {
+  if (!req.file) {
+    throw new BadRequestError("Please upload an image in the avatar field");
+  }
+
+  const previous = req.user.avatar;
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { avatar: `uploads/${req.file.filename}` },
+    { new: true }
+  );
+  if (!user) {
+    removeLocalFile(`uploads/${req.file.filename}`);
+    throw new NotFoundError("User not found");
+  }
+
+  removeLocalFile(previous);
+  res.status(StatusCodes.OK).json({ msg: "Avatar updated", avatar: user.avatar });
+};
+
+/**
+ * PATCH /api/users/me/password
+ * body: { currentPassword, newPassword }
+ * Signs out every other device; the current session stays logged in
+ */
+export const changeMyPassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+
+  const user = await User.findById(req.user._id);
+  if (!user) throw new NotFoundError("User not found");
+
+  const isMatch = user.password && (await comparePassword(currentPassword, user.password));
+  if (!isMatch) {
+    throw new BadRequestError("Current password is incorrect");
+  }
+  if (await comparePassword(newPassword, user.password)) {
+    throw new BadRequestError("New password must be different from the current password");
+  }
+
+  user.password = await hashPassword(newPassword);
+  user.passwordChangedAt = new Date();
+  await user.save();
+
+  const sessionId = req.auth?.sessionId;
+  await revokeOtherSessions(user._id, sessionId, "password-changed");
+  await recordAudit(req, AUDIT_ACTIONS.PASSWORD_CHANGED, {
+    target: { type: "user", id: user._id, label: user.email },
+    metadata: { sessionId },
+  });
+
+  // passwordChangedAt invalidates every older access token, including this device's
+  const fresh = await reissueAccessToken(user, sessionId);
+  if (fresh && req.cookies?.token) {
+    res.cookie("token", fresh.accessToken, {
+      httpOnly: true,
+      expires: fresh.expiresAt,
+      secure: process.env.NODE_ENV === "production",
+    });
+  }
+
+  res.status(StatusCodes.OK).json({
+    msg: "Password changed. Other devices have been signed out",
+    token: fresh?.accessToken,
+  });
+};
+
+/**
+ * GET /api/users/me/export
+ * Downloads a zip with everything stored about the logged-in user
+ */
+export const exportMyData = async (req, res) => {
+  await streamExportArchive(req.user._id, res);
+};
+
+/**
+ * DELETE /api/users/me
+ * body: { password, code? | recoveryCode? } (code required when 2FA is on)
+ * Permanently deletes the account; feedback given is kept anonymously
+ */
+export const deleteMe = async (req, res) => {
+  const { password, code, recoveryCode } = req.body || {};
+
+  const user = await User.findById(req.user._id);
+  if (!user) throw new NotFoundError("User not found");
+
+  const isMatch = user.password && (await comparePassword(password, user.password));
+  if (!isMatch) {
+    throw new BadRequestError("Password is incorrect");
+  }
+  if (user.twoFactor?.enabled && !(await verifyLoginCode(user._id, { code, recoveryCode }))) {
+    throw new BadRequestError("Invalid authentication code");
+  }
+
+  const summary = await eraseAccount(user._id);
+  await recordAudit(req, AUDIT_ACTIONS.ACCOUNT_ERASED, {
+    actor: user,
+    target: { type: "user", id: user._id, label: user.email },
+    metadata: summary,
+  });
+
+  res.status(StatusCodes.OK).json({ msg: "Your account and personal data have been deleted", ...summary });
+};
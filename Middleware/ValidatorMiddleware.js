@@ -1,11 +1,11 @@
 
-import User from "../models/UserModel.js";
+import User, { USER_ROLES } from "../models/UserModel.js";
 import Message from "../models/MessageModel.js";
 import { body, param, validationResult } from "express-validator";
 import { BadRequestError } from "../errors/customErrors.js";
 
-// Helper function to wrap validation chains with error handling
-const withValidationError = (validateValues) => {
+// Wraps validation chains so failures become a single BadRequestError; shared by every validator file
+export const withValidationError = (validateValues) => {
   return [
     ...validateValues,
     (req, res, next) => {
@@ -20,8 +20,8 @@ const withValidationError = (validateValues) => {
 };
 
 
-// Middleware to handle validation Register input
-export const validateRegisterInput = withValidationError([
+// Profile rules for a new account, shared by self-registration and the admin CSV import
+export const registerProfileRules = [
   body("fullName")
     .notEmpty()
     .withMessage("Full name is required")
@@ -39,11 +39,6 @@ export const validateRegisterInput = withValidationError([
         throw new BadRequestError("Email already exists");
       }
     }),
-  body("password")
-    .notEmpty()
-    .withMessage("Password is required")
-    .isLength({ min: 6 })
-    .withMessage("Password must be at least 6 characters long"),
   body("phoneNumber")
     .notEmpty()
     .withMessage("Phone number is required")
@@ -52,7 +47,7 @@ export const validateRegisterInput = withValidationError([
   body("location").notEmpty().withMessage("Location is required").trim(),
   body("role")
     .optional()
-    .isIn(["user", "admin", "organizer", "tutor"])
+    .isIn(USER_ROLES)
     .withMessage("Invalid role"),
   // Conditional validation for tutors - subjects are required
   body("subjects")
@@ -68,6 +63,22 @@ export const validateRegisterInput = withValidationError([
     .isLength({ min: 2, max: 50 })
     .withMessage("Each subject must be between 2 and 50 characters")
     .trim(),
+];
+
+// Middleware to handle validation Register input
+export const validateRegisterInput = withValidationError([
+  ...registerProfileRules,
+  body("password")
+    .notEmpty()
+    .withMessage("Password is required")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long"),
+  body("institutionCode")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 40 })
+    .withMessage("Invalid institution code"),
 ]);
 
 // Middleware to handle validation Login input
@@ -80,6 +91,63 @@ export const validateLoginInput = withValidationError([
   body("password").notEmpty().withMessage("Password is required"),
 ]);
 
+// Middleware to handle validation Forgot Password input
+export const validateForgotPasswordInput = withValidationError([
+  body("email")
+    .notEmpty()
+    .withMessage("Email is required")
+    .isEmail()
+    .withMessage("Invalid email format"),
+]);
+
+// Middleware to handle validation Reset Password input
+export const validateResetPasswordInput = withValidationError([
+  body("token").notEmpty().withMessage("Reset token is required"),
+  body("password")
+    .notEmpty()
+    .withMessage("Password is required")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long"),
+]);
+
+// Middleware to handle validation Verify Email input
+export const validateVerifyEmailInput = withValidationError([
+  body("token").notEmpty().withMessage("Verification token is required"),
+]);
+
+// Middleware to handle validation Unlock Account input
+export const validateUnlockInput = withValidationError([
+  body("token").notEmpty().withMessage("Unlock token is required"),
+]);
+
+// Middleware to handle validation Update Profile input (only self-editable fields)
+export const validateUpdateProfileInput = withValidationError([
+  body("fullName")
+    .optional()
+    .isLength({ min: 3, max: 50 })
+    .withMessage("Full name must be between 3 and 50 characters")
+    .trim(),
+  body("phoneNumber")
+    .optional()
+    .matches(/^[0-9]{10}$/)
+    .withMessage("Please provide a valid 10-digit phone number"),
+  body("location")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Location cannot be empty"),
+]);
+
+// Middleware to handle validation Change Password input
+export const validateChangePasswordInput = withValidationError([
+  body("currentPassword").notEmpty().withMessage("Current password is required"),
+  body("newPassword")
+    .notEmpty()
+    .withMessage("New password is required")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long"),
+]);
+
 // Middleware to handle Message validation
 export const validateMessageInput = withValidationError([
   body("name")
@@ -109,3 +177,8 @@ export const validateMessageInput = withValidationError([
       return true;
     }),
 ]);
+
+// Validate account deletion (password always; 2FA code is checked in the controller)
+export const validateDeleteAccountInput = withValidationError([
+  body("password").notEmpty().withMessage("Password is required to delete your account"),
+]);
@@ -0,0 +1,110 @@
+import { body, param, query } from "express-validator";
+import { withValidationError } from "./ValidatorMiddleware.js";
+import { USER_ROLES, USER_STATUSES } from "../models/UserModel.js";
+
+const isListOf = (allowed) => (value) =>
+  String(value)
+    .split(",")
+    .every((v) => allowed.includes(v));
+
+// Validate user list filters
+export const validateUserListQuery = withValidationError([
+  query("role")
+    .optional()
+    .custom(isListOf(USER_ROLES))
+    .withMessage(`Role must be one of: ${USER_ROLES.join(", ")}`),
+  query("status")
+    .optional()
+    .custom(isListOf(USER_STATUSES))
+    .withMessage(`Status must be one of: ${USER_STATUSES.join(", ")}`),
+  query("verified")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("verified must be true or false"),
+  query("institution")
+    .optional()
+    .custom((value) => value === "none" || /^[a-f\d]{24}$/i.test(value))
+    .withMessage("institution must be an institution id or \"none\""),
+  query("createdFrom").optional().isISO8601().withMessage("createdFrom must be a date"),
+  query("createdTo").optional().isISO8601().withMessage("createdTo must be a date"),
+  query("search")
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("Search cannot exceed 100 characters"),
+]);
+
+// Validate role change
+export const validateRoleChange = withValidationError([
+  body("role")
+    .notEmpty()
+    .withMessage("Role is required")
+    .isIn(USER_ROLES)
+    .withMessage(`Role must be one of: ${USER_ROLES.join(", ")}`),
+]);
+
+// Validate suspension
+export const validateSuspension = withValidationError([
+  body("reason")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage("Reason cannot exceed 300 characters"),
+]);
+
+const REVIEW_ACTIONS = ["approve", "reject", "request-info"];
+
+// Validate a tutor verification decision; rejecting or asking for info needs a comment
+export const validateVerificationReview = withValidationError([
+  param("action")
+    .isIn(REVIEW_ACTIONS)
+    .withMessage(`Action must be one of: ${REVIEW_ACTIONS.join(", ")}`),
+  body("comment")
+    .if((value, { req }) => req.params.action !== "approve")
+    .notEmpty()
+    .withMessage("A comment is required when rejecting or requesting more information"),
+  body("comment")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Comment cannot exceed 1000 characters"),
+]);
+
+// Validate assigning a tutor to an organizer
+export const validateOrganizerTutor = withValidationError([
+  body("tutorId")
+    .notEmpty()
+    .withMessage("tutorId is required")
+    .isMongoId()
+    .withMessage("Invalid tutorId"),
+]);
+
+// Validate bulk import options (the file itself is checked by the import service)
+export const validateUserImport = withValidationError([
+  query("dryRun").optional().isIn(["true", "false"]).withMessage("dryRun must be true or false"),
+]);
+
+// Validate impersonation request (the reason is kept in the audit log)
+export const validateImpersonation = withValidationError([
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 300 })
+    .withMessage("A reason between 5 and 300 characters is required"),
+]);
+
+// Validate audit log filters (shared by the list and the CSV export)
+export const validateAuditQuery = withValidationError([
+  query("actor").optional().isMongoId().withMessage("actor must be a valid user id"),
+  query("impersonator").optional().isMongoId().withMessage("impersonator must be a valid user id"),
+  query("targetId").optional().isMongoId().withMessage("targetId must be a valid id"),
+  query("from").optional().isISO8601().withMessage("from must be a date"),
+  query("to").optional().isISO8601().withMessage("to must be a date"),
+  query("action")
+    .optional()
+    .isString()
+    .isLength({ max: 300 })
+    .withMessage("action cannot exceed 300 characters"),
+]);
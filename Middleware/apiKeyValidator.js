@@ -0,0 +1,25 @@
+import { body } from "express-validator";
+import { withValidationError } from "./ValidatorMiddleware.js";
+import { API_KEY_SCOPE_NAMES } from "../Config/apiKeyScopes.js";
+import { API_KEY_MAX_EXPIRE_DAYS } from "../services/apiKeyService.js";
+
+// Validate a new API key
+export const validateCreateApiKey = withValidationError([
+  body("name")
+    .isString()
+    .withMessage("Name is required")
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage("Name must be between 1 and 60 characters"),
+  body("scopes")
+    .isArray({ min: 1 })
+    .withMessage("At least one scope is required"),
+  body("scopes.*")
+    .isIn(API_KEY_SCOPE_NAMES)
+    .withMessage(`Scopes must be among: ${API_KEY_SCOPE_NAMES.join(", ")}`),
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: API_KEY_MAX_EXPIRE_DAYS })
+    .withMessage(`expiresInDays must be between 1 and ${API_KEY_MAX_EXPIRE_DAYS}`)
+    .toInt(),
+]);
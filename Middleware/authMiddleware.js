@@ -1,79 +1,170 @@
 import User from "../models/UserModel.js";
 import { UnauthenticatedError, UnauthorizedError } from "../errors/customErrors.js";
 import { verifyJWT } from "../utils/generateToken.js";
+import { isSessionActive } from "../services/authTokenService.js";
+import { isTwoFactorRequired } from "../services/twoFactorService.js";
+import { resolveImpersonator, trackImpersonatedRequest } from "../services/impersonationService.js";
+import { findUsableApiKey, isApiKey, touchApiKey } from "../services/apiKeyService.js";
+import { assertInstitutionActive } from "../services/institutionService.js";
+import { hasAnyScope } from "../Config/permissions.js";
+import { apiKeyAllows } from "../Config/apiKeyScopes.js";
 
 /**
- * Reads JWT from:
- * Authorization: Bearer <token>
- * Attaches full user document to req.user
+ * Reads the JWT or API key from any transport:
+ * X-API-Key: <key>                (integrations)
+ * Authorization: Bearer <token>  (mobile / API clients, JWT or API key)
+ * cookie (token)                  (web client)
  */
-export const protect = async (req, res, next) => {
-  try {
-    const auth = req.headers.authorization || "";
-    const token = auth.startsWith("Bearer ")
-      ? auth.split(" ")[1]
-      : null;
-
-    if (!token) {
-      throw new UnauthenticatedError("Not authorized, no token");
-    }
+export const extractToken = (req) => {
+  if (req.headers["x-api-key"]) return req.headers["x-api-key"];
 
-    const decoded = verifyJWT(token);
+  const auth = req.headers.authorization || "";
+  if (auth.startsWith("Bearer ")) {
+    return auth.split(" ")[1];
+  }
+  return req.cookies?.token || null;
+};
 
-    // Support payload styles: { id }, { userId }, { _id }
-    const userId = decoded?.id || decoded?.userId || decoded?._id;
+const loadActiveUser = async (userId) => {
+  const user = await User.findById(userId).select("-password");
+  if (!user || user.status === "deleted") {
+    throw new UnauthenticatedError("Authentication invalid");
+  }
+  if (!user.isActive()) {
+    throw new UnauthorizedError("Your account has been suspended");
+  }
+  return user;
+};
 
-    if (!userId) {
-      throw new UnauthenticatedError("Invalid token payload");
-    }
+const assertTwoFactorSetUp = (user, allowPendingTwoFactor) => {
+  // Mandatory 2FA policy: until enrolled, only the enrollment routes are reachable
+  if (!allowPendingTwoFactor && isTwoFactorRequired(user) && !user.twoFactor?.enabled) {
+    throw new UnauthorizedError(
+      "Two-factor authentication is required for your role. Enable it via /api/auth/2fa/enroll"
+    );
+  }
+};
 
-    const user = await User.findById(userId);
-    if (!user) {
-      throw new UnauthenticatedError("User not found");
-    }
+/**
+ * API keys act as their owner, but only on the routes their scopes open (Config/apiKeyScopes.js).
+ * They outlive logins, so the owner's status and institution are checked on every request.
+ */
+const authenticateApiKey = async (req, key) => {
+  const apiKey = await findUsableApiKey(key);
 
-    req.user = user;
-    next();
-  } catch (error) {
-    throw new UnauthenticatedError("Not authorized, token failed");
+  const path = req.originalUrl.split("?")[0];
+  if (!apiKeyAllows(apiKey.scopes, req.method, path)) {
+    throw new UnauthorizedError("This API key does not have a scope for this route");
   }
+
+  const user = await loadActiveUser(apiKey.user);
+  await assertInstitutionActive(user);
+  assertTwoFactorSetUp(user, false);
+
+  touchApiKey(apiKey, req.ip);
+
+  req.user = user;
+  req.auth = { apiKeyId: apiKey._id, scopes: apiKey.scopes };
 };
 
 /**
- * Reads JWT from:
- * cookie (token)
- * Attaches req.user { userId, role }
+ * Single authentication layer for every router
+ * Attaches the user document (without password) to req.user,
+ * so controllers always use req.user._id / req.user.role
  */
-export const authenticateUser = (req, res, next) => {
-  const { token } = req.cookies;
+const authenticate = ({ allowPendingTwoFactor = false, optional = false } = {}) => async (req, res, next) => {
+  const token = extractToken(req);
 
   if (!token) {
+    if (optional) return next();
     throw new UnauthenticatedError("Authentication invalid");
   }
 
-  try {
-    const decoded = verifyJWT(token);
-    const userId = decoded.userId || decoded.id;
-
-    req.user = {
-      userId,
-      role: decoded.role,
-    };
+  if (isApiKey(token)) {
+    await authenticateApiKey(req, token);
+    return next();
+  }
 
-    next();
+  let decoded;
+  try {
+    decoded = verifyJWT(token);
   } catch (error) {
     throw new UnauthenticatedError("Authentication invalid");
   }
+
+  // Support payload styles: { id }, { userId }, { _id }
+  const userId = decoded?.userId || decoded?.id || decoded?._id;
+  if (!userId) {
+    throw new UnauthenticatedError("Authentication invalid");
+  }
+
+  // Access tokens are bound to a login session (sid) that logout can revoke
+  if (!(await isSessionActive(decoded.sid))) {
+    throw new UnauthenticatedError("Session has been revoked, please log in again");
+  }
+
+  const user = await loadActiveUser(userId);
+
+  // Reject tokens issued before the last password reset
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw new UnauthenticatedError("Password changed, please log in again");
+  }
+
+  assertTwoFactorSetUp(user, allowPendingTwoFactor);
+
+  req.user = user;
+  req.auth = { sessionId: decoded.sid };
+
+  // Admin acting as this user: keep both identities on the request
+  if (decoded.imp) {
+    req.impersonator = await resolveImpersonator(decoded, user);
+    req.auth.impersonatedBy = req.impersonator._id;
+    trackImpersonatedRequest(req, res, new Date(decoded.exp * 1000));
+  }
+
+  next();
 };
 
+export const authenticateUser = authenticate();
+
+// Public reads: anonymous callers go through without req.user (and see the default tenant),
+// a token that is sent must still be valid
+export const authenticateIfPresent = authenticate({ optional: true });
+
+// Same as authenticateUser but lets admins without 2FA reach the enrollment routes
+export const authenticateForTwoFactorSetup = authenticate({ allowPendingTwoFactor: true });
+
 /**
- * Authorization guard for specific roles
+ * Route guard: the user's role must grant at least one of the capabilities (in any scope).
+ * Ownership of ":own" capabilities is checked by the handler once the resource is loaded.
  */
-export const authorizePermissions = (...roles) => {
+export const requirePermission = (...capabilities) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!capabilities.some((capability) => hasAnyScope(req.user, capability))) {
       throw new UnauthorizedError("Not authorized to access this route");
     }
     next();
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Account-security routes (password, 2FA, sessions, export, deletion) stay with the real owner
+ * Must run after authenticateUser
+ */
+export const denyWhileImpersonating = (req, res, next) => {
+  if (req.impersonator) {
+    throw new UnauthorizedError("This action is not available while impersonating a user");
+  }
+  next();
+};
+
+/**
+ * Blocks accounts that have not confirmed their email address yet
+ * Must run after authenticateUser
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.emailVerified) {
+    throw new UnauthorizedError("Please verify your email address to continue");
+  }
+  next();
+};
@@ -0,0 +1,44 @@
+import { body, query } from "express-validator";
+import { withValidationError } from "./ValidatorMiddleware.js";
+import { BOOKING_STATUSES } from "../models/BookingRequestModel.js";
+
+const noteRule = (field) =>
+  body(field)
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage(`${field} cannot be more than 500 characters`);
+
+// Validate a new booking request
+export const validateCreateBooking = withValidationError([
+  body("tutorId").isMongoId().withMessage("tutorId must be a valid tutor id"),
+  body("subject")
+    .isString()
+    .withMessage("Subject is required")
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage("Subject must be between 3 and 50 characters"),
+  body("start").isISO8601().withMessage("start must be an ISO 8601 date-time"),
+  noteRule("message"),
+]);
+
+// Validate a counter-proposal from the tutor
+export const validateProposeBooking = withValidationError([
+  body("start").isISO8601().withMessage("start must be an ISO 8601 date-time"),
+  noteRule("note"),
+]);
+
+// Validate a decline
+export const validateDeclineBooking = withValidationError([noteRule("note")]);
+
+// Validate booking list filters
+export const validateBookingQuery = withValidationError([
+  query("as").optional().isIn(["student", "tutor"]).withMessage("as must be student or tutor"),
+  query("status")
+    .optional()
+    .custom((value) => String(value).split(",").every((s) => BOOKING_STATUSES.includes(s)))
+    .withMessage(`status must be among: ${BOOKING_STATUSES.join(", ")}`),
+  query("page").optional().isInt({ min: 1 }).withMessage("page must be a positive integer"),
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("limit must be between 1 and 100"),
+]);
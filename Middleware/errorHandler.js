@@ -48,6 +48,12 @@ const errorHandler = (err, req, res, next) => {
     errorResponse.message = `${field} already exists`;
   }
 
+  // Rate limiting errors tell the client when to retry
+  if (err.retryAfter) {
+    res.set("Retry-After", String(err.retryAfter));
+    errorResponse.retryAfter = err.retryAfter;
+  }
+
   res.status(errorResponse.statusCode).json(errorResponse);
 };
 
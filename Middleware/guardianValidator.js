@@ -0,0 +1,26 @@
+import { body } from "express-validator";
+import { withValidationError } from "./ValidatorMiddleware.js";
+
+// Validate a guardian's invite
+export const validateGuardianInvite = withValidationError([
+  body("studentEmail")
+    .notEmpty()
+    .withMessage("Student email is required")
+    .isEmail()
+    .withMessage("Invalid email format"),
+]);
+
+// Validate the invite token a student accepts
+export const validateGuardianAccept = withValidationError([
+  body("token").notEmpty().withMessage("Invitation token is required").isString(),
+]);
+
+// Validate guardian notification preferences
+export const validateGuardianPreferences = withValidationError([
+  body("weeklySummary")
+    .exists()
+    .withMessage("weeklySummary is required")
+    .isBoolean()
+    .withMessage("weeklySummary must be true or false")
+    .toBoolean(),
+]);
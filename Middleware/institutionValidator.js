@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+import { body } from "express-validator";
+import { withValidationError } from "./ValidatorMiddleware.js";
+import { INSTITUTION_STATUSES } from "../models/InstitutionModel.js";
+
+const nameRule = body("name")
+  .isString()
+  .trim()
+  .isLength({ min: 2, max: 120 })
+  .withMessage("Name must be between 2 and 120 characters");
+
+const contactEmailRule = body("contactEmail").optional().isEmail().withMessage("Invalid contact email");
+
+// Validate a new institution
+export const validateCreateInstitution = withValidationError([
+  nameRule,
+  body("code")
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9][a-z0-9-]{1,38}[a-z0-9]$/)
+    .withMessage("Code must be 3-40 letters, numbers or dashes"),
+  contactEmailRule,
+]);
+
+// Validate institution changes (the code is permanent since users sign up with it)
+export const validateUpdateInstitution = withValidationError([
+  nameRule.optional(),
+  contactEmailRule,
+  body("status")
+    .optional()
+    .isIn(INSTITUTION_STATUSES)
+    .withMessage(`Status must be one of: ${INSTITUTION_STATUSES.join(", ")}`),
+  body("code").not().exists().withMessage("The institution code cannot be changed"),
+]);
+
+// Validate moving a user between institutions
+export const validateUserInstitution = withValidationError([
+  body("institutionId")
+    .exists()
+    .withMessage("institutionId is required (null to remove)")
+    .bail()
+    .custom((value) => value === null || mongoose.isValidObjectId(value))
+    .withMessage("institutionId must be a valid id or null"),
+]);
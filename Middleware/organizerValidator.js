@@ -0,0 +1,16 @@
+import { body, query } from "express-validator";
+import { withValidationError } from "./ValidatorMiddleware.js";
+
+// Validate the tutor an organizer schedules a session for
+export const validateSessionTutor = withValidationError([
+  body("tutorId")
+    .notEmpty()
+    .withMessage("tutorId is required")
+    .isMongoId()
+    .withMessage("Invalid tutorId"),
+]);
+
+// Validate the optional ?tutorId= filter on organizer reports
+export const validateTutorFilter = withValidationError([
+  query("tutorId").optional().isMongoId().withMessage("Invalid tutorId"),
+]);
@@ -1,21 +1,7 @@
-import { body, validationResult } from "express-validator";
-import { BadRequestError } from "../errors/customErrors.js";
+import { body } from "express-validator";
+import { withValidationError } from "./ValidatorMiddleware.js";
 
-const withValidationErrors = (validateValues) => {
-  return [
-    validateValues,
-    (req, res, next) => {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        const errorMessages = errors.array().map((err) => err.msg);
-        throw new BadRequestError(errorMessages.join(", "));
-      }
-      next();
-    },
-  ];
-};
-
-export const validateStudyMaterialInput = withValidationErrors([
+export const validateStudyMaterialInput = withValidationError([
   body("title")
     .notEmpty()
     .withMessage("Title is required")
@@ -44,7 +30,7 @@ export const validateStudyMaterialInput = withValidationErrors([
   body("tags").optional().isArray().withMessage("Tags must be an array"),
 ]);
 
-export const validateStudyMaterialUpdate = withValidationErrors([
+export const validateStudyMaterialUpdate = withValidationError([
   body("title")
     .optional()
     .isString()
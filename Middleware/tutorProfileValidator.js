@@ -0,0 +1,216 @@
+import { body, param, query } from "express-validator";
+import { withValidationError } from "./ValidatorMiddleware.js";
+import { AVAILABILITY_EXCEPTION_KINDS } from "../models/UserModel.js";
+import { TIME_PATTERN, DATE_PATTERN, isValidTimeZone, toMinutes } from "../utils/availabilityUtils.js";
+
+const AVAILABILITY_VALUES = ["available", "busy", "unavailable"];
+const TUTOR_SORT_VALUES = ["relevance", "latest", "rating", "price_asc", "price_desc", "experience", "sessions"];
+
+// Validate tutor search filters (GET /api/tutors)
+export const validateTutorSearchQuery = withValidationError([
+  query("q")
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("Search cannot exceed 100 characters"),
+  query(["subjects", "subject", "languages"])
+    .optional()
+    .isString()
+    .withMessage("Subjects and languages must be comma-separated lists"),
+  query(["minRate", "maxRate"])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Hourly rate bounds must be non-negative numbers"),
+  query("minRating")
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage("minRating must be between 0 and 5"),
+  query("minExperience")
+    .optional()
+    .isInt({ min: 0, max: 50 })
+    .withMessage("minExperience must be between 0 and 50 years"),
+  query("availability")
+    .optional()
+    .custom((value) => String(value).split(",").every((v) => AVAILABILITY_VALUES.includes(v)))
+    .withMessage(`Availability must be among: ${AVAILABILITY_VALUES.join(", ")}`),
+  query("verified")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("verified must be true or false"),
+  query("sort")
+    .optional()
+    .isIn(TUTOR_SORT_VALUES)
+    .withMessage(`Sort must be one of: ${TUTOR_SORT_VALUES.join(", ")}`),
+  query("page").optional().isInt({ min: 1 }).withMessage("page must be a positive number"),
+  query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("limit must be between 1 and 50"),
+]);
+
+// Validate tutor profile update (limits mirror UserModel.tutorProfile)
+export const validateTutorProfileUpdate = withValidationError([
+  body("bio")
+    .optional()
+    .isString()
+    .withMessage("Bio must be a string")
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Bio cannot exceed 500 characters"),
+  body("experience")
+    .optional()
+    .isInt({ min: 0, max: 50 })
+    .withMessage("Experience must be between 0 and 50 years"),
+  body("hourlyRate")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Hourly rate cannot be negative"),
+  body("specializations")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Specializations must be an array (max 20)"),
+  body("specializations.*")
+    .isString()
+    .withMessage("Each specialization must be a string")
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Each specialization must be 2-50 characters"),
+  body("languages")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("Languages must be an array (max 10)"),
+  body("languages.*")
+    .isString()
+    .withMessage("Each language must be a string")
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage("Each language must be 2-30 characters"),
+  body("availability")
+    .optional()
+    .isIn(AVAILABILITY_VALUES)
+    .withMessage("Availability must be available, busy, or unavailable"),
+]);
+
+// Validate adding a subject (same rules as tutor registration)
+export const validateTutorSubject = withValidationError([
+  body("subject")
+    .notEmpty()
+    .withMessage("Subject is required")
+    .isString()
+    .withMessage("Subject must be a string")
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Subject must be between 2 and 50 characters"),
+]);
+
+// Validate adding a qualification
+export const validateTutorQualification = withValidationError([
+  body("degree")
+    .trim()
+    .notEmpty()
+    .withMessage("Degree is required")
+    .isLength({ max: 100 })
+    .withMessage("Degree cannot exceed 100 characters"),
+  body("institution")
+    .trim()
+    .notEmpty()
+    .withMessage("Institution is required")
+    .isLength({ max: 100 })
+    .withMessage("Institution cannot exceed 100 characters"),
+  body("year")
+    .optional()
+    .isInt({ min: 1950, max: new Date().getFullYear() + 1 })
+    .withMessage("Year must be a valid year"),
+]);
+
+export const validateQualificationId = withValidationError([
+  param("qualificationId").isMongoId().withMessage("Invalid qualification id"),
+]);
+
+// Validate quick availability toggle
+export const validateTutorAvailability = withValidationError([
+  body("availability")
+    .notEmpty()
+    .withMessage("Availability is required")
+    .isIn(AVAILABILITY_VALUES)
+    .withMessage("Availability must be available, busy, or unavailable"),
+]);
+
+// Validate the weekly availability windows (replaces the whole week)
+export const validateWeeklyAvailability = withValidationError([
+  body("timezone")
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage("Timezone must be an IANA name such as Asia/Colombo"),
+  body("slotMinutes")
+    .optional()
+    .isInt({ min: 15, max: 240 })
+    .withMessage("slotMinutes must be between 15 and 240")
+    .toInt(),
+  body("windows")
+    .isArray({ max: 50 })
+    .withMessage("windows must be a list of up to 50 weekly windows"),
+  body("windows.*.day")
+    .isInt({ min: 0, max: 6 })
+    .withMessage("day must be 0 (Sunday) to 6 (Saturday)")
+    .toInt(),
+  body(["windows.*.start", "windows.*.end"])
+    .matches(TIME_PATTERN)
+    .withMessage("Window times must be in HH:MM format"),
+  body("windows.*")
+    .custom((window) => {
+      // Bad formats are reported by the rules above
+      if (!TIME_PATTERN.test(window?.start) || !TIME_PATTERN.test(window?.end)) return true;
+      return toMinutes(window.end) > toMinutes(window.start);
+    })
+    .withMessage("Each window must end after it starts (no windows past midnight)"),
+]);
+
+// Validate a date-specific availability exception
+export const validateAvailabilityException = withValidationError([
+  body("date")
+    .matches(DATE_PATTERN)
+    .withMessage("Date must be in YYYY-MM-DD format")
+    .isISO8601({ strict: true })
+    .withMessage("Date is not a valid calendar date"),
+  body("kind")
+    .isIn(AVAILABILITY_EXCEPTION_KINDS)
+    .withMessage(`kind must be one of: ${AVAILABILITY_EXCEPTION_KINDS.join(", ")}`),
+  body("start")
+    .if((value, { req }) => req.body.kind === "extra" || req.body.end !== undefined)
+    .matches(TIME_PATTERN)
+    .withMessage("Start time must be in HH:MM format"),
+  body("end")
+    .if((value, { req }) => req.body.kind === "extra" || req.body.start !== undefined)
+    .matches(TIME_PATTERN)
+    .withMessage("End time must be in HH:MM format")
+    .custom((end, { req }) => !TIME_PATTERN.test(req.body.start) || toMinutes(end) > toMinutes(req.body.start))
+    .withMessage("End time must be after start time"),
+  body("reason")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Reason cannot exceed 200 characters"),
+]);
+
+export const validateAvailabilityExceptionId = withValidationError([
+  param("exceptionId").isMongoId().withMessage("Invalid exception id"),
+]);
+
+// Validate the slot window (at most 31 days)
+export const validateSlotQuery = withValidationError([
+  param("id").isMongoId().withMessage("Invalid tutor id"),
+  query(["from", "to"])
+    .optional()
+    .isISO8601()
+    .withMessage("from and to must be dates"),
+]);
+
+// Validate verification request note (documents are checked by the upload middleware)
+export const validateVerificationNote = withValidationError([
+  body("note")
+    .optional()
+    .isString()
+    .withMessage("Note must be a string")
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Note cannot exceed 1000 characters"),
+]);
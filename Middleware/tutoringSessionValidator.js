@@ -1,18 +1,5 @@
-import { body, validationResult } from "express-validator";
-import { BadRequestError } from "../errors/customErrors.js";
-
-// Helper to wrap validation chains with error handling
-const withValidationError = (validateChain) => [
-  ...validateChain,
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      const msgs = errors.array().map((e) => e.msg);
-      throw new BadRequestError(msgs.join(", "));
-    }
-    next();
-  },
-];
+import { body } from "express-validator";
+import { withValidationError } from "./ValidatorMiddleware.js";
 
 // Validate tutoring session creation
 export const validateCreateSession = withValidationError([
@@ -84,3 +71,21 @@ export const validateUpdateSession = withValidationError([
     .isIn(["scheduled", "in-progress", "completed", "cancelled"])
     .withMessage("Invalid status"),
 ]);
+
+const PARTICIPANT_STATUSES = ["enrolled", "attended", "dropped", "cancelled"];
+
+// Validate adding a student to a session roster
+export const validateRosterParticipant = withValidationError([
+  body("userId")
+    .notEmpty()
+    .withMessage("userId is required")
+    .isMongoId()
+    .withMessage("Invalid userId"),
+]);
+
+// Validate a roster status change (e.g. marking attendance)
+export const validateParticipantStatus = withValidationError([
+  body("status")
+    .isIn(PARTICIPANT_STATUSES)
+    .withMessage(`Status must be one of: ${PARTICIPANT_STATUSES.join(", ")}`),
+]);
@@ -79,6 +79,62 @@ export const uploadMaterial = multer({
   },
 });
 
+// Allowed MIME types for tutor credential documents (certificates, transcripts)
+const ALLOWED_CREDENTIAL_MIMES = ["application/pdf", "image/jpeg", "image/png", "image/webp"];
+
+const credentialFileFilter = (req, file, cb) => {
+  if (ALLOWED_CREDENTIAL_MIMES.includes(file.mimetype.toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new BadRequestError("File type not allowed. Allowed types: PDF, JPG, PNG, WEBP"), false);
+  }
+};
+
+// Cloudinary storage for tutor verification documents
+const credentialStorage = new CloudinaryStorage({
+  cloudinary,
+  params: {
+    folder: "tutor_credentials",
+    resource_type: "auto",
+    allowed_formats: ["pdf", "jpg", "jpeg", "png", "webp"],
+  },
+});
+
+/**
+ * Multer instance for tutor credential uploads (up to 5 files, 5 MB each)
+ */
+export const uploadCredentials = multer({
+  storage: credentialStorage,
+  fileFilter: credentialFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5 MB
+    files: 5,
+  },
+});
+
+// CSV files for bulk user import: kept in memory and parsed, never stored
+const CSV_MIMES = ["text/csv", "application/csv", "application/vnd.ms-excel", "text/plain"];
+
+const csvFileFilter = (req, file, cb) => {
+  const isCsv = file.originalname.toLowerCase().endsWith(".csv") && CSV_MIMES.includes(file.mimetype.toLowerCase());
+  if (isCsv) {
+    cb(null, true);
+  } else {
+    cb(new BadRequestError("Only .csv files are allowed"), false);
+  }
+};
+
+/**
+ * Multer instance for CSV uploads (1 MB)
+ */
+export const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: csvFileFilter,
+  limits: {
+    fileSize: 1 * 1024 * 1024, // 1 MB
+  },
+});
+
 // ---------------------
 // Local-disk storage for other features (e.g. message images)
 // ---------------------
@@ -123,9 +179,9 @@ const localUpload = multer({
   fileFilter: imageFilter,
 });
 
-// Middleware for single image upload (messages, etc.)
-export const uploadMessageImage = (req, res, next) => {
-  const singleUpload = localUpload.single("image");
+// Runs a single-image upload and turns Multer errors into 400 responses
+const handleSingleImageUpload = (fieldName) => (req, res, next) => {
+  const singleUpload = localUpload.single(fieldName);
   singleUpload(req, res, (err) => {
     if (err instanceof multer.MulterError) {
       if (err.code === "LIMIT_FILE_SIZE") {
@@ -146,4 +202,10 @@ export const uploadMessageImage = (req, res, next) => {
   });
 };
 
+// Middleware for single image upload (messages, etc.)
+export const uploadMessageImage = handleSingleImageUpload("image");
+
+// Middleware for profile picture upload (field name: avatar)
+export const uploadAvatarImage = handleSingleImageUpload("avatar");
+
 export { cloudinary };
@@ -0,0 +1,156 @@
+import { Router } from "express";
+import {
+  listUsers,
+  getUser,
+  changeUserRole,
+  suspendUser,
+  reactivateUser,
+  deleteUser,
+  importUsers,
+  impersonateUser,
+  listUserApiKeys,
+  revokeUserApiKey,
+  recomputeTutorStats,
+  assignOrganizerTutor,
+  unassignOrganizerTutor,
+  listAuditLogs,
+  exportAuditLogs,
+} from "../Controllers/adminController.js";
+import {
+  listVerificationRequests,
+  getVerificationRequest,
+  reviewVerificationRequest,
+} from "../Controllers/tutorVerificationController.js";
+import { authenticateUser, requirePermission } from "../Middleware/authMiddleware.js";
+import {
+  validateUserListQuery,
+  validateRoleChange,
+  validateSuspension,
+  validateVerificationReview,
+  validateOrganizerTutor,
+  validateAuditQuery,
+  validateImpersonation,
+  validateUserImport,
+} from "../Middleware/adminValidator.js";
+import { uploadCsv } from "../Middleware/uploadMiddleware.js";
+
+const router = Router();
+
+// Admin console: each section is guarded by its own capability
+router.use(authenticateUser);
+router.use(["/users", "/organizers", "/tutors"], requirePermission("user:manage"));
+router.use("/tutor-verifications", requirePermission("tutorVerification:review"));
+router.use("/audit", requirePermission("audit:read"));
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List, search and filter users
+ * @query   search, role, status, verified, createdFrom, createdTo, sort, page, limit
+ */
+router.get("/users", validateUserListQuery, listUsers);
+
+/**
+ * @route   POST /api/admin/users/import
+ * @desc    Bulk-create students/tutors from a CSV (field "file"); ?dryRun=true only validates
+ */
+router.post("/users/import", uploadCsv.single("file"), validateUserImport, importUsers);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    User with session, feedback and progress counts
+ */
+router.get("/users/:id", getUser);
+
+/**
+ * @route   PATCH /api/admin/users/:id/role
+ * @desc    Change role (user/admin/organizer/tutor)
+ */
+router.patch("/users/:id/role", validateRoleChange, changeUserRole);
+
+/**
+ * @route   PATCH /api/admin/users/:id/suspend
+ * @desc    Suspend an account and sign it out everywhere
+ */
+router.patch("/users/:id/suspend", validateSuspension, suspendUser);
+
+/**
+ * @route   PATCH /api/admin/users/:id/reactivate
+ * @desc    Reactivate a suspended or soft-deleted account
+ */
+router.patch("/users/:id/reactivate", reactivateUser);
+
+/**
+ * @route   DELETE /api/admin/users/:id
+ * @desc    Soft-delete an account
+ */
+router.delete("/users/:id", deleteUser);
+
+/**
+ * @route   POST /api/admin/users/:id/impersonate
+ * @desc    Short-lived token to act as a student/tutor (admins cannot be impersonated)
+ */
+router.post("/users/:id/impersonate", requirePermission("user:impersonate"), validateImpersonation, impersonateUser);
+
+/**
+ * @route   GET /api/admin/users/:id/api-keys
+ * @desc    The user's API keys (names, scopes, expiry, last use)
+ */
+router.get("/users/:id/api-keys", listUserApiKeys);
+
+/**
+ * @route   DELETE /api/admin/users/:id/api-keys/:keyId
+ * @desc    Revoke one of the user's API keys
+ */
+router.delete("/users/:id/api-keys/:keyId", revokeUserApiKey);
+
+/**
+ * @route   POST /api/admin/tutors/recompute-stats
+ * @desc    Repair tutors' rating and session count from feedback and completed sessions
+ */
+router.post("/tutors/recompute-stats", recomputeTutorStats);
+
+/**
+ * @route   POST /api/admin/organizers/:id/tutors
+ * @desc    Assign a tutor to an organizer
+ */
+router.post("/organizers/:id/tutors", validateOrganizerTutor, assignOrganizerTutor);
+
+/**
+ * @route   DELETE /api/admin/organizers/:id/tutors/:tutorId
+ * @desc    Remove a tutor from an organizer
+ */
+router.delete("/organizers/:id/tutors/:tutorId", unassignOrganizerTutor);
+
+/**
+ * @route   GET /api/admin/tutor-verifications
+ * @desc    Tutor verification review queue (pending, oldest first by default)
+ * @query   status, page, limit
+ */
+router.get("/tutor-verifications", listVerificationRequests);
+
+/**
+ * @route   GET /api/admin/tutor-verifications/:id
+ * @desc    Verification request with documents and history
+ */
+router.get("/tutor-verifications/:id", getVerificationRequest);
+
+/**
+ * @route   PATCH /api/admin/tutor-verifications/:id/:action
+ * @desc    approve | reject | request-info (emails the tutor)
+ */
+router.patch("/tutor-verifications/:id/:action", validateVerificationReview, reviewVerificationRequest);
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Security audit log, newest first
+ * @query   action, actor, actorEmail, impersonator, targetType, targetId, ip, from, to, page, limit
+ */
+router.get("/audit", validateAuditQuery, listAuditLogs);
+
+/**
+ * @route   GET /api/admin/audit/export
+ * @desc    Download the filtered audit log as CSV
+ */
+router.get("/audit/export", validateAuditQuery, exportAuditLogs);
+
+export default router;
@@ -1,14 +1,73 @@
 import { Router } from "express";
-import { register, login, logout } from "../Controllers/authController.js";
+import {
+  register,
+  login,
+  logout,
+  logoutAll,
+  refresh,
+  getMySessions,
+  revokeMySession,
+  getUserSessions,
+  revokeUserSessionByAdmin,
+  unlockAccount,
+  clearUserLockout,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  verifyEmail,
+  resendVerificationEmail,
+} from "../Controllers/authController.js";
 import {
   validateRegisterInput,
   validateLoginInput,
+  validateForgotPasswordInput,
+  validateResetPasswordInput,
+  validateVerifyEmailInput,
+  validateUnlockInput,
 } from "../Middleware/ValidatorMiddleware.js";
+import {
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../Controllers/twoFactorController.js";
+import {
+  authenticateUser,
+  authenticateForTwoFactorSetup,
+  requirePermission,
+  denyWhileImpersonating,
+} from "../Middleware/authMiddleware.js";
 
 const router = Router();
 
 router.post("/register", validateRegisterInput, register);
 router.post("/login", validateLoginInput, login);
+router.post("/2fa/verify", verifyTwoFactorLogin);
+router.post("/refresh", refresh);
 router.post("/logout", logout);
+router.post("/logout-all", authenticateUser, denyWhileImpersonating, logoutAll);
+router.post("/unlock", validateUnlockInput, unlockAccount);
+router.post("/forgot-password", validateForgotPasswordInput, forgotPassword);
+router.post("/reset-password", validateResetPasswordInput, resetPassword);
+router.post("/verify-email", validateVerifyEmailInput, verifyEmail);
+router.post("/resend-verification", validateForgotPasswordInput, resendVerificationEmail);
+
+// TOTP two-factor authentication (tutors and admins)
+router.post("/2fa/enroll", authenticateForTwoFactorSetup, denyWhileImpersonating, requirePermission("twoFactor:manage"), enrollTwoFactor);
+router.post("/2fa/confirm", authenticateForTwoFactorSetup, denyWhileImpersonating, requirePermission("twoFactor:manage"), confirmTwoFactor);
+router.post("/2fa/disable", authenticateUser, denyWhileImpersonating, disableTwoFactor);
+router.post("/2fa/recovery-codes", authenticateUser, denyWhileImpersonating, regenerateRecoveryCodes);
+
+// Device sessions of the logged-in user
+router.get("/sessions", authenticateUser, denyWhileImpersonating, getMySessions);
+router.delete("/sessions/:id", authenticateUser, denyWhileImpersonating, revokeMySession);
+
+// Admin: sessions of any account (compromised-account handling)
+router.get("/users/:userId/sessions", authenticateUser, requirePermission("user:manage"), getUserSessions);
+router.delete("/users/:userId/sessions", authenticateUser, requirePermission("user:manage"), revokeUserSessionByAdmin);
+router.delete("/users/:userId/sessions/:id", authenticateUser, requirePermission("user:manage"), revokeUserSessionByAdmin);
+
+// Admin: clear a brute-force lockout
+router.delete("/users/:userId/lockout", authenticateUser, requirePermission("user:manage"), clearUserLockout);
 
 export default router;
\ No newline at end of file
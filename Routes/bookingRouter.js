@@ -0,0 +1,67 @@
+import { Router } from "express";
+import {
+  createBooking,
+  listMyBookings,
+  getBooking,
+  acceptBooking,
+  declineBooking,
+  proposeBookingTime,
+  cancelBooking,
+} from "../Controllers/bookingController.js";
+import { authenticateUser, requirePermission, requireVerifiedEmail } from "../Middleware/authMiddleware.js";
+import {
+  validateCreateBooking,
+  validateProposeBooking,
+  validateDeclineBooking,
+  validateBookingQuery,
+} from "../Middleware/bookingValidator.js";
+
+const router = Router();
+
+// Students and tutors; who may answer a request is checked in bookingService
+router.use(authenticateUser, requirePermission("booking:respond"));
+
+/**
+ * @route   POST /api/bookings
+ * @desc    Request one of a tutor's free slots for a subject they teach
+ */
+router.post("/", requirePermission("booking:create"), requireVerifiedEmail, validateCreateBooking, createBooking);
+
+/**
+ * @route   GET /api/bookings
+ * @desc    My booking requests, sent or received
+ * @query   as (student|tutor), status (comma-separated), page, limit
+ */
+router.get("/", validateBookingQuery, listMyBookings);
+
+/**
+ * @route   GET /api/bookings/:id
+ * @desc    One booking request with its history
+ */
+router.get("/:id", getBooking);
+
+/**
+ * @route   PATCH /api/bookings/:id/accept
+ * @desc    Accept a request (tutor) or a proposed time (student); schedules a private session
+ */
+router.patch("/:id/accept", acceptBooking);
+
+/**
+ * @route   PATCH /api/bookings/:id/decline
+ * @desc    Decline a request (tutor) or a proposed time (student)
+ */
+router.patch("/:id/decline", validateDeclineBooking, declineBooking);
+
+/**
+ * @route   PATCH /api/bookings/:id/propose
+ * @desc    Tutor proposes another of their free slots
+ */
+router.patch("/:id/propose", validateProposeBooking, proposeBookingTime);
+
+/**
+ * @route   PATCH /api/bookings/:id/cancel
+ * @desc    Student withdraws an open request
+ */
+router.patch("/:id/cancel", cancelBooking);
+
+export default router;
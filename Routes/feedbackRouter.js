@@ -1,5 +1,5 @@
 import express from "express";
-import { protect } from "../Middleware/authMiddleware.js";
+import { authenticateUser, requirePermission, requireVerifiedEmail } from "../Middleware/authMiddleware.js";
 import {
   submitFeedback,
   getMyFeedbacks,
@@ -10,15 +10,15 @@ import {
 
 const router = express.Router();
 
-router.post("/", protect, submitFeedback);
-router.get("/me", protect, getMyFeedbacks);
+router.post("/", authenticateUser, requirePermission("feedback:create"), requireVerifiedEmail, submitFeedback);
+router.get("/me", authenticateUser, getMyFeedbacks);
 
 // rating stats can be used by students to view tutor ratings
-router.get("/tutor/:tutorId/ratings", protect, getTutorRatingStats);
+router.get("/tutor/:tutorId/ratings", authenticateUser, getTutorRatingStats);
 
 // full feedback list (restricted to tutor self/admin)
-router.get("/tutor/:tutorId", protect, getTutorFeedbacks);
+router.get("/tutor/:tutorId", authenticateUser, requirePermission("feedback:read"), getTutorFeedbacks);
 
-router.delete("/:id", protect, deleteFeedback);
+router.delete("/:id", authenticateUser, requirePermission("feedback:delete"), deleteFeedback);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,68 @@
+import { Router } from "express";
+import {
+  inviteStudent,
+  getLinks,
+  acceptInvite,
+  declineInvite,
+  revokeLink,
+  getStudentProgress,
+  getStudentSessions,
+  getStudentAttendance,
+  updatePreferences,
+} from "../Controllers/guardianController.js";
+import { authenticateUser, requirePermission } from "../Middleware/authMiddleware.js";
+import {
+  validateGuardianInvite,
+  validateGuardianAccept,
+  validateGuardianPreferences,
+} from "../Middleware/guardianValidator.js";
+
+const router = Router();
+
+router.use(authenticateUser);
+
+/**
+ * @route   GET /api/guardian/links
+ * @desc    Guardian: linked students. Student: linked guardians.
+ */
+router.get("/links", requirePermission("guardianLink:read"), getLinks);
+
+/**
+ * @route   POST /api/guardian/links
+ * @desc    Guardian invites a student by email
+ */
+router.post("/links", requirePermission("guardianLink:create"), validateGuardianInvite, inviteStudent);
+
+/**
+ * @route   POST /api/guardian/links/accept
+ * @desc    Student accepts an invite with the emailed token
+ */
+router.post("/links/accept", requirePermission("guardianLink:respond"), validateGuardianAccept, acceptInvite);
+
+/**
+ * @route   POST /api/guardian/links/:id/decline
+ * @desc    Student declines a pending invite
+ */
+router.post("/links/:id/decline", requirePermission("guardianLink:respond"), declineInvite);
+
+/**
+ * @route   DELETE /api/guardian/links/:id
+ * @desc    Either side removes the link
+ */
+router.delete("/links/:id", requirePermission("guardianLink:revoke"), revokeLink);
+
+/**
+ * @route   GET /api/guardian/students/:studentId/...
+ * @desc    Read-only views of a linked student
+ */
+router.get("/students/:studentId/progress", requirePermission("guardian:view"), getStudentProgress);
+router.get("/students/:studentId/sessions", requirePermission("guardian:view"), getStudentSessions);
+router.get("/students/:studentId/attendance", requirePermission("guardian:view"), getStudentAttendance);
+
+/**
+ * @route   PATCH /api/guardian/preferences
+ * @desc    Opt in or out of weekly summary emails
+ */
+router.patch("/preferences", requirePermission("guardian:view"), validateGuardianPreferences, updatePreferences);
+
+export default router;
@@ -0,0 +1,51 @@
+import { Router } from "express";
+import {
+  createInstitution,
+  listInstitutions,
+  getInstitution,
+  updateInstitution,
+  assignUserInstitution,
+} from "../Controllers/institutionController.js";
+import { authenticateUser, requirePermission } from "../Middleware/authMiddleware.js";
+import {
+  validateCreateInstitution,
+  validateUpdateInstitution,
+  validateUserInstitution,
+} from "../Middleware/institutionValidator.js";
+
+const router = Router();
+
+// Super admin only
+router.use(authenticateUser, requirePermission("institution:manage"));
+
+/**
+ * @route   GET /api/institutions
+ * @desc    All institutions with member counts
+ */
+router.get("/", listInstitutions);
+
+/**
+ * @route   POST /api/institutions
+ * @desc    Create an institution (code is what users enter at sign-up)
+ */
+router.post("/", validateCreateInstitution, createInstitution);
+
+/**
+ * @route   PUT /api/institutions/users/:userId
+ * @desc    Move a user to an institution (e.g. to make them its admin)
+ */
+router.put("/users/:userId", validateUserInstitution, assignUserInstitution);
+
+/**
+ * @route   GET /api/institutions/:id
+ * @desc    Institution with its admins
+ */
+router.get("/:id", getInstitution);
+
+/**
+ * @route   PATCH /api/institutions/:id
+ * @desc    Rename, change contact or (de)activate; deactivating signs all members out
+ */
+router.patch("/:id", validateUpdateInstitution, updateInstitution);
+
+export default router;
@@ -6,7 +6,7 @@ import {
   updateStudyMaterial,
   deleteStudyMaterial,
 } from "../Controllers/studyMaterialController.js";
-import { protect, authorizePermissions } from "../Middleware/authMiddleware.js";
+import { authenticateUser, requirePermission } from "../Middleware/authMiddleware.js";
 import {
   validateStudyMaterialInput,
   validateStudyMaterialUpdate,
@@ -21,14 +21,14 @@ const router = Router();
  * @desc    Get all materials with pagination, filtering, and search
  * @query   page, limit, subject, grade, keyword, sort, status
  */
-router.get("/", protect, getAllStudyMaterials);
+router.get("/", authenticateUser, getAllStudyMaterials);
 
 /**
  * @route   GET /api/materials/:id
  * @access  Private
  * @desc    Get a single material by ID (increments view count)
  */
-router.get("/:id", protect, getSingleStudyMaterial);
+router.get("/:id", authenticateUser, getSingleStudyMaterial);
 
 /**
  * @route   POST /api/materials
@@ -37,8 +37,8 @@ router.get("/:id", protect, getSingleStudyMaterial);
  */
 router.post(
   "/",
-  protect,
-  authorizePermissions("tutor", "admin"),
+  authenticateUser,
+  requirePermission("material:create"),
   uploadMaterial.single("file"),
   validateStudyMaterialInput,
   createStudyMaterial,
@@ -51,7 +51,8 @@ router.post(
  */
 router.patch(
   "/:id",
-  protect,
+  authenticateUser,
+  requirePermission("material:update"),
   uploadMaterial.single("file"),
   validateStudyMaterialUpdate,
   updateStudyMaterial,
@@ -62,6 +63,6 @@ router.patch(
  * @access  Private (Uploader/Admin only)
  * @desc    Delete a study material and its associated file
  */
-router.delete("/:id", protect, deleteStudyMaterial);
+router.delete("/:id", authenticateUser, requirePermission("material:delete"), deleteStudyMaterial);
 
 export default router;
@@ -1,6 +1,6 @@
 import { Router } from "express";
 import {createMessage, getAllMessages, updateMessage, deleteMessage} from "../Controllers/messageContoller.js";
-import { authenticateUser, authorizePermissions } from "../Middleware/authMiddleware.js";
+import { authenticateUser, requirePermission, requireVerifiedEmail } from "../Middleware/authMiddleware.js";
 import { validateMessageInput } from "../Middleware/ValidatorMiddleware.js";
 import { uploadMessageImage } from "../Middleware/uploadMiddleware.js";
 
@@ -9,7 +9,8 @@ const router = Router();
 router.post(
     "/",
      authenticateUser, 
-     authorizePermissions("user"),
+     requirePermission("message:create"),
+     requireVerifiedEmail,
      uploadMessageImage,
      validateMessageInput,
      createMessage);
@@ -17,13 +18,13 @@ router.post(
 router.get(
         "/",
          authenticateUser, 
-         authorizePermissions("user", "admin", "tutor"),
+         requirePermission("message:read"),
          getAllMessages);
 
 router.patch(
     "/:id",
      authenticateUser,
-     authorizePermissions("user"),
+     requirePermission("message:update"),
      uploadMessageImage,
      validateMessageInput,
      updateMessage);
@@ -31,7 +32,7 @@ router.patch(
 router.delete(
     "/:id",
      authenticateUser,
-     authorizePermissions("user"),
+     requirePermission("message:delete"),
      deleteMessage);
 
 export default router;
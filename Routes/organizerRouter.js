@@ -0,0 +1,49 @@
+import { Router } from "express";
+import {
+  getMyTutors,
+  createSessionForTutor,
+  getSessions,
+  getFeedbackSummary,
+  getProgressSummary,
+} from "../Controllers/organizerController.js";
+import { authenticateUser, requirePermission } from "../Middleware/authMiddleware.js";
+import { validateSessionTutor, validateTutorFilter } from "../Middleware/organizerValidator.js";
+import { validateCreateSession } from "../Middleware/tutoringSessionValidator.js";
+
+const router = Router();
+
+// Organizers only; everything is scoped to the tutors assigned to them
+router.use(authenticateUser, requirePermission("organizer:program"));
+
+/**
+ * @route   GET /api/organizer/tutors
+ * @desc    Tutors this organizer coordinates
+ */
+router.get("/tutors", getMyTutors);
+
+/**
+ * @route   POST /api/organizer/sessions
+ * @desc    Create a group session on behalf of a coordinated tutor
+ */
+router.post("/sessions", validateSessionTutor, validateCreateSession, createSessionForTutor);
+
+/**
+ * @route   GET /api/organizer/sessions
+ * @desc    Sessions of coordinated tutors
+ * @query   tutorId, status, upcoming, page, limit
+ */
+router.get("/sessions", validateTutorFilter, getSessions);
+
+/**
+ * @route   GET /api/organizer/feedback-summary
+ * @desc    Average rating per coordinated tutor
+ */
+router.get("/feedback-summary", validateTutorFilter, getFeedbackSummary);
+
+/**
+ * @route   GET /api/organizer/progress-summary
+ * @desc    Student count and average completion per coordinated tutor
+ */
+router.get("/progress-summary", validateTutorFilter, getProgressSummary);
+
+export default router;
@@ -1,15 +1,15 @@
 import express from "express";
 import { upsertProgress, getMyProgress, getProgressByTutor, getProgressByStudent } from "../Controllers/progressController.js";
 
-import { protect } from "../Middleware/authMiddleware.js";
+import { authenticateUser, requirePermission } from "../Middleware/authMiddleware.js";
 
 
 const router = express.Router();
 
-router.post("/", protect, upsertProgress);
+router.post("/", authenticateUser, requirePermission("progress:write"), upsertProgress);
 
-router.get("/me", protect, getMyProgress);
-router.get("/student/:studentId", protect, getProgressByStudent);
-router.get("/tutor/:tutorId", protect, getProgressByTutor);
+router.get("/me", authenticateUser, getMyProgress);
+router.get("/student/:studentId", authenticateUser, requirePermission("progress:read"), getProgressByStudent);
+router.get("/tutor/:tutorId", authenticateUser, requirePermission("progress:read"), getProgressByTutor);
 
 export default router;
\ No newline at end of file
@@ -4,24 +4,111 @@ import {
   getTutorsBySubject,
   getAvailableSubjects,
   getTutorById,
+  updateMyTutorProfile,
+  addMySubject,
+  removeMySubject,
+  addMyQualification,
+  removeMyQualification,
+  setMyAvailability,
+  setMyWeeklyAvailability,
+  addMyAvailabilityException,
+  removeMyAvailabilityException,
+  getTutorSlots,
+  getMyDashboard,
 } from "../Controllers/tutorController.js";
-import { authenticateUser, authorizePermissions } from "../Middleware/authMiddleware.js";
+import { submitVerification, getMyVerification } from "../Controllers/tutorVerificationController.js";
+import { authenticateUser, authenticateIfPresent, requirePermission } from "../Middleware/authMiddleware.js";
+import {
+  validateTutorProfileUpdate,
+  validateTutorSubject,
+  validateTutorQualification,
+  validateQualificationId,
+  validateTutorAvailability,
+  validateVerificationNote,
+  validateTutorSearchQuery,
+  validateWeeklyAvailability,
+  validateAvailabilityException,
+  validateAvailabilityExceptionId,
+  validateSlotQuery,
+} from "../Middleware/tutorProfileValidator.js";
+import { uploadCredentials } from "../Middleware/uploadMiddleware.js";
 
 const router = Router();
 
-// Get all available subjects (public for testing)
-router.get("/subjects", getAvailableSubjects);
+// Browsing stays public: anonymous visitors see the default tenant's tutors,
+// logged-in users the tutors of their own institution
+
+// Get all available subjects
+router.get("/subjects", authenticateIfPresent, getAvailableSubjects);
 
-// Get all tutors with optional filters (public for testing)
-router.get("/", getAllTutors);
+/**
+ * @route   GET /api/tutors
+ * @desc    Search tutors with filters, text search and sorting
+ * @query   q, subjects, languages, minRate, maxRate, minRating, minExperience, availability, verified, sort, page, limit
+ */
+router.get("/", authenticateIfPresent, validateTutorSearchQuery, getAllTutors);
 
-// Protected routes below (require authentication)
+// Every other route needs a login
 router.use(authenticateUser);
-router.use(authorizePermissions("user", "admin", "tutor"));
+router.use(requirePermission("tutor:read"));
+
+/**
+ * @route   GET /api/tutors/me/dashboard
+ * @desc    Logged-in tutor's day: sessions, fill rates, ratings, stalled progress, material engagement
+ */
+router.get("/me/dashboard", requirePermission("tutorDashboard:read"), getMyDashboard);
+
+// Logged-in tutor edits their own profile (must be registered before /:id)
+router.patch("/me/profile", requirePermission("tutorProfile:update"), validateTutorProfileUpdate, updateMyTutorProfile);
+router.patch("/me/availability", requirePermission("tutorProfile:update"), validateTutorAvailability, setMyAvailability);
+router.put(
+  "/me/availability/weekly",
+  requirePermission("tutorProfile:update"),
+  validateWeeklyAvailability,
+  setMyWeeklyAvailability
+);
+router.post(
+  "/me/availability/exceptions",
+  requirePermission("tutorProfile:update"),
+  validateAvailabilityException,
+  addMyAvailabilityException
+);
+router.delete(
+  "/me/availability/exceptions/:exceptionId",
+  requirePermission("tutorProfile:update"),
+  validateAvailabilityExceptionId,
+  removeMyAvailabilityException
+);
+router.post("/me/subjects", requirePermission("tutorProfile:update"), validateTutorSubject, addMySubject);
+router.delete("/me/subjects/:subject", requirePermission("tutorProfile:update"), removeMySubject);
+router.post("/me/qualifications", requirePermission("tutorProfile:update"), validateTutorQualification, addMyQualification);
+router.delete(
+  "/me/qualifications/:qualificationId",
+  requirePermission("tutorProfile:update"),
+  validateQualificationId,
+  removeMyQualification
+);
+
+// Verification: upload credentials for admin review
+router.get("/me/verification", requirePermission("tutorVerification:submit"), getMyVerification);
+router.post(
+  "/me/verification",
+  requirePermission("tutorVerification:submit"),
+  uploadCredentials.array("documents", 5),
+  validateVerificationNote,
+  submitVerification
+);
 
 // Get tutors by subject
 router.get("/subject/:subject", getTutorsBySubject);
 
+/**
+ * @route   GET /api/tutors/:id/slots
+ * @desc    Free bookable slots from weekly availability minus exceptions and sessions
+ * @query   from, to (ISO dates, default the next 7 days, at most 31)
+ */
+router.get("/:id/slots", validateSlotQuery, getTutorSlots);
+
 // Get tutor by ID
 router.get("/:id", getTutorById);
 
@@ -9,26 +9,62 @@ import {
   leaveTutoringSession,
   getMyEnrolledSessions,
   getTutoringSessionsByTutor,
+  getSessionRoster,
+  addSessionParticipant,
+  removeSessionParticipant,
+  updateSessionParticipantStatus,
 } from "../Controllers/tutoringSessionController.js";
-import { authenticateUser, authorizePermissions } from "../Middleware/authMiddleware.js";
+import {
+  authenticateUser,
+  authenticateIfPresent,
+  requirePermission,
+  requireVerifiedEmail,
+} from "../Middleware/authMiddleware.js";
+import { validateRosterParticipant, validateParticipantStatus } from "../Middleware/tutoringSessionValidator.js";
 
 const router = Router();
 
-// Public routes
-router.get("/", getAllTutoringSessions); // Filter by subject, grade, level via query params
+// Public browsing - anonymous visitors see the default tenant's public sessions,
+// logged-in users the sessions of their own institution
+router.get("/", authenticateIfPresent, getAllTutoringSessions); // Filter by subject, grade, level via query params
 router.get("/my-enrolled", authenticateUser, getMyEnrolledSessions);
 
-router.get("/tutor/:tutorId", getTutoringSessionsByTutor);
-router.get("/:id", getTutoringSessionById);
+router.get("/tutor/:tutorId", authenticateIfPresent, getTutoringSessionsByTutor);
+router.get("/:id", authenticateIfPresent, getTutoringSessionById);
+
+// Protected routes - Tutors & Admins (organizers create sessions via /api/organizer/sessions)
+router.post("/", authenticateUser, requirePermission("session:create"), createTutoringSession);
+
+// Protected routes - the session's tutor, their organizer or an admin (ownership checked in the service)
+router.put("/:id", authenticateUser, requirePermission("session:update"), updateTutoringSession);
+router.delete("/:id", authenticateUser, requirePermission("session:delete"), deleteTutoringSession);
 
-// Protected routes - Tutors & Admins only
-router.post("/", authenticateUser, authorizePermissions("tutor", "admin"), createTutoringSession);
-router.put("/:id", authenticateUser, authorizePermissions("tutor", "admin"), updateTutoringSession);
-router.delete("/:id", authenticateUser, authorizePermissions("tutor", "admin"), deleteTutoringSession);
+// Roster management
+router.get("/:id/roster", authenticateUser, requirePermission("session:roster"), getSessionRoster);
+router.post(
+  "/:id/participants",
+  authenticateUser,
+  requirePermission("session:roster"),
+  validateRosterParticipant,
+  addSessionParticipant
+);
+router.patch(
+  "/:id/participants/:userId",
+  authenticateUser,
+  requirePermission("session:roster"),
+  validateParticipantStatus,
+  updateSessionParticipantStatus
+);
+router.delete(
+  "/:id/participants/:userId",
+  authenticateUser,
+  requirePermission("session:roster"),
+  removeSessionParticipant
+);
 
-// Protected routes - All authenticated users
-router.post("/:id/join", authenticateUser, joinTutoringSession);
-router.post("/:id/leave", authenticateUser, leaveTutoringSession);
+// Protected routes - anyone who can take part in sessions (not guardians)
+router.post("/:id/join", authenticateUser, requirePermission("session:join"), requireVerifiedEmail, joinTutoringSession);
+router.post("/:id/leave", authenticateUser, requirePermission("session:join"), leaveTutoringSession);
 
 
 
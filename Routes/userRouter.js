@@ -0,0 +1,48 @@
+import { Router } from "express";
+import {
+  getMe,
+  updateMe,
+  updateMyAvatar,
+  changeMyPassword,
+  exportMyData,
+  deleteMe,
+} from "../Controllers/userController.js";
+import {
+  listApiKeyScopes,
+  createMyApiKey,
+  listMyApiKeys,
+  revokeMyApiKey,
+} from "../Controllers/apiKeyController.js";
+import {
+  authenticateUser,
+  denyWhileImpersonating,
+  requirePermission,
+} from "../Middleware/authMiddleware.js";
+import {
+  validateUpdateProfileInput,
+  validateChangePasswordInput,
+  validateDeleteAccountInput,
+} from "../Middleware/ValidatorMiddleware.js";
+import { validateCreateApiKey } from "../Middleware/apiKeyValidator.js";
+import { uploadAvatarImage } from "../Middleware/uploadMiddleware.js";
+
+const router = Router();
+
+// Every route here acts on the logged-in user
+router.use(authenticateUser);
+
+router.get("/me", getMe);
+router.patch("/me", validateUpdateProfileInput, updateMe);
+router.patch("/me/avatar", uploadAvatarImage, updateMyAvatar);
+router.patch("/me/password", denyWhileImpersonating, validateChangePasswordInput, changeMyPassword);
+router.get("/me/export", denyWhileImpersonating, exportMyData);
+router.delete("/me", denyWhileImpersonating, validateDeleteAccountInput, deleteMe);
+
+// Personal API keys for integrations (the keys themselves can never reach these routes)
+router.use("/me/api-keys", denyWhileImpersonating, requirePermission("apiKey:manage"));
+router.get("/me/api-keys/scopes", listApiKeyScopes);
+router.get("/me/api-keys", listMyApiKeys);
+router.post("/me/api-keys", validateCreateApiKey, createMyApiKey);
+router.delete("/me/api-keys/:id", revokeMyApiKey);
+
+export default router;
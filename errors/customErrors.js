@@ -31,3 +31,12 @@ export class UnauthorizedError extends Error {
     this.statusCode = StatusCodes.FORBIDDEN;
   }
 }
+
+export class TooManyRequestsError extends Error {
+  constructor(message, retryAfterSeconds) {
+    super(message);
+    this.name = "TooManyRequestsError";
+    this.statusCode = StatusCodes.TOO_MANY_REQUESTS;
+    this.retryAfter = retryAfterSeconds;
+  }
+}
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+import { API_KEY_SCOPE_NAMES } from "../Config/apiKeyScopes.js";
+
+/**
+ * ApiKey Schema
+ * Personal access token for scripts and integrations (e.g. a school's LMS).
+ * Only the SHA-256 hash of the key is stored; the key itself is shown once at creation.
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      default: null,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      maxlength: [60, "API key name cannot exceed 60 characters"],
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // First characters of the key, so owners can tell their keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPE_NAMES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "An API key needs at least one scope",
+      },
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      trim: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+// The hash never leaves the server, even right after creation
+apiKeySchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  delete obj.keyHash;
+  return obj;
+};
+
+apiKeySchema.methods.isUsable = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model("ApiKey", apiKeySchema);
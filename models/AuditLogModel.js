@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+/**
+ * Audit Log Schema
+ * Append-only record of security-relevant actions. Entries are never updated or deleted
+ * through the application; the hooks below reject any attempt.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    // e.g. "auth.login", "user.role_changed", "material.deleted"
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Who did it (missing for failed logins with an unknown email)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    // Snapshot so entries stay readable after the account changes or is deleted
+    actorEmail: {
+      type: String,
+    },
+    actorRole: {
+      type: String,
+    },
+    // Admin who was acting as `actor` through an impersonation token
+    impersonator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    // Actor's institution, so institution admins only see their own tenant's entries
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      index: true,
+    },
+    target: {
+      type: {
+        type: String, // "user", "session", "material", "feedback", ...
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      label: {
+        type: String,
+      },
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    // Action-specific details (previous role, new status, reason, ...)
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  },
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ "target.type": 1, "target.id": 1, createdAt: -1 });
+
+const rejectMutation = function () {
+  throw new Error("Audit log entries are append-only");
+};
+
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectMutation();
+});
+
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"].forEach(
+  (op) => auditLogSchema.pre(op, rejectMutation),
+);
+
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,116 @@
+import mongoose from "mongoose";
+
+export const BOOKING_STATUSES = ["pending", "proposed", "accepted", "declined", "cancelled", "expired"];
+
+// Requests still waiting on an answer: "pending" on the tutor, "proposed" on the student
+export const OPEN_BOOKING_STATUSES = ["pending", "proposed"];
+
+const historySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["requested", "proposed", "accepted", "declined", "cancelled", "expired"],
+      required: true,
+    },
+    // Empty for system actions (expiry)
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    start: Date,
+    end: Date,
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Booking Request Schema
+ * A student asks a tutor for a one-to-one session in one of the tutor's free slots.
+ * The tutor accepts, declines or proposes another time (which the student then accepts or declines).
+ * Acceptance creates a private one-seat TutoringSession; unanswered requests expire.
+ */
+const bookingRequestSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tutor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Tenant, copied from the student
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      index: true,
+    },
+    subject: {
+      type: String,
+      required: [true, "Please provide a subject"],
+      trim: true,
+      lowercase: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Message cannot exceed 500 characters"],
+    },
+    // Currently requested (or, while "proposed", counter-proposed) time
+    start: {
+      type: Date,
+      required: true,
+    },
+    end: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: BOOKING_STATUSES,
+      default: "pending",
+      index: true,
+    },
+    // When an open request lapses without an answer
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: Date,
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TutoringSession",
+    },
+    history: {
+      type: [historySchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+bookingRequestSchema.index({ status: 1, expiresAt: 1 });
+
+// Whose turn it is to answer an open request
+bookingRequestSchema.virtual("awaiting").get(function () {
+  if (this.status === "pending") return "tutor";
+  if (this.status === "proposed") return "student";
+  return null;
+});
+
+bookingRequestSchema.set("toJSON", { virtuals: true });
+
+export default mongoose.model("BookingRequest", bookingRequestSchema);
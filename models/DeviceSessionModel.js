@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+export const USER_AGENT_MAX_LENGTH = 500;
+
+// One document per login (device). Its _id is the `sid` claim of access tokens
+// and the family id of the refresh tokens rotated from that login.
+const DeviceSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: USER_AGENT_MAX_LENGTH,
+      default: "",
+    },
+
+    ip: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Pushed forward on every refresh; the session is dead once the last refresh token expires
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    revokedReason: {
+      type: String,
+      enum: ["logout", "logout-all", "reuse-detected", "password-reset", "password-changed", "user-revoked", "admin-revoked", "institution-deactivated"],
+    },
+
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+DeviceSessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+
+export default mongoose.model("DeviceSession", DeviceSessionSchema);
@@ -2,10 +2,13 @@ import mongoose from "mongoose";
 
 const FeedbackSchema = new mongoose.Schema(
   {
+    // Cleared when the student deletes their account; the rating itself is kept
     student: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return !this.anonymizedAt;
+      },
       index: true,
     },
     tutor: {
@@ -14,6 +17,12 @@ const FeedbackSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Tenant, copied from the tutor
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      index: true,
+    },
 
     // Optional link to a tutoring session (you already have tutoringsessions collection)
     session: {
@@ -35,11 +44,18 @@ const FeedbackSchema = new mongoose.Schema(
       maxlength: 2000,
       default: "",
     },
+    anonymizedAt: {
+      type: Date,
+    },
   },
   { timestamps: true }
 );
 
-// One feedback per student+tutor+session (if session=null, it becomes one feedback total per student+tutor)
-FeedbackSchema.index({ student: 1, tutor: 1, session: 1 }, { unique: true });
+// One feedback per student+tutor+session (if session=null, it becomes one feedback total per student+tutor).
+// Anonymized feedback has no student, so it is left out of the uniqueness check.
+FeedbackSchema.index(
+  { student: 1, tutor: 1, session: 1 },
+  { unique: true, partialFilterExpression: { student: { $type: "objectId" } }, name: "student_tutor_session_unique" }
+);
 
 export default mongoose.model("Feedback", FeedbackSchema);
\ No newline at end of file
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+export const GUARDIAN_LINK_STATUSES = ["pending", "active", "declined", "revoked"];
+
+/**
+ * Guardian Link Schema
+ * Connects a guardian account to a student account. A guardian invites a student by email;
+ * the link becomes active only once the student accepts.
+ */
+const guardianLinkSchema = new mongoose.Schema(
+  {
+    guardian: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Link must have a guardian"],
+      index: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Link must have a student"],
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: GUARDIAN_LINK_STATUSES,
+      default: "pending",
+    },
+    // sha256 of the invite token emailed to the student (raw token is never stored)
+    inviteTokenHash: {
+      type: String,
+      select: false,
+      index: true,
+    },
+    inviteExpiresAt: {
+      type: Date,
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One link per guardian/student pair; re-inviting reuses it
+guardianLinkSchema.index({ guardian: 1, student: 1 }, { unique: true });
+
+export default mongoose.model("GuardianLink", guardianLinkSchema);
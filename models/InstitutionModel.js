@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+export const INSTITUTION_STATUSES = ["active", "inactive"];
+
+/**
+ * Institution Schema
+ * A school served by this deployment. Users, sessions, materials, feedback, progress and
+ * messages belong to one institution and are only visible inside it (see Config/tenancy.js).
+ */
+const institutionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Institution name is required"],
+      trim: true,
+      maxlength: [120, "Institution name cannot exceed 120 characters"],
+    },
+    // Short code users enter when signing up, e.g. "royal-college"
+    code: {
+      type: String,
+      required: [true, "Institution code is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9][a-z0-9-]{1,38}[a-z0-9]$/, "Code must be 3-40 letters, numbers or dashes"],
+    },
+    contactEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    // Members of an inactive institution cannot log in
+    status: {
+      type: String,
+      enum: INSTITUTION_STATUSES,
+      default: "active",
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true },
+);
+
+export default mongoose.model("Institution", institutionSchema);
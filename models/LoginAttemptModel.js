@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// Failed login counter for one key: "email:<address>" or "ip:<address>"
+const LoginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    failures: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    lastFailureAt: {
+      type: Date,
+    },
+
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    // Hash of the token sent in the unlock email (email keys only)
+    unlockTokenHash: {
+      type: String,
+      index: true,
+    },
+
+    // Counters are forgotten after a quiet window
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("LoginAttempt", LoginAttemptSchema);
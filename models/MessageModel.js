@@ -8,6 +8,13 @@ const messageSchema = new mongoose.Schema({
     required: [true, "User is required"]
   },
 
+  // Tenant, copied from the author
+  institution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Institution",
+    index: true,
+  },
+
   name: {
       type: String,
       required: [true, "Please provide name"],
@@ -8,10 +8,19 @@ const ProgressSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Cleared when the tutor deletes their account; the record stays with the student
     tutor: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return !this.tutorRemovedAt;
+      },
+      index: true,
+    },
+    // Tenant, copied from the student
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
       index: true,
     },
 
@@ -44,6 +53,10 @@ const ProgressSchema = new mongoose.Schema(
       default: "",
     },
 
+    tutorRemovedAt: {
+      type: Date,
+    },
+
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -53,7 +66,11 @@ const ProgressSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Prevent duplicates per tutor+student+topic (so we can "upsert" updates)
-ProgressSchema.index({ student: 1, tutor: 1, topic: 1 }, { unique: true });
+// Prevent duplicates per tutor+student+topic (so we can "upsert" updates).
+// Records whose tutor was erased have no tutor, so they are left out of the uniqueness check.
+ProgressSchema.index(
+  { student: 1, tutor: 1, topic: 1 },
+  { unique: true, partialFilterExpression: { tutor: { $type: "objectId" } }, name: "student_tutor_topic_unique" }
+);
 
 export default mongoose.model("Progress", ProgressSchema);
\ No newline at end of file
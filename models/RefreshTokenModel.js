@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // Only the SHA-256 hash of the token is stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Every token rotated from the same login shares a family id (the DeviceSession _id)
+    family: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeviceSession",
+      required: true,
+      index: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    revokedReason: {
+      type: String,
+      enum: ["rotated", "logout", "logout-all", "reuse-detected", "password-reset", "password-changed", "user-revoked", "admin-revoked", "institution-deactivated"],
+    },
+
+    replacedByHash: {
+      type: String,
+    },
+
+    createdByIp: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB remove tokens once they have expired
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RefreshToken", RefreshTokenSchema);
@@ -89,6 +89,15 @@ const studyMaterialSchema = new mongoose.Schema(
       index: true,
     },
 
+    /**
+     * Tenant, copied from the uploader
+     */
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      index: true,
+    },
+
     /**
      * Engagement metrics
      */
@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+
+export const VERIFICATION_STATUSES = ["pending", "info-requested", "approved", "rejected"];
+
+// Requests that are still waiting on the tutor or an admin
+export const OPEN_VERIFICATION_STATUSES = ["pending", "info-requested"];
+
+/**
+ * Tutor Verification Request Schema
+ * A tutor submits credential documents; an admin approves, rejects or asks for more information.
+ * Approval flips tutorProfile.isVerified on the tutor.
+ */
+const documentSchema = new mongoose.Schema(
+  {
+    // Cloudinary secure URL
+    url: {
+      type: String,
+      required: true,
+    },
+    originalName: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    mimeType: {
+      type: String,
+    },
+    size: {
+      type: Number,
+      min: 0,
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true },
+);
+
+const historySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["submitted", "resubmitted", "approved", "rejected", "info-requested"],
+      required: true,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+const tutorVerificationRequestSchema = new mongoose.Schema(
+  {
+    tutor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Verification request must belong to a tutor"],
+      index: true,
+    },
+    // Tenant, copied from the tutor (admins only review their own institution)
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      index: true,
+    },
+    documents: {
+      type: [documentSchema],
+      validate: {
+        validator: (docs) => docs.length > 0,
+        message: "At least one credential document is required",
+      },
+    },
+    // Tutor's note to the reviewer
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Note cannot exceed 1000 characters"],
+    },
+    status: {
+      type: String,
+      enum: VERIFICATION_STATUSES,
+      default: "pending",
+      index: true,
+    },
+    // Latest reviewer comment (rejection reason or what information is missing)
+    reviewComment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Comment cannot exceed 1000 characters"],
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    history: [historySchema],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Looking up a tutor's open request (one at a time, enforced by the service)
+tutorVerificationRequestSchema.index({ tutor: 1, status: 1 });
+
+// Review queue ordering
+tutorVerificationRequestSchema.index({ status: 1, updatedAt: 1 });
+
+export default mongoose.model("TutorVerificationRequest", tutorVerificationRequestSchema);
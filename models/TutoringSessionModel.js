@@ -16,6 +16,19 @@ const tutoringSessionSchema = new mongoose.Schema(
       },
     },
 
+    // Who scheduled the session: the tutor, or an organizer acting on their behalf
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Tenant, copied from the creator
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      index: true,
+    },
+
     subject: {
       type: String,
       required: [true, "Please provide a subject"],
@@ -67,6 +80,9 @@ const tutoringSessionSchema = new mongoose.Schema(
         min: [15, "Session duration must be at least 15 minutes"],
         max: [480, "Session duration cannot exceed 8 hours (480 minutes)"],
       },
+      // Exact instants, set for sessions created from a booking request
+      startsAt: Date,
+      endsAt: Date,
     },
 
     location: {
@@ -215,6 +231,16 @@ const tutoringSessionSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+
+    // One-to-one sessions booked by a student: only the tutor, the student and staff can see them
+    isPrivate: {
+      type: Boolean,
+      default: false,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BookingRequest",
+    },
   },
   { timestamps: true }
 );
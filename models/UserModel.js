@@ -1,4 +1,25 @@
 import mongoose from "mongoose";
+import { TIME_PATTERN, DATE_PATTERN, isValidTimeZone } from "../utils/availabilityUtils.js";
+
+// Single source for role names; "user" is a student, "admin" manages one institution
+export const ROLES = Object.freeze({
+  STUDENT: "user",
+  ADMIN: "admin",
+  SUPERADMIN: "superadmin",
+  ORGANIZER: "organizer",
+  TUTOR: "tutor",
+  GUARDIAN: "guardian",
+});
+
+export const USER_ROLES = Object.values(ROLES);
+export const USER_STATUSES = ["active", "suspended", "deleted"];
+export const DEFAULT_TUTOR_TIMEZONE = "Asia/Colombo";
+export const AVAILABILITY_EXCEPTION_KINDS = ["blocked", "extra"];
+
+const timeField = (label) => ({
+  type: String,
+  match: [TIME_PATTERN, `${label} must be in HH:MM format`],
+});
 
 const UserSchema = new mongoose.Schema(
   {
@@ -36,9 +57,40 @@ const UserSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["user", "admin", "organizer", "tutor"],
+      enum: USER_ROLES,
       default: "user",
     },
+    // Tenant the account belongs to (none for the super admin and pre-tenancy accounts)
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Institution",
+      index: true,
+    },
+    // Account state managed by admins; only "active" accounts can log in
+    status: {
+      type: String,
+      enum: USER_STATUSES,
+      default: "active",
+      index: true,
+    },
+    suspendedAt: {
+      type: Date,
+    },
+    suspensionReason: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Suspension reason cannot exceed 300 characters"],
+    },
+    deletedAt: {
+      type: Date,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
     avatar: {
       type: String,
       default: "uploads/default-avatar.png", // Default avatar path
@@ -100,10 +152,76 @@ const UserSchema = new mongoose.Schema(
         default: 0,
         min: 0,
       },
+      // Bookable hours (utils/availabilityUtils.js): weekly windows in the tutor's timezone
+      timezone: {
+        type: String,
+        default: DEFAULT_TUTOR_TIMEZONE,
+        validate: {
+          validator: isValidTimeZone,
+          message: "Unknown timezone",
+        },
+      },
+      slotMinutes: {
+        type: Number,
+        default: 60,
+        min: [15, "Slots must be at least 15 minutes"],
+        max: [240, "Slots cannot exceed 4 hours"],
+      },
+      weeklyAvailability: [{
+        day: {
+          type: Number,
+          required: true,
+          min: 0, // Sunday
+          max: 6,
+        },
+        start: { ...timeField("Start time"), required: true },
+        end: { ...timeField("End time"), required: true },
+      }],
+      // Date-specific changes: holidays and one-off blocks ("blocked") or extra hours ("extra")
+      availabilityExceptions: [{
+        date: {
+          type: String,
+          required: true,
+          match: [DATE_PATTERN, "Date must be in YYYY-MM-DD format"],
+        },
+        kind: {
+          type: String,
+          enum: AVAILABILITY_EXCEPTION_KINDS,
+          required: true,
+        },
+        start: timeField("Start time"),
+        end: timeField("End time"),
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: 200,
+        },
+      }],
       isVerified: {
         type: Boolean,
         default: false,
       },
+      // Set when an admin approves a verification request
+      verifiedAt: {
+        type: Date,
+      },
+    },
+    // Organizer-specific fields: tutors this organizer coordinates (assigned by an admin)
+    organizerProfile: {
+      tutors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      }],
+    },
+    // Guardian-specific fields (linked students live in GuardianLink)
+    guardianProfile: {
+      weeklySummary: {
+        type: Boolean,
+        default: false,
+      },
+      lastSummarySentAt: {
+        type: Date,
+      },
     },
     resetPasswordToken: {
       type: String,
@@ -111,17 +229,84 @@ const UserSchema = new mongoose.Schema(
     resetPasswordExpiry: {
       type: Date,
     },
+    // TOTP two-factor authentication (secrets never leave the server)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret generated by /2fa/enroll, promoted to `secret` once a code is confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [
+          {
+            hash: String,
+            usedAt: { type: Date, default: null },
+          },
+        ],
+        select: false,
+      },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+    // Tokens issued before this moment are rejected by the auth middleware
+    passwordChangedAt: {
+      type: Date,
+    },
   },
   { timestamps: true } //createdAt: Set when the document is first created, updatedAt: Update whenever the document is modified 
 );
 
 // Remove password from JSON responses
+// Tutor search (services/tutorSearchService.js): ?q= matches bio and specializations
+UserSchema.index(
+  { "tutorProfile.bio": "text", "tutorProfile.specializations": "text" },
+  { name: "tutor_search_text", weights: { "tutorProfile.specializations": 3, "tutorProfile.bio": 1 } }
+);
+UserSchema.index({ role: 1, institution: 1, "tutorProfile.rating.average": -1 });
+
 UserSchema.methods.toJSON = function () {
   let obj = this.toObject();
   delete obj.password;
   delete obj.resetPasswordToken;
   delete obj.resetPasswordExpiry;
+  if (obj.twoFactor) {
+    delete obj.twoFactor.secret;
+    delete obj.twoFactor.pendingSecret;
+    delete obj.twoFactor.recoveryCodes;
+    delete obj.twoFactor.lastUsedStep;
+  }
   return obj;
 };// automatically removes sensitive data whenever a user document is converted to JSON (e.g., when sending API responses).
 
+// Suspended and soft-deleted accounts are locked out
+UserSchema.methods.isActive = function () {
+  return !this.status || this.status === "active";
+};
+
+// True when this user is an organizer coordinating the given tutor
+UserSchema.methods.coordinatesTutor = function (tutorId) {
+  if (this.role !== ROLES.ORGANIZER) return false;
+  return (this.organizerProfile?.tutors || []).some((id) => String(id) === String(tutorId));
+};
+
+// Check whether the password was changed after a JWT was issued (iat is in seconds)
+UserSchema.methods.changedPasswordAfter = function (jwtIssuedAt) {
+  if (!this.passwordChangedAt || !jwtIssuedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > jwtIssuedAt;
+};
+
 export default mongoose.model("User", UserSchema);
@@ -4,6 +4,7 @@ dotenv.config();
 import express from "express";
 import cors from "cors";
 import connectDB from "./Config/db.js";
+import { runIndexMigrations } from "./Config/indexMigrations.js";
 import cookieParser from "cookie-parser";
 import emailRoutes from "./Routes/emailRoutes.js";
 
@@ -17,6 +18,17 @@ import feedbackEmailRoutes from "./Routes/feedbackEmailRoutes.js";
 // If you have these route files, uncomment the imports + app.use lines below
 import messageRouter from "./Routes/messageRouter.js";
 import tutoringSessionRouter from "./Routes/tutoringSessionRouter.js";
+import materialRouter from "./Routes/materialRouter.js";
+import userRouter from "./Routes/userRouter.js";
+import tutorRouter from "./Routes/tutorRouter.js";
+import adminRouter from "./Routes/adminRouter.js";
+import organizerRouter from "./Routes/organizerRouter.js";
+import guardianRouter from "./Routes/guardianRouter.js";
+import institutionRouter from "./Routes/institutionRouter.js";
+import bookingRouter from "./Routes/bookingRouter.js";
+import { startWeeklySummaryJob } from "./services/guardianSummaryService.js";
+import { startBookingExpiryJob } from "./services/bookingService.js";
+import { promoteConfiguredSuperAdmin } from "./services/adminUserService.js";
 import googleCalendarRouter from "./Routes/googleCalenderRouter.js";
 
 // Import Error Handler
@@ -37,6 +49,7 @@ app.get("/", (req, res) => {
 });
 
 app.use("/api/auth", authRouter);
+app.use("/api/users", userRouter);
 app.use("/api/feedbacks", feedbackRouter);
 app.use("/api/progress", progressRouter);
 app.use("/api/email", emailRoutes);
@@ -45,6 +58,13 @@ app.use("/api/email", feedbackEmailRoutes);
 // Uncomment if these exist
 app.use("/api/messages", messageRouter);
 app.use("/api/tutoring-sessions", tutoringSessionRouter);
+app.use("/api/materials", materialRouter);
+app.use("/api/tutors", tutorRouter);
+app.use("/api/admin", adminRouter);
+app.use("/api/organizer", organizerRouter);
+app.use("/api/guardian", guardianRouter);
+app.use("/api/institutions", institutionRouter);
+app.use("/api/bookings", bookingRouter);
 
 // 404 Handler
 app.use((req, res) => {
@@ -62,8 +82,12 @@ app.use(errorHandler);
 const PORT = process.env.PORT || 5000;
 
 // Connect to MongoDB and start server
-connectDB().then(() => {
+connectDB().then(async () => {
+  await runIndexMigrations();
+  await promoteConfiguredSuperAdmin().catch((err) => console.error("Super admin bootstrap failed:", err.message));
   app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
   });
+  startWeeklySummaryJob();
+  startBookingExpiryJob();
 });
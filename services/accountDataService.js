@@ -0,0 +1,210 @@
+import fs from "fs";
+import path from "path";
+import archiver from "archiver";
+import User, { ROLES } from "../models/UserModel.js";
+import Feedback from "../models/FeedbackModel.js";
+import Progress from "../models/ProgressModel.js";
+import Message from "../models/MessageModel.js";
+import TutoringSession from "../models/TutoringSessionModel.js";
+import StudyMaterial from "../models/StudyMaterialModel.js";
+import GuardianLink from "../models/GuardianLinkModel.js";
+import DeviceSession from "../models/DeviceSessionModel.js";
+import RefreshToken from "../models/RefreshTokenModel.js";
+import LoginAttempt from "../models/LoginAttemptModel.js";
+import TutorVerificationRequest from "../models/TutorVerificationRequestModel.js";
+import ApiKey from "../models/ApiKeyModel.js";
+import BookingRequest from "../models/BookingRequestModel.js";
+import { removeUserFromAllSessions, cancelUpcomingTutorSessions } from "./tutoringSessionService.js";
+import { deleteMaterialsByUploader } from "./studyMaterialService.js";
+import { BadRequestError, NotFoundError } from "../errors/customErrors.js";
+
+const DEFAULT_AVATAR = "uploads/default-avatar.png";
+
+const isLocalUpload = (filePath) =>
+  Boolean(filePath) && filePath !== DEFAULT_AVATAR && filePath.startsWith("uploads/");
+
+const removeLocalFile = (filePath) => {
+  if (!isLocalUpload(filePath)) return;
+  fs.unlink(filePath, (err) => {
+    if (err) console.error(`Failed to remove ${filePath}:`, err.message);
+  });
+};
+
+/**
+ * Everything stored about a user, grouped by archive file name
+ */
+export const collectUserData = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) throw new NotFoundError("User not found");
+
+  const [
+    feedbackGiven,
+    feedbackReceived,
+    progressAsStudent,
+    progressAsTutor,
+    messages,
+    enrolledSessions,
+    tutoredSessions,
+    materials,
+    guardianLinks,
+    loginSessions,
+    verificationRequests,
+    apiKeys,
+    bookings,
+  ] = await Promise.all([
+    Feedback.find({ student: userId }).populate("tutor", "fullName").lean(),
+    Feedback.find({ tutor: userId }).lean(),
+    Progress.find({ student: userId }).populate("tutor", "fullName").lean(),
+    Progress.find({ tutor: userId }).populate("student", "fullName").lean(),
+    Message.find({ createdBy: userId }).lean(),
+    TutoringSession.find({ "participants.userId": userId })
+      .select("subject topic description schedule location status tutor participants")
+      .populate("tutor", "fullName")
+      .lean(),
+    TutoringSession.find({ tutor: userId })
+      .select("subject topic description schedule location status capacity createdAt")
+      .lean(),
+    StudyMaterial.find({ uploadedBy: userId }).lean(),
+    GuardianLink.find({ $or: [{ guardian: userId }, { student: userId }] })
+      .populate("guardian", "fullName")
+      .populate("student", "fullName")
+      .lean(),
+    DeviceSession.find({ user: userId }).select("userAgent ip lastSeenAt createdAt revokedAt").lean(),
+    TutorVerificationRequest.find({ tutor: userId }).lean(),
+    ApiKey.find({ user: userId }).lean(),
+    BookingRequest.find({ $or: [{ student: userId }, { tutor: userId }] })
+      .populate("student", "fullName")
+      .populate("tutor", "fullName")
+      .lean(),
+  ]);
+
+  // Only this user's own roster entry, not other students'
+  const enrolled = enrolledSessions.map(({ participants, ...session }) => ({
+    ...session,
+    myParticipation: participants.find((p) => String(p.userId) === String(userId)),
+  }));
+
+  // Feedback received is shown without the students' identities
+  const received = feedbackReceived.map(({ student, ...feedback }) => feedback);
+
+  return {
+    user,
+    files: {
+      "profile.json": user.toJSON(),
+      "feedback-given.json": feedbackGiven,
+      "feedback-received.json": received,
+      "progress.json": { asStudent: progressAsStudent, asTutor: progressAsTutor },
+      "messages.json": messages,
+      "sessions.json": { enrolled, tutored: tutoredSessions },
+      "materials.json": materials,
+      "guardian-links.json": guardianLinks,
+      "login-sessions.json": loginSessions,
+      "tutor-verification.json": verificationRequests,
+      "api-keys.json": apiKeys,
+      "bookings.json": bookings,
+    },
+    uploads: [user.avatar, ...messages.map((m) => m.image)].filter(isLocalUpload),
+  };
+};
+
+/**
+ * Stream a zip with one JSON file per data category plus the user's uploaded images
+ */
+export const streamExportArchive = async (userId, res) => {
+  const { user, files, uploads } = await collectUserData(userId);
+
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.on("warning", (err) => console.error("Export archive warning:", err.message));
+  archive.on("error", (err) => {
+    console.error("Export archive failed:", err.message);
+    res.destroy(err);
+  });
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.attachment(`my-data-${stamp}.zip`);
+  archive.pipe(res);
+
+  archive.append(
+    [
+      `Personal data export for ${user.email}`,
+      `Generated: ${new Date().toISOString()}`,
+      "",
+      "Each .json file holds one category of data. Files under uploads/ are images you uploaded.",
+      "Study materials are listed with their file URLs in materials.json.",
+    ].join("\n"),
+    { name: "README.txt" },
+  );
+
+  Object.entries(files).forEach(([name, data]) => {
+    archive.append(JSON.stringify(data, null, 2), { name });
+  });
+
+  uploads
+    .filter((filePath) => fs.existsSync(filePath))
+    .forEach((filePath) => archive.file(filePath, { name: `uploads/${path.basename(filePath)}` }));
+
+  await archive.finalize();
+};
+
+/**
+ * Permanently delete a user and everything tied to them.
+ * Feedback they gave is anonymized so tutor ratings stay intact.
+ */
+export const eraseAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) throw new NotFoundError("User not found");
+
+  // Every institution keeps an admin, and the deployment keeps a super admin
+  if ([ROLES.ADMIN, ROLES.SUPERADMIN].includes(user.role)) {
+    const otherAdmins = await User.countDocuments({
+      _id: { $ne: user._id },
+      role: user.role,
+      status: { $nin: ["suspended", "deleted"] },
+      ...(user.role === ROLES.ADMIN && { institution: user.institution ?? null }),
+    });
+    if (otherAdmins === 0) throw new BadRequestError("The last admin account cannot be deleted");
+  }
+
+  const messages = await Message.find({ createdBy: user._id }).select("image");
+
+  const [feedbackAnonymized, progressDetached, sessionsLeft] = await Promise.all([
+    Feedback.updateMany(
+      { student: user._id },
+      { $unset: { student: "" }, $set: { anonymizedAt: new Date() } },
+    ).then((r) => r.modifiedCount),
+    Progress.updateMany(
+      { tutor: user._id },
+      { $unset: { tutor: "" }, $set: { tutorRemovedAt: new Date() } },
+    ).then((r) => r.modifiedCount),
+    removeUserFromAllSessions(user._id),
+  ]);
+
+  const summary = {
+    feedbackAnonymized,
+    progressDetached,
+    sessionsLeft,
+    sessionsCancelled: await cancelUpcomingTutorSessions(user._id, "Tutor account deleted"),
+    materialsDeleted: await deleteMaterialsByUploader(user._id),
+  };
+
+  await Promise.all([
+    Feedback.deleteMany({ tutor: user._id }),
+    Progress.deleteMany({ student: user._id }),
+    Message.deleteMany({ createdBy: user._id }),
+    GuardianLink.deleteMany({ $or: [{ guardian: user._id }, { student: user._id }] }),
+    TutorVerificationRequest.deleteMany({ tutor: user._id }),
+    RefreshToken.deleteMany({ user: user._id }),
+    DeviceSession.deleteMany({ user: user._id }),
+    ApiKey.deleteMany({ user: user._id }),
+    BookingRequest.deleteMany({ $or: [{ student: user._id }, { tutor: user._id }] }),
+    LoginAttempt.deleteMany({ key: `email:${user.email}` }),
+    User.updateMany({ "organizerProfile.tutors": user._id }, { $pull: { "organizerProfile.tutors": user._id } }),
+  ]);
+
+  await User.deleteOne({ _id: user._id });
+
+  removeLocalFile(user.avatar);
+  messages.forEach((m) => removeLocalFile(m.image));
+
+  return summary;
+};
@@ -0,0 +1,232 @@
+import mongoose from "mongoose";
+import User, { ROLES, USER_ROLES } from "../models/UserModel.js";
+import TutoringSession from "../models/TutoringSessionModel.js";
+import Feedback from "../models/FeedbackModel.js";
+import Progress from "../models/ProgressModel.js";
+import StudyMaterial from "../models/StudyMaterialModel.js";
+import { revokeAllUserTokens } from "./authTokenService.js";
+import { listApiKeys, revokeApiKey } from "./apiKeyService.js";
+import { recordAudit, AUDIT_ACTIONS } from "./auditService.js";
+import { escapeRegex } from "../utils/tutoringSessionUtils.js";
+import { isSuperAdmin, tenantFilter } from "../Config/tenancy.js";
+import { BadRequestError, NotFoundError, UnauthorizedError } from "../errors/customErrors.js";
+
+const SORT_OPTIONS = {
+  latest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  name: { fullName: 1 },
+};
+
+// Institution admins only reach users of their own institution, and never the super admin
+export const findUserOrThrow = async (admin, id) => {
+  const user = await User.findOne({ _id: id, ...tenantFilter(admin) });
+  if (!user || (isSuperAdmin(user) && !isSuperAdmin(admin))) {
+    throw new NotFoundError(`No user found with id: ${id}`);
+  }
+  return user;
+};
+
+// Admins cannot lock themselves out by acting on their own account
+const assertNotSelf = (admin, targetId, action) => {
+  if (String(admin._id) === String(targetId)) {
+    throw new BadRequestError(`You cannot ${action} your own account`);
+  }
+};
+
+/**
+ * List users with search, filters and pagination
+ * Query params: search, role, status, verified, createdFrom, createdTo, institution (super admin), sort, page, limit
+ */
+export const listUsers = async (admin, query) => {
+  const { search, role, status, verified, createdFrom, createdTo, institution, sort, page, limit } = query;
+
+  const filter = { ...tenantFilter(admin) };
+  if (isSuperAdmin(admin) && institution) filter.institution = institution === "none" ? null : institution;
+
+  const roles = role ? String(role).split(",") : null;
+  if (!isSuperAdmin(admin)) {
+    filter.role = { $in: (roles || USER_ROLES).filter((r) => r !== ROLES.SUPERADMIN) };
+  } else if (roles) {
+    filter.role = { $in: roles };
+  }
+  if (status) filter.status = { $in: String(status).split(",") };
+  else filter.status = { $ne: "deleted" };
+  if (verified !== undefined) filter.emailVerified = String(verified) === "true";
+
+  if (createdFrom || createdTo) {
+    filter.createdAt = {};
+    if (createdFrom) filter.createdAt.$gte = new Date(createdFrom);
+    if (createdTo) filter.createdAt.$lte = new Date(createdTo);
+  }
+
+  if (search) {
+    const pattern = { $regex: escapeRegex(String(search).trim()), $options: "i" };
+    filter.$or = [{ fullName: pattern }, { email: pattern }, { phoneNumber: pattern }];
+  }
+
+  const sortObj = SORT_OPTIONS[sort] || SORT_OPTIONS.latest;
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const skip = (pageNum - 1) * limitNum;
+
+  const [totalCount, users] = await Promise.all([
+    User.countDocuments(filter),
+    User.find(filter).sort(sortObj).skip(skip).limit(limitNum),
+  ]);
+
+  return {
+    totalCount,
+    totalPages: Math.ceil(totalCount / limitNum),
+    currentPage: pageNum,
+    limit: limitNum,
+    users,
+  };
+};
+
+/**
+ * A user together with counts of everything linked to them
+ */
+export const getUserDetails = async (admin, id) => {
+  const user = await findUserOrThrow(admin, id);
+  const userId = new mongoose.Types.ObjectId(id);
+
+  const [
+    sessionsAsTutor,
+    enrolledSessions,
+    feedbackGiven,
+    feedbackReceived,
+    progressAsStudent,
+    progressAsTutor,
+    materialsUploaded,
+  ] = await Promise.all([
+    TutoringSession.countDocuments({ tutor: userId }),
+    TutoringSession.countDocuments({ "participants.userId": userId }),
+    Feedback.countDocuments({ student: userId }),
+    Feedback.countDocuments({ tutor: userId }),
+    Progress.countDocuments({ student: userId }),
+    Progress.countDocuments({ tutor: userId }),
+    StudyMaterial.countDocuments({ uploadedBy: userId }),
+  ]);
+
+  return {
+    user,
+    counts: {
+      sessionsAsTutor,
+      enrolledSessions,
+      feedbackGiven,
+      feedbackReceived,
+      progressAsStudent,
+      progressAsTutor,
+      materialsUploaded,
+    },
+  };
+};
+
+export const changeUserRole = async (admin, id, role) => {
+  if (!USER_ROLES.includes(role)) {
+    throw new BadRequestError(`Role must be one of: ${USER_ROLES.join(", ")}`);
+  }
+  assertNotSelf(admin, id, "change the role of");
+  if (role === ROLES.SUPERADMIN && !isSuperAdmin(admin)) {
+    throw new UnauthorizedError("Only a super admin can grant the superadmin role");
+  }
+
+  const user = await findUserOrThrow(admin, id);
+  const previousRole = user.role;
+  if (previousRole === role) {
+    throw new BadRequestError(`User already has the role "${role}"`);
+  }
+
+  user.role = role;
+  await user.save();
+
+  return { user, previousRole };
+};
+
+/**
+ * Bootstrap the deployment's super admin: the account registered with SUPERADMIN_EMAIL is
+ * promoted once that address is verified, so only the owner of the mailbox can claim it.
+ * Runs on start-up and right after an email is verified. Returns the promoted user or null.
+ */
+export const promoteConfiguredSuperAdmin = async (candidate) => {
+  const email = String(process.env.SUPERADMIN_EMAIL || "").trim().toLowerCase();
+  if (!email || (candidate && candidate.email !== email)) return null;
+
+  const user = candidate || (await User.findOne({ email }));
+  if (!user || !user.emailVerified || !user.isActive() || isSuperAdmin(user)) return null;
+
+  const previousRole = user.role;
+  user.role = ROLES.SUPERADMIN;
+  user.institution = undefined;
+  await user.save();
+
+  await recordAudit(null, AUDIT_ACTIONS.ROLE_CHANGED, {
+    actor: user,
+    target: { type: "user", id: user._id, label: user.email },
+    metadata: { from: previousRole, to: user.role, via: "SUPERADMIN_EMAIL" },
+  });
+  return user;
+};
+
+export const suspendUser = async (admin, id, reason) => {
+  assertNotSelf(admin, id, "suspend");
+
+  const user = await findUserOrThrow(admin, id);
+  if (user.status === "deleted") throw new BadRequestError("User has been deleted");
+  if (user.status === "suspended") throw new BadRequestError("User is already suspended");
+
+  user.status = "suspended";
+  user.suspendedAt = new Date();
+  user.suspensionReason = reason ? String(reason).trim() : undefined;
+  await user.save();
+
+  await revokeAllUserTokens(user._id, "admin-revoked", admin._id);
+  return user;
+};
+
+export const reactivateUser = async (admin, id) => {
+  const user = await findUserOrThrow(admin, id);
+  if (user.isActive()) throw new BadRequestError("User is already active");
+
+  user.status = "active";
+  user.suspendedAt = undefined;
+  user.suspensionReason = undefined;
+  user.deletedAt = undefined;
+  await user.save();
+
+  return user;
+};
+
+/**
+ * Soft delete: the account is kept for history but can no longer log in or be listed
+ */
+export const softDeleteUser = async (admin, id) => {
+  assertNotSelf(admin, id, "delete");
+
+  const user = await findUserOrThrow(admin, id);
+  if (user.status === "deleted") throw new BadRequestError("User is already deleted");
+
+  user.status = "deleted";
+  user.deletedAt = new Date();
+  await user.save();
+
+  await revokeAllUserTokens(user._id, "admin-revoked", admin._id);
+  return user;
+};
+
+/**
+ * API keys of a user, e.g. to check what an integration can reach
+ */
+export const listUserApiKeys = async (admin, id) => {
+  const user = await findUserOrThrow(admin, id);
+  return { user, apiKeys: await listApiKeys(user._id) };
+};
+
+/**
+ * Revoke a leaked or unused key on the user's behalf
+ */
+export const revokeUserApiKey = async (admin, id, keyId) => {
+  const user = await findUserOrThrow(admin, id);
+  const apiKey = await revokeApiKey(user._id, keyId, admin._id);
+  return { user, apiKey };
+};
@@ -0,0 +1,90 @@
+import ApiKey from "../models/ApiKeyModel.js";
+import { createRandomToken, hashToken } from "../utils/tokenUtils.js";
+import { institutionOf } from "../Config/tenancy.js";
+import { BadRequestError, NotFoundError, UnauthenticatedError } from "../errors/customErrors.js";
+
+// Keys look like "qek_<64 hex chars>" so they are easy to tell apart from JWTs (and to spot in leaks)
+const API_KEY_PREFIX = "qek_";
+export const API_KEY_DEFAULT_EXPIRE_DAYS = 90;
+export const API_KEY_MAX_EXPIRE_DAYS = 365;
+const MAX_ACTIVE_KEYS_PER_USER = 10;
+
+// lastUsedAt is only written once per minute so busy scripts don't cause a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export const isApiKey = (token) => typeof token === "string" && token.startsWith(API_KEY_PREFIX);
+
+/**
+ * Create a key for a user. The raw key is returned only here and never stored.
+ * Returns: { apiKey, key }
+ */
+export const createApiKey = async (user, { name, scopes, expiresInDays = API_KEY_DEFAULT_EXPIRE_DAYS }) => {
+  const activeKeys = await ApiKey.countDocuments({
+    user: user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (activeKeys >= MAX_ACTIVE_KEYS_PER_USER) {
+    throw new BadRequestError(
+      `You can have at most ${MAX_ACTIVE_KEYS_PER_USER} active API keys. Revoke one first`
+    );
+  }
+
+  const { token } = createRandomToken();
+  const key = `${API_KEY_PREFIX}${token}`;
+
+  const apiKey = await ApiKey.create({
+    user: user._id,
+    institution: institutionOf(user),
+    name,
+    keyHash: hashToken(key),
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000),
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * All keys of a user (including revoked and expired ones), newest first
+ */
+export const listApiKeys = async (userId) =>
+  ApiKey.find({ user: userId }).sort({ createdAt: -1 });
+
+/**
+ * Revoke one of the user's keys. Requests using it fail from then on.
+ */
+export const revokeApiKey = async (userId, keyId, revokedBy) => {
+  const apiKey = await ApiKey.findOne({ _id: keyId, user: userId });
+  if (!apiKey) throw new NotFoundError(`No API key found with id: ${keyId}`);
+  if (apiKey.revokedAt) throw new BadRequestError("API key is already revoked");
+
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = revokedBy;
+  await apiKey.save();
+  return apiKey;
+};
+
+/**
+ * Resolve a raw key from a request. Unknown, revoked and expired keys are rejected the same way.
+ */
+export const findUsableApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+  if (!apiKey || !apiKey.isUsable()) {
+    throw new UnauthenticatedError("API key is invalid, expired or revoked");
+  }
+  return apiKey;
+};
+
+/**
+ * Record that a key was used (best effort)
+ */
+export const touchApiKey = (apiKey, ip) => {
+  const now = new Date();
+  if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < LAST_USED_RESOLUTION_MS) return;
+
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: ip }).catch((e) => {
+    console.error("Failed to update API key usage:", e.message);
+  });
+};
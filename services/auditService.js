@@ -0,0 +1,168 @@
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLogModel.js";
+import { toCsvRow } from "../utils/csv.js";
+import { escapeRegex } from "../utils/tutoringSessionUtils.js";
+import { institutionOf, tenantFilter } from "../Config/tenancy.js";
+
+/**
+ * Actions written to the audit log. Keep names "<area>.<event>" so they can be
+ * filtered by prefix (e.g. action=auth.*).
+ */
+export const AUDIT_ACTIONS = {
+  LOGIN: "auth.login",
+  LOGIN_FAILED: "auth.login_failed",
+  LOGOUT: "auth.logout",
+  LOGOUT_ALL: "auth.logout_all",
+  PASSWORD_CHANGED: "auth.password_changed",
+  ROLE_CHANGED: "user.role_changed",
+  USER_SUSPENDED: "user.suspended",
+  USER_REACTIVATED: "user.reactivated",
+  USER_DELETED: "user.deleted",
+  USERS_IMPORTED: "admin.users_imported",
+  ACCOUNT_ERASED: "user.account_erased",
+  SESSIONS_REVOKED: "admin.sessions_revoked",
+  LOCKOUT_CLEARED: "admin.lockout_cleared",
+  ORGANIZER_TUTOR_ASSIGNED: "admin.organizer_tutor_assigned",
+  ORGANIZER_TUTOR_UNASSIGNED: "admin.organizer_tutor_unassigned",
+  VERIFICATION_REVIEWED: "admin.tutor_verification_reviewed",
+  TUTOR_STATS_RECOMPUTED: "admin.tutor_stats_recomputed",
+  SESSION_DELETED: "session.deleted",
+  MATERIAL_DELETED: "material.deleted",
+  MATERIAL_STATUS_CHANGED: "material.status_changed",
+  FEEDBACK_DELETED: "feedback.deleted",
+  IMPERSONATION_STARTED: "admin.impersonation_started",
+  API_KEY_CREATED: "auth.api_key_created",
+  API_KEY_REVOKED: "auth.api_key_revoked",
+  INSTITUTION_CREATED: "institution.created",
+  INSTITUTION_UPDATED: "institution.updated",
+  USER_INSTITUTION_CHANGED: "institution.user_moved",
+  IMPERSONATED_WRITE: "impersonation.write",
+};
+
+/**
+ * Append an entry. Auditing must never break the request it describes,
+ * so failures are logged and swallowed.
+ *
+ * @param {object} req - Express request (IP, user agent, req.user as default actor, req.impersonator)
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {object} [options]
+ * @param {object} [options.actor] - User doc; defaults to req.user
+ * @param {string} [options.actorEmail] - Used when there is no user (e.g. failed login)
+ * @param {{type: string, id?: *, label?: string}} [options.target]
+ * @param {object} [options.metadata]
+ */
+export const recordAudit = async (req, action, { actor = req?.user, actorEmail, target, metadata } = {}) => {
+  try {
+    await AuditLog.create({
+      action,
+      actor: actor?._id,
+      actorEmail: actor?.email || actorEmail,
+      actorRole: actor?.role,
+      impersonator: req?.impersonator?._id,
+      institution: institutionOf(actor),
+      target: target && { type: target.type, id: target.id?._id ?? target.id, label: target.label },
+      ip: req?.ip,
+      userAgent: req?.get?.("user-agent"),
+      metadata,
+    });
+  } catch (err) {
+    console.error(`Failed to write audit entry "${action}":`, err.message);
+  }
+};
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(String(value));
+
+/**
+ * Build a Mongo filter from query params: action, actor, actorEmail, impersonator, targetType, targetId, ip, from, to
+ * `action` accepts a comma-separated list; "auth.*" matches every auth action.
+ */
+const buildAuditFilter = ({ action, actor, actorEmail, impersonator, targetType, targetId, ip, from, to }) => {
+  const filter = {};
+
+  if (action) {
+    const actions = String(action).split(",").map((a) => a.trim()).filter(Boolean);
+    const exact = actions.filter((a) => !a.endsWith(".*"));
+    const prefixes = actions.filter((a) => a.endsWith(".*")).map((a) => a.slice(0, -2));
+
+    const clauses = [
+      ...(exact.length ? [{ action: { $in: exact } }] : []),
+      ...prefixes.map((p) => ({ action: { $regex: `^${escapeRegex(p)}\\.` } })),
+    ];
+    if (clauses.length === 1) Object.assign(filter, clauses[0]);
+    else if (clauses.length) filter.$or = clauses;
+  }
+
+  if (actor && isObjectId(actor)) filter.actor = actor;
+  if (impersonator && isObjectId(impersonator)) filter.impersonator = impersonator;
+  if (actorEmail) filter.actorEmail = String(actorEmail).toLowerCase().trim();
+  if (targetType) filter["target.type"] = targetType;
+  if (targetId && isObjectId(targetId)) filter["target.id"] = targetId;
+  if (ip) filter.ip = ip;
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+/**
+ * Newest-first page of audit entries (institution admins only see their own institution)
+ */
+export const listAuditLogs = async (admin, query) => {
+  const filter = { ...buildAuditFilter(query), ...tenantFilter(admin) };
+  const pageNum = Math.max(1, parseInt(query.page, 10) || 1);
+  const limitNum = Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50));
+
+  const [totalCount, entries] = await Promise.all([
+    AuditLog.countDocuments(filter),
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate("actor", "fullName email role")
+      .populate("impersonator", "fullName email")
+      .lean(),
+  ]);
+
+  return {
+    totalCount,
+    totalPages: Math.ceil(totalCount / limitNum),
+    currentPage: pageNum,
+    limit: limitNum,
+    entries,
+  };
+};
+
+const CSV_COLUMNS = [
+  ["timestamp", (e) => e.createdAt],
+  ["action", (e) => e.action],
+  ["actorId", (e) => e.actor],
+  ["actorEmail", (e) => e.actorEmail],
+  ["actorRole", (e) => e.actorRole],
+  ["impersonatorId", (e) => e.impersonator],
+  ["targetType", (e) => e.target?.type],
+  ["targetId", (e) => e.target?.id],
+  ["targetLabel", (e) => e.target?.label],
+  ["ip", (e) => e.ip],
+  ["userAgent", (e) => e.userAgent],
+  ["metadata", (e) => e.metadata],
+];
+
+/**
+ * Stream every matching entry as CSV (filters as in listAuditLogs, no paging)
+ */
+export const streamAuditCsv = async (admin, query, res) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.attachment(`audit-log-${stamp}.csv`);
+  res.type("text/csv");
+  res.write(`${toCsvRow(CSV_COLUMNS.map(([header]) => header))}\r\n`);
+
+  const cursor = AuditLog.find({ ...buildAuditFilter(query), ...tenantFilter(admin) }).sort({ createdAt: -1 }).lean().cursor();
+  for await (const entry of cursor) {
+    res.write(`${toCsvRow(CSV_COLUMNS.map(([, value]) => value(entry)))}\r\n`);
+  }
+  res.end();
+};
@@ -0,0 +1,120 @@
+import { sendMail } from "./mailService.js";
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+
+export const buildClientUrl = (path, params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return `${CLIENT_URL}${path}${query ? `?${query}` : ""}`;
+};
+
+export const sendPasswordResetEmail = async ({ to, name, resetUrl, expiresInMinutes }) => {
+  const subject = "Reset your password";
+
+  const text = `
+Hi ${name || "there"},
+
+We received a request to reset your password. Use the link below to choose a new one:
+
+${resetUrl}
+
+This link expires in ${expiresInMinutes} minutes and can only be used once.
+If you did not request a password reset, you can safely ignore this email.
+  `.trim();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.5;">
+      <h2>Reset your password</h2>
+      <p>Hi ${name || "there"},</p>
+      <p>We received a request to reset your password. Use the link below to choose a new one:</p>
+      <p><a href="${resetUrl}">Reset password</a></p>
+      <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+      <p>If you did not request a password reset, you can safely ignore this email.</p>
+    </div>
+  `;
+
+  await sendMail({ to, subject, text, html });
+};
+
+export const sendAccountInviteEmail = async ({ to, name, role, setPasswordUrl, expiresInDays }) => {
+  const subject = "Set up your account";
+  const accountType = role === "tutor" ? "tutor" : "student";
+
+  const text = `
+Hi ${name || "there"},
+
+A ${accountType} account has been created for you. Choose a password to start using it:
+
+${setPasswordUrl}
+
+This link expires in ${expiresInDays} days and can only be used once.
+If you were not expecting this invitation, you can ignore this email.
+  `.trim();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.5;">
+      <h2>Set up your account</h2>
+      <p>Hi ${name || "there"},</p>
+      <p>A ${accountType} account has been created for you. Choose a password to start using it:</p>
+      <p><a href="${setPasswordUrl}">Set your password</a></p>
+      <p>This link expires in ${expiresInDays} days and can only be used once.</p>
+      <p>If you were not expecting this invitation, you can ignore this email.</p>
+    </div>
+  `;
+
+  await sendMail({ to, subject, text, html });
+};
+
+export const sendVerificationEmail = async ({ to, name, verifyUrl }) => {
+  const subject = "Verify your email address";
+
+  const text = `
+Hi ${name || "there"},
+
+Please confirm your email address by opening the link below:
+
+${verifyUrl}
+
+Until you confirm, you will not be able to join tutoring sessions, submit feedback or send messages.
+  `.trim();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.5;">
+      <h2>Verify your email address</h2>
+      <p>Hi ${name || "there"},</p>
+      <p>Please confirm your email address by opening the link below:</p>
+      <p><a href="${verifyUrl}">Verify email</a></p>
+      <p>Until you confirm, you will not be able to join tutoring sessions, submit feedback or send messages.</p>
+    </div>
+  `;
+
+  await sendMail({ to, subject, text, html });
+};
+
+export const sendAccountLockedEmail = async ({ to, name, unlockUrl, lockoutMinutes }) => {
+  const subject = "Your account has been temporarily locked";
+
+  const text = `
+Hi ${name || "there"},
+
+We noticed several failed attempts to log in to your account, so we locked it for ${lockoutMinutes} minutes.
+
+If this was you, you can unlock your account right away:
+
+${unlockUrl}
+
+If it was not you, we recommend resetting your password.
+  `.trim();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.5;">
+      <h2>Your account has been temporarily locked</h2>
+      <p>Hi ${name || "there"},</p>
+      <p>We noticed several failed attempts to log in to your account, so we locked it for ${lockoutMinutes} minutes.</p>
+      <p>If this was you, you can unlock your account right away:</p>
+      <p><a href="${unlockUrl}">Unlock account</a></p>
+      <p>If it was not you, we recommend resetting your password.</p>
+    </div>
+  `;
+
+  await sendMail({ to, subject, text, html });
+};
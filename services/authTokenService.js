@@ -0,0 +1,269 @@
+import mongoose from "mongoose";
+import RefreshToken from "../models/RefreshTokenModel.js";
+import DeviceSession, { USER_AGENT_MAX_LENGTH } from "../models/DeviceSessionModel.js";
+import User from "../models/UserModel.js";
+import { createJWT, verifyJWT } from "../utils/generateToken.js";
+import { createRandomToken, hashToken } from "../utils/tokenUtils.js";
+import { NotFoundError, UnauthenticatedError } from "../errors/customErrors.js";
+
+export const ACCESS_TOKEN_EXPIRE_IN = process.env.JWT_ACCESS_EXPIRE_IN || "15m";
+export const REFRESH_TOKEN_EXPIRE_DAYS =
+  Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+
+// Avoid a write on every request: lastSeenAt is refreshed at most once per minute
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+// Clients control the header; an oversized one must not fail the login on schema validation
+const truncateUserAgent = (userAgent) =>
+  typeof userAgent === "string" ? userAgent.trim().slice(0, USER_AGENT_MAX_LENGTH) : undefined;
+
+const refreshExpiryDate = () =>
+  new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+const createAccessToken = (user, sessionId) => {
+  // Keep both keys if you have middleware expecting either `id` or `userId`
+  return createJWT(
+    { userId: user._id, id: user._id, role: user.role, sid: sessionId },
+    ACCESS_TOKEN_EXPIRE_IN
+  );
+};
+
+const createRefreshToken = async (user, sessionId, ip, expiresAt) => {
+  const { token, hashedToken } = createRandomToken(48);
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashedToken,
+    family: sessionId,
+    expiresAt,
+    createdByIp: ip,
+  });
+
+  return { refreshToken: token, refreshTokenHash: hashedToken, refreshTokenExpiresAt: expiresAt };
+};
+
+/**
+ * Start a new login: record the device session and issue an access + refresh token pair
+ */
+export const issueTokens = async (user, { ip, userAgent } = {}) => {
+  const expiresAt = refreshExpiryDate();
+  const session = await DeviceSession.create({
+    user: user._id,
+    ip,
+    userAgent: truncateUserAgent(userAgent),
+    expiresAt,
+  });
+
+  const { refreshToken, refreshTokenExpiresAt } = await createRefreshToken(
+    user,
+    session._id,
+    ip,
+    expiresAt
+  );
+
+  return {
+    accessToken: createAccessToken(user, session._id),
+    refreshToken,
+    refreshTokenExpiresAt,
+    sessionId: session._id,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new pair.
+ * The presented token is revoked; presenting an already-rotated token
+ * is treated as theft and revokes the whole device session.
+ */
+export const rotateRefreshToken = async (rawToken, { ip, userAgent } = {}) => {
+  if (!rawToken) {
+    throw new UnauthenticatedError("Refresh token is required");
+  }
+
+  const tokenHash = hashToken(rawToken);
+  const now = new Date();
+
+  // Atomically claim the token so two concurrent refreshes cannot both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now, revokedReason: "rotated" },
+    { new: true }
+  );
+
+  if (!current) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (existing && existing.revokedReason === "rotated") {
+      await revokeSession(existing.family, "reuse-detected");
+      throw new UnauthenticatedError("Refresh token reuse detected, please log in again");
+    }
+    throw new UnauthenticatedError("Refresh token is invalid or has expired");
+  }
+
+  const [user, session] = await Promise.all([
+    User.findById(current.user),
+    DeviceSession.findOne({ _id: current.family, revokedAt: null }),
+  ]);
+  if (!user || !user.isActive() || !session) {
+    await revokeSession(current.family, "logout");
+    throw new UnauthenticatedError("Refresh token is invalid or has expired");
+  }
+
+  const expiresAt = refreshExpiryDate();
+  const { refreshToken, refreshTokenHash, refreshTokenExpiresAt } = await createRefreshToken(
+    user,
+    session._id,
+    ip,
+    expiresAt
+  );
+  current.replacedByHash = refreshTokenHash;
+  await current.save();
+
+  session.lastSeenAt = now;
+  session.expiresAt = expiresAt;
+  if (ip) session.ip = ip;
+  if (userAgent) session.userAgent = truncateUserAgent(userAgent);
+  await session.save();
+
+  return {
+    user,
+    accessToken: createAccessToken(user, session._id),
+    refreshToken,
+    refreshTokenExpiresAt,
+    sessionId: session._id,
+  };
+};
+
+/**
+ * Find the device session a raw refresh token belongs to: { sessionId, userId } or null if unknown
+ */
+export const findTokenSession = async (rawToken) => {
+  if (!rawToken) return null;
+  const doc = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) }).select("family user");
+  return doc ? { sessionId: doc.family, userId: doc.user } : null;
+};
+
+/**
+ * Device session an access token is bound to (its "sid"): { sessionId, userId },
+ * or null for API keys, invalid or expired tokens
+ */
+export const findAccessTokenSession = (rawToken) => {
+  if (!rawToken) return null;
+  try {
+    const decoded = verifyJWT(rawToken);
+    const userId = decoded?.userId || decoded?.id || decoded?._id;
+    return decoded?.sid && userId ? { sessionId: decoded.sid, userId } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Revoke one device session and every refresh token issued for it
+ */
+export const revokeSession = async (sessionId, reason = "logout", revokedBy) => {
+  const now = new Date();
+  await Promise.all([
+    RefreshToken.updateMany(
+      { family: sessionId, revokedAt: null },
+      { revokedAt: now, revokedReason: reason }
+    ),
+    DeviceSession.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: now, revokedReason: reason, ...(revokedBy ? { revokedBy } : {}) }
+    ),
+  ]);
+};
+
+export const revokeAllUserTokens = async (userId, reason = "logout-all", revokedBy) => {
+  const now = new Date();
+  await Promise.all([
+    RefreshToken.updateMany(
+      { user: userId, revokedAt: null },
+      { revokedAt: now, revokedReason: reason }
+    ),
+    DeviceSession.updateMany(
+      { user: userId, revokedAt: null },
+      { revokedAt: now, revokedReason: reason, ...(revokedBy ? { revokedBy } : {}) }
+    ),
+  ]);
+};
+
+/**
+ * Revoke every session of a user except the one making the request
+ */
+export const revokeOtherSessions = async (userId, keepSessionId, reason = "logout-all") => {
+  const sessions = await DeviceSession.find({
+    user: userId,
+    revokedAt: null,
+    _id: { $ne: keepSessionId },
+  }).select("_id");
+
+  await Promise.all(sessions.map((session) => revokeSession(session._id, reason)));
+};
+
+/**
+ * New access token for a login that stays active, e.g. the device that just changed the password
+ * (tokens issued before passwordChangedAt are rejected). Returns null if the session has ended.
+ */
+export const reissueAccessToken = async (user, sessionId) => {
+  if (!sessionId) return null;
+  const session = await DeviceSession.findOne({
+    _id: sessionId,
+    user: user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).select("expiresAt");
+  if (!session) return null;
+
+  return { accessToken: createAccessToken(user, session._id), expiresAt: session.expiresAt };
+};
+
+/**
+ * Check the `sid` of an access token and record activity on the device session
+ */
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+  const now = new Date();
+  const session = await DeviceSession.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: now },
+  }).select("lastSeenAt");
+  if (!session) return false;
+
+  if (!session.lastSeenAt || now - session.lastSeenAt > LAST_SEEN_THROTTLE_MS) {
+    await DeviceSession.updateOne({ _id: sessionId }, { lastSeenAt: now });
+  }
+  return true;
+};
+
+/**
+ * Active device sessions of a user, most recently used first
+ */
+export const listUserSessions = async (userId) => {
+  return DeviceSession.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip lastSeenAt createdAt expiresAt")
+    .sort({ lastSeenAt: -1 })
+    .lean();
+};
+
+/**
+ * Revoke a single session that must belong to the given user
+ */
+export const revokeUserSession = async (userId, sessionId, reason, revokedBy) => {
+  const session = await DeviceSession.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+  });
+  if (!session) {
+    throw new NotFoundError("Session not found");
+  }
+
+  await revokeSession(session._id, reason, revokedBy);
+  return session;
+};
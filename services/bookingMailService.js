@@ -0,0 +1,83 @@
+import { sendMail } from "./mailService.js";
+import { buildClientUrl } from "./authMailService.js";
+
+// `other` is the other party's name
+const EVENT_COPY = {
+  requested: {
+    subject: "New session booking request",
+    heading: "New booking request",
+    body: ({ other, subject }) => `${other} would like to book a one-to-one ${subject} session with you.`,
+  },
+  proposed: {
+    subject: "Your tutor proposed another time",
+    heading: "A different time was proposed",
+    body: ({ other, subject }) => `${other} cannot make the time you asked for and proposed another time for your ${subject} session.`,
+  },
+  accepted: {
+    subject: "Your session is booked",
+    heading: "Session booked",
+    body: ({ other, subject }) => `Your one-to-one ${subject} session with ${other} is confirmed.`,
+  },
+  declined: {
+    subject: "Booking request declined",
+    heading: "Booking declined",
+    body: ({ other, subject }) => `${other} declined the one-to-one ${subject} session.`,
+  },
+  cancelled: {
+    subject: "Booking request cancelled",
+    heading: "Booking cancelled",
+    body: ({ other, subject }) => `${other} cancelled their request for a one-to-one ${subject} session.`,
+  },
+  expired: {
+    subject: "Booking request expired",
+    heading: "Booking expired",
+    body: ({ other, subject }) => `The request for a one-to-one ${subject} session with ${other} expired without an answer.`,
+  },
+};
+
+const formatTime = (date, timeZone) =>
+  `${new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(date)} (${timeZone})`;
+
+/**
+ * One email per booking step. `start`/`end` are shown in `timeZone` (the tutor's).
+ */
+export const sendBookingEmail = async ({ to, name, event, otherName, bookingId, subject, start, end, timeZone, note }) => {
+  const copy = EVENT_COPY[event];
+  if (!copy || !to) return;
+
+  const body = copy.body({ other: otherName || "Someone", subject });
+  const when = `${formatTime(start, timeZone)} – ${formatTime(end, timeZone)}`;
+  const bookingUrl = buildClientUrl(`/bookings/${bookingId}`);
+
+  const text = `
+Hi ${name || "there"},
+
+${body}
+
+When: ${when}
+${note ? `\nNote:\n${note}\n` : ""}
+View the booking: ${bookingUrl}
+  `.trim();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.5;">
+      <h2>${copy.heading}</h2>
+      <p>Hi ${name || "there"},</p>
+      <p>${body}</p>
+      <p><strong>When:</strong> ${when}</p>
+      ${note ? `<p><strong>Note:</strong><br/>${note}</p>` : ""}
+      <p><a href="${bookingUrl}">View the booking</a></p>
+    </div>
+  `;
+
+  await sendMail({ to, subject: copy.subject, text, html });
+};
@@ -0,0 +1,333 @@
+import BookingRequest, { OPEN_BOOKING_STATUSES } from "../models/BookingRequestModel.js";
+import User, { ROLES, DEFAULT_TUTOR_TIMEZONE } from "../models/UserModel.js";
+import { getBookableSlots, getBusyIntervals } from "./tutorAvailabilityService.js";
+import { createBookedSession } from "./tutoringSessionService.js";
+import { sendBookingEmail } from "./bookingMailService.js";
+import { institutionOf, tenantFilter } from "../Config/tenancy.js";
+import { BadRequestError, NotFoundError, UnauthorizedError } from "../errors/customErrors.js";
+
+const REQUEST_EXPIRE_HOURS = Number(process.env.BOOKING_REQUEST_EXPIRE_HOURS) || 48;
+const CHECK_INTERVAL_MINUTES = Number(process.env.BOOKING_EXPIRY_CHECK_MINUTES) || 15;
+const MAX_SLOT_MINUTES = 240;
+
+const PARTY_FIELDS = "fullName email tutorProfile.timezone";
+
+// An open request lapses after BOOKING_REQUEST_EXPIRE_HOURS or when its slot starts, whichever comes first
+const expiryFor = (start, now = new Date()) =>
+  new Date(Math.min(now.getTime() + REQUEST_EXPIRE_HOURS * 60 * 60 * 1000, new Date(start).getTime()));
+
+const isParty = (user, booking) =>
+  [booking.student, booking.tutor].some((party) => String(party._id ?? party) === String(user._id));
+
+const findBookingOrThrow = async (user, id) => {
+  const booking = await BookingRequest.findById(id).populate("student", PARTY_FIELDS).populate("tutor", PARTY_FIELDS);
+  if (!booking || !isParty(user, booking)) throw new NotFoundError(`No booking request found with id: ${id}`);
+  return booking;
+};
+
+/**
+ * Open request whose turn it is for this user: the tutor answers "pending", the student answers "proposed".
+ * Returns "tutor" or "student".
+ */
+const assertTurn = (user, booking) => {
+  if (!OPEN_BOOKING_STATUSES.includes(booking.status)) {
+    throw new BadRequestError(`This booking request is already ${booking.status}`);
+  }
+  if (booking.expiresAt <= new Date()) throw new BadRequestError("This booking request has expired");
+
+  const party = String(booking.tutor._id) === String(user._id) ? "tutor" : "student";
+  if (booking.awaiting !== party) {
+    throw new UnauthorizedError(`Waiting for the ${booking.awaiting} to answer this request`);
+  }
+  return party;
+};
+
+// The free slot of the tutor starting exactly at `start`, or 400
+const findFreeSlot = async (viewer, tutorId, start) => {
+  const from = new Date(start);
+  const { slots } = await getBookableSlots(viewer, tutorId, {
+    from,
+    to: new Date(from.getTime() + MAX_SLOT_MINUTES * 60 * 1000),
+  });
+  const slot = slots.find((s) => s.start.getTime() === from.getTime());
+  if (!slot) throw new BadRequestError("That time is not available. Pick one of the tutor's free slots");
+  return slot;
+};
+
+/**
+ * Move a booking out of the status it was read in. The update is conditional on that status,
+ * so concurrent answers, cancellations and the expiry job cannot overwrite each other.
+ */
+const transition = async (booking, update) => {
+  const updated = await BookingRequest.findOneAndUpdate({ _id: booking._id, status: booking.status }, update, {
+    new: true,
+    runValidators: true,
+  })
+    .populate("student", PARTY_FIELDS)
+    .populate("tutor", PARTY_FIELDS);
+  if (!updated) throw new BadRequestError("This booking request was answered in the meantime");
+  return updated;
+};
+
+/**
+ * True if the booking's slot overlaps a live session of the tutor, or another request of the
+ * tutor that was accepted but has no session yet. Claims are read before sessions: an accept
+ * running in parallel is then seen either as a claim or, once done, as its session.
+ */
+const hasClash = async (booking) => {
+  const claimed = await BookingRequest.exists({
+    _id: { $ne: booking._id },
+    tutor: booking.tutor._id,
+    status: "accepted",
+    session: null,
+    start: { $lt: booking.end },
+    end: { $gt: booking.start },
+  });
+  if (claimed) return true;
+
+  const busy = await getBusyIntervals(booking.tutor, booking.start, booking.end);
+  return busy.some((b) => b.start < booking.end && b.end > booking.start);
+};
+
+// Email each recipient (best effort); the other party's name goes into the message
+const notify = (booking, recipients, event, note) => {
+  const timeZone = booking.tutor.tutorProfile?.timezone || DEFAULT_TUTOR_TIMEZONE;
+
+  recipients.forEach((recipient) => {
+    const other = String(recipient._id) === String(booking.tutor._id) ? booking.student : booking.tutor;
+    sendBookingEmail({
+      to: recipient.email,
+      name: recipient.fullName,
+      event,
+      otherName: other.fullName,
+      bookingId: booking._id,
+      subject: booking.subject,
+      start: booking.start,
+      end: booking.end,
+      timeZone,
+      note,
+    }).catch((e) => console.error("Booking email failed:", e.message));
+  });
+};
+
+/**
+ * Student requests one of the tutor's free slots for a subject the tutor teaches
+ */
+export const createBooking = async (student, { tutorId, subject, start, message }) => {
+  const tutor = await User.findOne({
+    _id: tutorId,
+    role: ROLES.TUTOR,
+    status: { $nin: ["suspended", "deleted"] },
+    ...tenantFilter(student),
+  }).select("tutorProfile.subjects");
+  if (!tutor) throw new NotFoundError("Tutor not found");
+
+  const normalizedSubject = String(subject).trim().toLowerCase();
+  if (!(tutor.tutorProfile?.subjects || []).includes(normalizedSubject)) {
+    throw new BadRequestError(`This tutor does not teach ${normalizedSubject}`);
+  }
+
+  const slot = await findFreeSlot(student, tutor._id, start);
+
+  const duplicate = await BookingRequest.exists({
+    student: student._id,
+    tutor: tutor._id,
+    start: slot.start,
+    status: { $in: OPEN_BOOKING_STATUSES },
+  });
+  if (duplicate) throw new BadRequestError("You already requested this slot");
+
+  const booking = await BookingRequest.create({
+    student: student._id,
+    tutor: tutor._id,
+    institution: institutionOf(student),
+    subject: normalizedSubject,
+    message,
+    start: slot.start,
+    end: slot.end,
+    expiresAt: expiryFor(slot.start),
+    history: [{ action: "requested", by: student._id, start: slot.start, end: slot.end, note: message }],
+  });
+
+  await booking.populate([
+    { path: "student", select: PARTY_FIELDS },
+    { path: "tutor", select: PARTY_FIELDS },
+  ]);
+  notify(booking, [booking.tutor], "requested", message);
+  return booking;
+};
+
+/**
+ * Booking requests the user is part of, newest first
+ * Query params: as (student|tutor), status (comma-separated), page, limit
+ */
+export const listBookings = async (user, { as, status, page, limit } = {}) => {
+  const filter =
+    as === "student" ? { student: user._id }
+    : as === "tutor" ? { tutor: user._id }
+    : { $or: [{ student: user._id }, { tutor: user._id }] };
+  if (status) filter.status = { $in: String(status).split(",") };
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const [totalCount, bookings] = await Promise.all([
+    BookingRequest.countDocuments(filter),
+    BookingRequest.find(filter)
+      .populate("student", "fullName email")
+      .populate("tutor", "fullName email")
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+  ]);
+
+  return {
+    totalCount,
+    totalPages: Math.ceil(totalCount / limitNum),
+    currentPage: pageNum,
+    limit: limitNum,
+    bookings,
+  };
+};
+
+export const getBooking = async (user, id) => findBookingOrThrow(user, id);
+
+/**
+ * Accept the open request (tutor) or the proposed time (student): creates the private session
+ */
+export const acceptBooking = async (user, id) => {
+  const booking = await findBookingOrThrow(user, id);
+  assertTurn(user, booking);
+
+  if (await hasClash(booking)) throw new BadRequestError("The tutor already has a session at this time");
+
+  // Claim the request first so two concurrent answers cannot both create a session
+  const previousStatus = booking.status;
+  const accepted = await transition(booking, { status: "accepted", respondedAt: new Date() });
+  const release = () =>
+    BookingRequest.updateOne(
+      { _id: booking._id, status: "accepted" },
+      { status: previousStatus, $unset: { respondedAt: "" } }
+    );
+
+  // Check again now that the claim is visible: an overlapping request of the same tutor may have
+  // been accepted in parallel. If both see each other, both are released and can be retried.
+  if (await hasClash(accepted)) {
+    await release();
+    throw new BadRequestError("The tutor was just booked at this time");
+  }
+
+  let session;
+  try {
+    session = await createBookedSession(accepted, accepted.tutor, accepted.student);
+  } catch (err) {
+    await release();
+    throw err;
+  }
+
+  const entry = { action: "accepted", by: user._id, start: accepted.start, end: accepted.end };
+  await BookingRequest.updateOne({ _id: accepted._id }, { session: session._id, $push: { history: entry } });
+  accepted.session = session._id;
+  accepted.history.push(entry);
+
+  notify(accepted, [accepted.student, accepted.tutor], "accepted");
+  return { booking: accepted, session };
+};
+
+/**
+ * Decline the open request (tutor) or the proposed time (student)
+ */
+export const declineBooking = async (user, id, note) => {
+  const booking = await findBookingOrThrow(user, id);
+  const party = assertTurn(user, booking);
+
+  const declined = await transition(booking, {
+    status: "declined",
+    respondedAt: new Date(),
+    $push: { history: { action: "declined", by: user._id, note } },
+  });
+
+  notify(declined, [party === "tutor" ? declined.student : declined.tutor], "declined", note);
+  return declined;
+};
+
+/**
+ * Tutor counter-proposes another of their free slots; the student then accepts or declines it
+ */
+export const proposeTime = async (user, id, { start, note }) => {
+  const booking = await findBookingOrThrow(user, id);
+  if (assertTurn(user, booking) !== "tutor") {
+    throw new UnauthorizedError("Only the tutor can propose another time");
+  }
+
+  const slot = await findFreeSlot(user, booking.tutor._id, start);
+
+  const proposed = await transition(booking, {
+    status: "proposed",
+    start: slot.start,
+    end: slot.end,
+    expiresAt: expiryFor(slot.start),
+    $push: { history: { action: "proposed", by: user._id, start: slot.start, end: slot.end, note } },
+  });
+
+  notify(proposed, [proposed.student], "proposed", note);
+  return proposed;
+};
+
+/**
+ * Student withdraws an open request
+ */
+export const cancelBooking = async (user, id) => {
+  const booking = await findBookingOrThrow(user, id);
+  if (String(booking.student._id) !== String(user._id)) {
+    throw new UnauthorizedError("Only the student can cancel a booking request");
+  }
+  if (!OPEN_BOOKING_STATUSES.includes(booking.status)) {
+    throw new BadRequestError(`This booking request is already ${booking.status}`);
+  }
+
+  const cancelled = await transition(booking, {
+    status: "cancelled",
+    $push: { history: { action: "cancelled", by: user._id } },
+  });
+
+  notify(cancelled, [cancelled.tutor], "cancelled");
+  return cancelled;
+};
+
+/**
+ * Mark unanswered requests as expired and tell both sides. Returns how many expired.
+ */
+export const expireStaleBookings = async (now = new Date()) => {
+  const stale = await BookingRequest.find({ status: { $in: OPEN_BOOKING_STATUSES }, expiresAt: { $lte: now } })
+    .populate("student", PARTY_FIELDS)
+    .populate("tutor", PARTY_FIELDS);
+
+  let expired = 0;
+  for (const booking of stale) {
+    const result = await BookingRequest.updateOne(
+      { _id: booking._id, status: booking.status },
+      { status: "expired", $push: { history: { action: "expired", at: now } } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    expired += 1;
+    notify(booking, [booking.student, booking.tutor], "expired");
+  }
+  return expired;
+};
+
+/**
+ * Expires requests every BOOKING_EXPIRY_CHECK_MINUTES (default 15).
+ * Disabled with BOOKING_EXPIRY_JOB=false (e.g. when several API instances run).
+ */
+export const startBookingExpiryJob = () => {
+  if (String(process.env.BOOKING_EXPIRY_JOB).toLowerCase() === "false") return null;
+
+  const run = () =>
+    expireStaleBookings().catch((err) => console.error("Booking expiry job failed:", err.message));
+
+  const timer = setInterval(run, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
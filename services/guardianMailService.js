@@ -0,0 +1,105 @@
+import { sendMail } from "./mailService.js";
+import { escapeHtml } from "../utils/htmlUtils.js";
+
+export const sendGuardianInviteEmail = async ({ to, studentName, guardianName, acceptUrl, expiresInDays }) => {
+  const subject = `${guardianName || "A guardian"} wants to follow your progress`;
+
+  const text = `
+Hi ${studentName || "there"},
+
+${guardianName || "Someone"} has asked to be linked to your account as your parent or guardian.
+Once linked, they can see your progress, the sessions you are enrolled in and your attendance. They cannot change anything.
+
+To accept, open the link below while logged in:
+
+${acceptUrl}
+
+This invitation expires in ${expiresInDays} days. If you do not know this person, simply ignore this email.
+  `.trim();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.5;">
+      <h2>Guardian link request</h2>
+      <p>Hi ${escapeHtml(studentName || "there")},</p>
+      <p><strong>${escapeHtml(guardianName || "Someone")}</strong> has asked to be linked to your account as your parent or guardian.</p>
+      <p>Once linked, they can see your progress, the sessions you are enrolled in and your attendance. They cannot change anything.</p>
+      <p><a href="${escapeHtml(acceptUrl)}">Accept invitation</a></p>
+      <p>This invitation expires in ${expiresInDays} days. If you do not know this person, simply ignore this email.</p>
+    </div>
+  `;
+
+  await sendMail({ to, subject, text, html });
+};
+
+/**
+ * students: [{ name, progressUpdates: [{ topic, completionPercent, tutorName }],
+ *              attended, missed, upcoming: [{ subject, date, startTime }] }]
+ */
+export const sendGuardianWeeklySummaryEmail = async ({ to, guardianName, students }) => {
+  const subject = "Weekly learning summary";
+
+  const textSections = students.map((s) => {
+    const progress = s.progressUpdates.length
+      ? s.progressUpdates
+          .map((p) => `  - ${p.topic || "General"}: ${p.completionPercent}% (${p.tutorName || "tutor"})`)
+          .join("\n")
+      : "  - No progress updates this week";
+    const upcoming = s.upcoming.length
+      ? s.upcoming.map((u) => `  - ${u.subject} on ${u.date} at ${u.startTime}`).join("\n")
+      : "  - Nothing scheduled";
+
+    return `${s.name}
+Sessions attended: ${s.attended}, missed: ${s.missed}
+Progress:
+${progress}
+Upcoming sessions:
+${upcoming}`;
+  });
+
+  const text = `
+Hi ${guardianName || "there"},
+
+Here is what happened over the last 7 days:
+
+${textSections.join("\n\n")}
+
+You can turn these emails off from your guardian settings.
+  `.trim();
+
+  const htmlSections = students
+    .map((s) => {
+      const progress = s.progressUpdates.length
+        ? s.progressUpdates
+            .map(
+              (p) =>
+                `<li>${escapeHtml(p.topic || "General")}: ${p.completionPercent}% (${escapeHtml(p.tutorName || "tutor")})</li>`,
+            )
+            .join("")
+        : "<li>No progress updates this week</li>";
+      const upcoming = s.upcoming.length
+        ? s.upcoming.map((u) => `<li>${escapeHtml(u.subject)} on ${u.date} at ${u.startTime}</li>`).join("")
+        : "<li>Nothing scheduled</li>";
+
+      return `
+        <h3>${escapeHtml(s.name)}</h3>
+        <p><strong>Sessions attended:</strong> ${s.attended} &nbsp; <strong>Missed:</strong> ${s.missed}</p>
+        <p><strong>Progress</strong></p>
+        <ul>${progress}</ul>
+        <p><strong>Upcoming sessions</strong></p>
+        <ul>${upcoming}</ul>
+      `;
+    })
+    .join("");
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.5;">
+      <h2>Weekly learning summary</h2>
+      <p>Hi ${escapeHtml(guardianName || "there")},</p>
+      <p>Here is what happened over the last 7 days:</p>
+      ${htmlSections}
+      <p>You can turn these emails off from your guardian settings.</p>
+    </div>
+  `;
+
+  await sendMail({ to, subject, text, html });
+};
@@ -0,0 +1,203 @@
+import GuardianLink from "../models/GuardianLinkModel.js";
+import User, { ROLES } from "../models/UserModel.js";
+import Progress from "../models/ProgressModel.js";
+import TutoringSession from "../models/TutoringSessionModel.js";
+import { buildClientUrl } from "./authMailService.js";
+import { sendGuardianInviteEmail } from "./guardianMailService.js";
+import { createRandomToken, hashToken } from "../utils/tokenUtils.js";
+import { tenantFilter } from "../Config/tenancy.js";
+import { BadRequestError, NotFoundError, UnauthorizedError } from "../errors/customErrors.js";
+
+const INVITE_EXPIRE_DAYS = Number(process.env.GUARDIAN_INVITE_EXPIRE_DAYS) || 7;
+
+const LINK_PARTY_FIELDS = "fullName email";
+
+const findLinkOrThrow = async (id) => {
+  const link = await GuardianLink.findById(id);
+  if (!link) throw new NotFoundError(`No guardian link found with id: ${id}`);
+  return link;
+};
+
+/**
+ * Active link between this guardian and student, or 403
+ */
+export const assertActiveLink = async (guardian, studentId) => {
+  const link = await GuardianLink.findOne({ guardian: guardian._id, student: studentId, status: "active" });
+  if (!link) throw new UnauthorizedError("You are not linked to this student");
+  return link;
+};
+
+/**
+ * Guardian asks to be linked to a student. The student gets an email with an accept link;
+ * inviting again (after a decline, revoke or expiry) reuses the same link with a fresh token.
+ * Unknown emails are ignored silently so guardians cannot probe for student accounts.
+ */
+export const inviteStudent = async (guardian, studentEmail) => {
+  const student = await User.findOne({
+    email: String(studentEmail).trim().toLowerCase(),
+    role: ROLES.STUDENT,
+    ...tenantFilter(guardian),
+  });
+  if (!student || !student.isActive()) return;
+
+  let link = await GuardianLink.findOne({ guardian: guardian._id, student: student._id });
+  if (link?.status === "active") {
+    throw new BadRequestError("You are already linked to this student");
+  }
+
+  const { token, hashedToken } = createRandomToken();
+  const inviteExpiresAt = new Date(Date.now() + INVITE_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (!link) link = new GuardianLink({ guardian: guardian._id, student: student._id });
+  link.status = "pending";
+  link.inviteTokenHash = hashedToken;
+  link.inviteExpiresAt = inviteExpiresAt;
+  link.revokedAt = undefined;
+  link.revokedBy = undefined;
+  await link.save();
+
+  try {
+    await sendGuardianInviteEmail({
+      to: student.email,
+      studentName: student.fullName,
+      guardianName: guardian.fullName,
+      acceptUrl: buildClientUrl("/guardian-invite", { token }),
+      expiresInDays: INVITE_EXPIRE_DAYS,
+    });
+  } catch (err) {
+    // Keep the response identical for the caller; inviting again issues a fresh token
+    console.error("Guardian invite email failed:", err.message);
+  }
+};
+
+/**
+ * Student accepts an invite with the emailed token (must be logged in as that student)
+ */
+export const acceptInvite = async (student, token) => {
+  const link = await GuardianLink.findOne({ inviteTokenHash: hashToken(token), status: "pending" });
+
+  if (!link || !link.inviteExpiresAt || link.inviteExpiresAt < new Date()) {
+    throw new BadRequestError("Invitation is invalid or has expired");
+  }
+  if (String(link.student) !== String(student._id)) {
+    throw new UnauthorizedError("This invitation was sent to a different account");
+  }
+
+  link.status = "active";
+  link.acceptedAt = new Date();
+  link.inviteTokenHash = undefined;
+  link.inviteExpiresAt = undefined;
+  await link.save();
+
+  return link.populate("guardian", LINK_PARTY_FIELDS);
+};
+
+export const declineInvite = async (student, linkId) => {
+  const link = await findLinkOrThrow(linkId);
+  if (String(link.student) !== String(student._id)) {
+    throw new NotFoundError(`No guardian link found with id: ${linkId}`);
+  }
+  if (link.status !== "pending") throw new BadRequestError("Only pending invitations can be declined");
+
+  link.status = "declined";
+  link.inviteTokenHash = undefined;
+  link.inviteExpiresAt = undefined;
+  await link.save();
+  return link;
+};
+
+/**
+ * Either side can end a link at any time
+ */
+export const revokeLink = async (user, linkId) => {
+  const link = await findLinkOrThrow(linkId);
+  const isParty = [link.guardian, link.student].some((id) => String(id) === String(user._id));
+  if (!isParty) throw new NotFoundError(`No guardian link found with id: ${linkId}`);
+  if (!["pending", "active"].includes(link.status)) {
+    throw new BadRequestError(`This link is already ${link.status}`);
+  }
+
+  link.status = "revoked";
+  link.revokedAt = new Date();
+  link.revokedBy = user._id;
+  link.inviteTokenHash = undefined;
+  link.inviteExpiresAt = undefined;
+  await link.save();
+  return link;
+};
+
+/**
+ * Links seen from either side: a guardian sees their students, a student their guardians
+ */
+export const listLinks = async (user) => {
+  const filter = user.role === ROLES.GUARDIAN ? { guardian: user._id } : { student: user._id };
+
+  return GuardianLink.find(filter)
+    .populate("guardian", LINK_PARTY_FIELDS)
+    .populate("student", LINK_PARTY_FIELDS)
+    .sort({ updatedAt: -1 });
+};
+
+// --- read-only views for linked guardians ---
+
+export const getStudentProgress = async (guardian, studentId) => {
+  await assertActiveLink(guardian, studentId);
+
+  return Progress.find({ student: studentId, ...tenantFilter(guardian) })
+    .populate("tutor", "fullName")
+    .sort({ updatedAt: -1 });
+};
+
+export const getStudentSessions = async (guardian, studentId, { upcoming } = {}) => {
+  await assertActiveLink(guardian, studentId);
+
+  const filter = { "participants.userId": studentId, ...tenantFilter(guardian) };
+  if (upcoming === "true") filter["schedule.date"] = { $gte: new Date() };
+
+  return TutoringSession.find(filter)
+    .select("subject topic description schedule location status tutor")
+    .populate("tutor", "fullName")
+    .sort({ "schedule.date": 1 });
+};
+
+/**
+ * Attendance across the student's past sessions, with totals per status
+ */
+export const getStudentAttendance = async (guardian, studentId) => {
+  await assertActiveLink(guardian, studentId);
+
+  const sessions = await TutoringSession.find({
+    "participants.userId": studentId,
+    ...tenantFilter(guardian),
+    "schedule.date": { $lt: new Date() },
+  })
+    .select("subject schedule status participants tutor")
+    .populate("tutor", "fullName")
+    .sort({ "schedule.date": -1 });
+
+  const totals = { enrolled: 0, attended: 0, dropped: 0, cancelled: 0 };
+  const records = sessions.map((session) => {
+    const participant = session.participants.find((p) => String(p.userId) === String(studentId));
+    totals[participant.status] = (totals[participant.status] || 0) + 1;
+
+    return {
+      sessionId: session._id,
+      subject: session.subject,
+      date: session.schedule.date,
+      tutor: session.tutor,
+      sessionStatus: session.status,
+      attendance: participant.status,
+    };
+  });
+
+  return { totals, records };
+};
+
+export const setWeeklySummary = async (guardian, enabled) => {
+  const user = await User.findByIdAndUpdate(
+    guardian._id,
+    { "guardianProfile.weeklySummary": Boolean(enabled) },
+    { new: true },
+  );
+  return user.guardianProfile;
+};
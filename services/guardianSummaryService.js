@@ -0,0 +1,112 @@
+import GuardianLink from "../models/GuardianLinkModel.js";
+import User, { ROLES } from "../models/UserModel.js";
+import Progress from "../models/ProgressModel.js";
+import TutoringSession from "../models/TutoringSessionModel.js";
+import { sendGuardianWeeklySummaryEmail } from "./guardianMailService.js";
+import { tenantFilter } from "../Config/tenancy.js";
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MINUTES = Number(process.env.GUARDIAN_SUMMARY_CHECK_MINUTES) || 60;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const summarizeStudent = async (guardian, student, now) => {
+  const weekAgo = new Date(now.getTime() - WEEK_MS);
+  const weekAhead = new Date(now.getTime() + WEEK_MS);
+
+  const [progress, pastSessions, upcomingSessions] = await Promise.all([
+    Progress.find({ student: student._id, ...tenantFilter(guardian), updatedAt: { $gte: weekAgo } })
+      .populate("tutor", "fullName")
+      .sort({ updatedAt: -1 }),
+    TutoringSession.find({
+      "participants.userId": student._id,
+      ...tenantFilter(guardian),
+      "schedule.date": { $gte: weekAgo, $lt: now },
+      status: { $ne: "cancelled" },
+    }).select("participants"),
+    TutoringSession.find({
+      "participants.userId": student._id,
+      ...tenantFilter(guardian),
+      "schedule.date": { $gte: now, $lte: weekAhead },
+      status: "scheduled",
+    })
+      .select("subject schedule")
+      .sort({ "schedule.date": 1 }),
+  ]);
+
+  const attended = pastSessions.filter((s) =>
+    s.participants.some((p) => String(p.userId) === String(student._id) && p.status === "attended"),
+  ).length;
+
+  return {
+    name: student.fullName,
+    progressUpdates: progress.map((p) => ({
+      topic: p.topic,
+      completionPercent: p.completionPercent,
+      tutorName: p.tutor?.fullName,
+    })),
+    attended,
+    missed: pastSessions.length - attended,
+    upcoming: upcomingSessions.map((s) => ({
+      subject: s.subject,
+      date: formatDate(s.schedule.date),
+      startTime: s.schedule.startTime,
+    })),
+  };
+};
+
+/**
+ * Email every opted-in guardian whose last summary is at least a week old.
+ * Safe to run often: lastSummarySentAt keeps each guardian to one email per week.
+ */
+export const sendWeeklySummaries = async (now = new Date()) => {
+  const guardians = await User.find({
+    role: ROLES.GUARDIAN,
+    status: { $nin: ["suspended", "deleted"] },
+    "guardianProfile.weeklySummary": true,
+    $or: [
+      { "guardianProfile.lastSummarySentAt": { $exists: false } },
+      { "guardianProfile.lastSummarySentAt": { $lte: new Date(now.getTime() - WEEK_MS) } },
+    ],
+  }).select("fullName email institution guardianProfile");
+
+  let sent = 0;
+  for (const guardian of guardians) {
+    try {
+      const links = await GuardianLink.find({ guardian: guardian._id, status: "active" }).populate(
+        "student",
+        "fullName",
+      );
+      const students = links.map((l) => l.student).filter(Boolean);
+      if (students.length === 0) continue;
+
+      const summaries = await Promise.all(students.map((s) => summarizeStudent(guardian, s, now)));
+      await sendGuardianWeeklySummaryEmail({
+        to: guardian.email,
+        guardianName: guardian.fullName,
+        students: summaries,
+      });
+
+      await User.updateOne({ _id: guardian._id }, { "guardianProfile.lastSummarySentAt": now });
+      sent += 1;
+    } catch (err) {
+      console.error(`Weekly summary for guardian ${guardian._id} failed:`, err.message);
+    }
+  }
+  return sent;
+};
+
+/**
+ * Checks for due summaries every GUARDIAN_SUMMARY_CHECK_MINUTES (default 60).
+ * Disabled with GUARDIAN_SUMMARY_JOB=false (e.g. when several API instances run).
+ */
+export const startWeeklySummaryJob = () => {
+  if (String(process.env.GUARDIAN_SUMMARY_JOB).toLowerCase() === "false") return null;
+
+  const run = () =>
+    sendWeeklySummaries().catch((err) => console.error("Weekly summary job failed:", err.message));
+
+  const timer = setInterval(run, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,105 @@
+import User from "../models/UserModel.js";
+import { createJWT } from "../utils/generateToken.js";
+import { hasCapability } from "../Config/permissions.js";
+import { tenantFilter } from "../Config/tenancy.js";
+import { recordAudit, AUDIT_ACTIONS } from "./auditService.js";
+import {
+  BadRequestError,
+  NotFoundError,
+  UnauthenticatedError,
+  UnauthorizedError,
+} from "../errors/customErrors.js";
+
+export const IMPERSONATION_EXPIRE_IN = process.env.IMPERSONATION_EXPIRE_IN || "15m";
+const IMPERSONATION_PURPOSE = "impersonation";
+
+const WRITE_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+// Accounts that can manage or impersonate users are never impersonated
+const isProtectedAccount = (user) =>
+  hasCapability(user, "user:impersonate") || hasCapability(user, "user:manage");
+
+/**
+ * Issue a short-lived access token for `targetId` that still carries the admin's identity.
+ * The token is bound to the admin's login session, so revoking that login ends it too.
+ * No refresh token is issued; the admin starts a new impersonation once it expires.
+ */
+export const startImpersonation = async (req, targetId, reason) => {
+  const admin = req.user;
+  if (String(admin._id) === String(targetId)) {
+    throw new BadRequestError("You cannot impersonate yourself");
+  }
+
+  const target = await User.findOne({ _id: targetId, ...tenantFilter(admin) });
+  if (!target) throw new NotFoundError(`No user found with id: ${targetId}`);
+  if (isProtectedAccount(target)) {
+    throw new UnauthorizedError("Admin accounts cannot be impersonated");
+  }
+  if (!target.isActive()) {
+    throw new BadRequestError("Suspended or deleted accounts cannot be impersonated");
+  }
+
+  const token = createJWT(
+    {
+      userId: target._id,
+      id: target._id,
+      role: target.role,
+      sid: req.auth?.sessionId,
+      imp: admin._id,
+      purpose: IMPERSONATION_PURPOSE,
+    },
+    IMPERSONATION_EXPIRE_IN,
+  );
+
+  await recordAudit(req, AUDIT_ACTIONS.IMPERSONATION_STARTED, {
+    target: { type: "user", id: target._id, label: target.email },
+    metadata: { reason, expiresIn: IMPERSONATION_EXPIRE_IN },
+  });
+
+  return { token, expiresIn: IMPERSONATION_EXPIRE_IN, user: target };
+};
+
+/**
+ * For a decoded impersonation token: load the admin behind it and re-check that
+ * they may still impersonate and that the target is still allowed (role may have changed).
+ */
+export const resolveImpersonator = async (decoded, target) => {
+  if (decoded.purpose !== IMPERSONATION_PURPOSE) {
+    throw new UnauthenticatedError("Authentication invalid");
+  }
+
+  const admin = await User.findById(decoded.imp).select("fullName email role status");
+  if (!admin?.isActive() || !hasCapability(admin, "user:impersonate") || isProtectedAccount(target)) {
+    throw new UnauthenticatedError("Impersonation is no longer valid");
+  }
+  return admin;
+};
+
+/**
+ * Mark every response of an impersonated request and attribute writes to both users:
+ * - `impersonation` banner field on JSON object bodies and an X-Impersonated-By header
+ * - one audit entry per write request (actor = impersonated user, impersonator = admin)
+ */
+export const trackImpersonatedRequest = (req, res, expiresAt) => {
+  const banner = {
+    active: true,
+    impersonator: { id: req.impersonator._id, name: req.impersonator.fullName, email: req.impersonator.email },
+    user: { id: req.user._id, name: req.user.fullName, email: req.user.email },
+    expiresAt,
+  };
+
+  res.set("X-Impersonated-By", String(req.impersonator._id));
+
+  const json = res.json.bind(res);
+  res.json = (body) =>
+    json(body && typeof body === "object" && !Array.isArray(body) ? { ...body, impersonation: banner } : body);
+
+  if (WRITE_METHODS.includes(req.method)) {
+    res.on("finish", () => {
+      recordAudit(req, AUDIT_ACTIONS.IMPERSONATED_WRITE, {
+        target: { type: "user", id: req.user._id, label: req.user.email },
+        metadata: { method: req.method, path: req.originalUrl, statusCode: res.statusCode },
+      });
+    });
+  }
+};
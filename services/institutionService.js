@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import Institution from "../models/InstitutionModel.js";
+import User, { ROLES } from "../models/UserModel.js";
+import { revokeAllUserTokens } from "./authTokenService.js";
+import { BadRequestError, NotFoundError, UnauthorizedError } from "../errors/customErrors.js";
+
+const EDITABLE_FIELDS = ["name", "contactEmail", "status"];
+
+const findInstitutionOrThrow = async (id) => {
+  const institution = await Institution.findById(id);
+  if (!institution) throw new NotFoundError(`No institution found with id: ${id}`);
+  return institution;
+};
+
+/**
+ * Institution for a sign-up code, or 400 if it is unknown or inactive
+ */
+export const findActiveInstitutionByCode = async (code) => {
+  const institution = await Institution.findOne({
+    code: String(code).trim().toLowerCase(),
+    status: "active",
+  });
+  if (!institution) throw new BadRequestError("Unknown institution code");
+  return institution;
+};
+
+/**
+ * Members of an inactive institution cannot log in
+ */
+export const assertInstitutionActive = async (user) => {
+  if (!user.institution) return;
+  const active = await Institution.exists({ _id: user.institution, status: "active" });
+  if (!active) throw new UnauthorizedError("Your institution's account is inactive");
+};
+
+export const createInstitution = async (superAdmin, data) =>
+  Institution.create({
+    name: data.name,
+    code: data.code,
+    contactEmail: data.contactEmail,
+    createdBy: superAdmin._id,
+  });
+
+/**
+ * All institutions with their member counts per role
+ */
+export const listInstitutions = async () => {
+  const [institutions, counts] = await Promise.all([
+    Institution.find().sort({ name: 1 }).lean(),
+    User.aggregate([
+      { $match: { institution: { $ne: null }, status: { $ne: "deleted" } } },
+      { $group: { _id: { institution: "$institution", role: "$role" }, count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  return institutions.map((institution) => ({
+    ...institution,
+    members: Object.fromEntries(
+      counts
+        .filter((c) => String(c._id.institution) === String(institution._id))
+        .map((c) => [c._id.role, c.count]),
+    ),
+  }));
+};
+
+export const getInstitution = async (id) => {
+  const institution = await findInstitutionOrThrow(id);
+  const admins = await User.find({ institution: institution._id, role: ROLES.ADMIN }).select("fullName email status");
+  return { ...institution.toObject(), admins };
+};
+
+/**
+ * Update name, contact email or status. Deactivating signs every member out.
+ */
+export const updateInstitution = async (id, updates) => {
+  const institution = await findInstitutionOrThrow(id);
+  const wasActive = institution.status === "active";
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (updates[field] !== undefined) institution[field] = updates[field];
+  });
+  await institution.save();
+
+  if (wasActive && institution.status === "inactive") {
+    const members = await User.find({ institution: institution._id }).select("_id");
+    for (const member of members) {
+      await revokeAllUserTokens(member._id, "institution-deactivated");
+    }
+  }
+  return institution;
+};
+
+/**
+ * Move a user into an institution (or out of all with institutionId = null).
+ * Only the account moves; records they created stay with their previous institution.
+ */
+export const assignUserToInstitution = async (superAdmin, userId, institutionId) => {
+  if (String(superAdmin._id) === String(userId)) {
+    throw new BadRequestError("You cannot move your own account");
+  }
+
+  const user = await User.findById(userId);
+  if (!user) throw new NotFoundError(`No user found with id: ${userId}`);
+  if (user.role === ROLES.SUPERADMIN) {
+    throw new BadRequestError("The super admin does not belong to an institution");
+  }
+
+  if (institutionId) await findInstitutionOrThrow(institutionId);
+
+  const previousInstitution = user.institution;
+  user.institution = institutionId ? new mongoose.Types.ObjectId(String(institutionId)) : undefined;
+  // Organizer assignments never cross institutions
+  if (user.role === ROLES.ORGANIZER) user.organizerProfile.tutors = [];
+  await user.save();
+
+  if (user.role === ROLES.TUTOR) {
+    await User.updateMany({ "organizerProfile.tutors": user._id }, { $pull: { "organizerProfile.tutors": user._id } });
+  }
+
+  return { user, previousInstitution };
+};
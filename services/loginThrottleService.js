@@ -0,0 +1,142 @@
+import LoginAttempt from "../models/LoginAttemptModel.js";
+import { createRandomToken, hashToken } from "../utils/tokenUtils.js";
+import { TooManyRequestsError, BadRequestError } from "../errors/customErrors.js";
+import { buildClientUrl, sendAccountLockedEmail } from "./authMailService.js";
+
+const MAX_ATTEMPTS_PER_ACCOUNT = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_ATTEMPTS_PER_IP = Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const ATTEMPT_WINDOW_MINUTES = Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+const DELAY_BASE_MS = Number(process.env.LOGIN_DELAY_BASE_MS) || 1000;
+const DELAY_MAX_MS = Number(process.env.LOGIN_DELAY_MAX_MS) || 30 * 1000;
+
+// Same message for every throttled attempt so it never reveals whether the email exists
+const THROTTLED_MESSAGE = "Too many failed login attempts. Please try again later";
+
+const emailKey = (email) => `email:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+// 1s, 2s, 4s, ... after each consecutive failure, capped at DELAY_MAX_MS
+const requiredDelayMs = (failures) => {
+  if (!failures) return 0;
+  return Math.min(DELAY_BASE_MS * 2 ** (failures - 1), DELAY_MAX_MS);
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+const assertNotLocked = (attempt, now) => {
+  if (attempt?.lockedUntil && attempt.lockedUntil.getTime() > now) {
+    throw new TooManyRequestsError(THROTTLED_MESSAGE, secondsUntil(attempt.lockedUntil));
+  }
+};
+
+/**
+ * Throw 429 if the account is locked, or if the caller retries
+ * before the progressive delay for its failure count has passed.
+ * The IP is not checked here: many students can share one school IP,
+ * so an IP lock must never turn away a correct password (see assertIpNotLocked).
+ */
+export const assertLoginAllowed = async (email) => {
+  const now = Date.now();
+  const attempt = await LoginAttempt.findOne({ key: emailKey(email) });
+  if (!attempt) return;
+
+  assertNotLocked(attempt, now);
+  if (attempt.lastFailureAt) {
+    const retryAt = new Date(attempt.lastFailureAt.getTime() + requiredDelayMs(attempt.failures));
+    if (retryAt.getTime() > now) {
+      throw new TooManyRequestsError(THROTTLED_MESSAGE, secondsUntil(retryAt));
+    }
+  }
+};
+
+/**
+ * After a failed attempt: answer 429 instead of 401 while the IP is locked.
+ * The per-account lock stays the hard limit on guessing.
+ */
+export const assertIpNotLocked = async (ip) => {
+  assertNotLocked(await LoginAttempt.findOne({ key: ipKey(ip) }), Date.now());
+};
+
+const incrementFailures = async (key, maxAttempts) => {
+  const now = new Date();
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + ATTEMPT_WINDOW_MINUTES * 60 * 1000),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (attempt.failures < maxAttempts || (attempt.lockedUntil && attempt.lockedUntil > now)) {
+    return { attempt, newlyLocked: false };
+  }
+
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+  attempt.lockedUntil = lockedUntil;
+  attempt.failures = 0;
+  attempt.lastFailureAt = undefined;
+  // Keep the lock document around at least as long as the lock itself
+  attempt.expiresAt = new Date(lockedUntil.getTime() + ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+  await attempt.save();
+
+  return { attempt, newlyLocked: true };
+};
+
+/**
+ * Record a failed login for both the email and the IP.
+ * When the account gets locked and it really exists, an unlock link is emailed.
+ */
+export const recordFailedLogin = async (email, ip, user) => {
+  const [{ attempt, newlyLocked }] = await Promise.all([
+    incrementFailures(emailKey(email), MAX_ATTEMPTS_PER_ACCOUNT),
+    incrementFailures(ipKey(ip), MAX_ATTEMPTS_PER_IP),
+  ]);
+
+  if (!newlyLocked || !user) return;
+
+  const { token, hashedToken } = createRandomToken();
+  attempt.unlockTokenHash = hashedToken;
+  await attempt.save();
+
+  sendAccountLockedEmail({
+    to: user.email,
+    name: user.fullName,
+    unlockUrl: buildClientUrl("/unlock-account", { token }),
+    lockoutMinutes: LOCKOUT_MINUTES,
+  }).catch((e) => {
+    console.error("Account locked email failed:", e.message);
+  });
+};
+
+/**
+ * A successful login clears the account counter (the IP counter keeps running)
+ */
+export const clearLoginFailures = async (email) => {
+  await LoginAttempt.deleteOne({ key: emailKey(email) });
+};
+
+/**
+ * Lift a lock using the token from the unlock email
+ */
+export const unlockWithToken = async (token) => {
+  const attempt = await LoginAttempt.findOneAndDelete({ unlockTokenHash: hashToken(token) });
+  if (!attempt) {
+    throw new BadRequestError("Unlock link is invalid or has expired");
+  }
+};
+
+/**
+ * Admin: clear the lock and counters of an account (and optionally an IP)
+ */
+export const clearLock = async ({ email, ip }) => {
+  const keys = [];
+  if (email) keys.push(emailKey(email));
+  if (ip) keys.push(ipKey(ip));
+  const { deletedCount } = await LoginAttempt.deleteMany({ key: { $in: keys } });
+  return deletedCount;
+};
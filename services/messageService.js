@@ -120,7 +120,7 @@ export const processMessageContent = async (messageText) => {
 /**
  * Create a new message with translation support
  * @param {Object} messageData - Message data including senderId and message
- * @param {Object} userData - User data from authentication
+ * @param {Object} userData - Authenticated user (req.user)
  * @param {Object} fileData - Optional file upload data
  * @returns {Promise<Object>} - Created message object
  */
@@ -139,7 +139,7 @@ export const createMessageWithTranslation = async (messageData, userData, fileDa
     ...messageData,
     message: processedMessage, // Store only the translated/final message
     requiresTranslation,
-    createdBy: userData.userId
+    createdBy: userData._id
   };
 
   // Add file path if image was uploaded
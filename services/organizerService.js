@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+import User, { ROLES } from "../models/UserModel.js";
+import TutoringSession from "../models/TutoringSessionModel.js";
+import Feedback from "../models/FeedbackModel.js";
+import Progress from "../models/ProgressModel.js";
+import { createSession } from "./tutoringSessionService.js";
+import { institutionOf, tenantFilter } from "../Config/tenancy.js";
+import { BadRequestError, NotFoundError, UnauthorizedError } from "../errors/customErrors.js";
+
+const TUTOR_SUMMARY_FIELDS = "fullName email tutorProfile.subjects tutorProfile.availability tutorProfile.isVerified";
+
+const coordinatedTutorIds = (organizer) =>
+  (organizer.organizerProfile?.tutors || []).map((id) => new mongoose.Types.ObjectId(String(id)));
+
+// Optional ?tutorId= narrows a summary to one coordinated tutor
+const resolveTutorScope = (organizer, tutorId) => {
+  if (!tutorId) return coordinatedTutorIds(organizer);
+  if (!organizer.coordinatesTutor(tutorId)) {
+    throw new UnauthorizedError("You do not coordinate this tutor");
+  }
+  return [new mongoose.Types.ObjectId(String(tutorId))];
+};
+
+export const listCoordinatedTutors = async (organizer) =>
+  User.find({ _id: { $in: coordinatedTutorIds(organizer) }, role: ROLES.TUTOR, ...tenantFilter(organizer) })
+    .select(TUTOR_SUMMARY_FIELDS)
+    .sort({ fullName: 1 });
+
+/**
+ * Schedule a group session on behalf of a coordinated tutor
+ */
+export const createSessionForTutor = async (organizer, tutorId, payload) => {
+  if (!organizer.coordinatesTutor(tutorId)) {
+    throw new UnauthorizedError("You can only schedule sessions for tutors you coordinate");
+  }
+
+  const tutor = await User.findOne({ _id: tutorId, role: ROLES.TUTOR, ...tenantFilter(organizer) }).select("status");
+  if (!tutor || !tutor.isActive()) throw new NotFoundError("Tutor not found");
+
+  return createSession(organizer, payload, tutor._id);
+};
+
+/**
+ * Sessions of all coordinated tutors
+ * Query params: tutorId, status, upcoming ("true" hides past sessions), page, limit
+ */
+export const listCoordinatedSessions = async (organizer, query) => {
+  const { tutorId, status, upcoming, page, limit } = query;
+
+  const filter = { tutor: { $in: resolveTutorScope(organizer, tutorId) }, ...tenantFilter(organizer) };
+  if (status) filter.status = status;
+  if (upcoming === "true") filter["schedule.date"] = { $gte: new Date() };
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const skip = (pageNum - 1) * limitNum;
+
+  const [totalCount, sessions] = await Promise.all([
+    TutoringSession.countDocuments(filter),
+    TutoringSession.find(filter)
+      .populate("tutor", "fullName email")
+      .sort({ "schedule.date": 1 })
+      .skip(skip)
+      .limit(limitNum),
+  ]);
+
+  return {
+    totalCount,
+    totalPages: Math.ceil(totalCount / limitNum),
+    currentPage: pageNum,
+    limit: limitNum,
+    sessions,
+  };
+};
+
+/**
+ * Average rating and rating count per coordinated tutor
+ */
+export const getFeedbackSummary = async (organizer, tutorId) => {
+  const tutorIds = resolveTutorScope(organizer, tutorId);
+
+  return Feedback.aggregate([
+    { $match: { tutor: { $in: tutorIds }, ...tenantFilter(organizer) } },
+    {
+      $group: {
+        _id: "$tutor",
+        avgRating: { $avg: "$rating" },
+        totalRatings: { $sum: 1 },
+        lowRatings: { $sum: { $cond: [{ $lte: ["$rating", 2] }, 1, 0] } },
+        lastFeedbackAt: { $max: "$createdAt" },
+      },
+    },
+    { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "tutor" } },
+    { $unwind: "$tutor" },
+    {
+      $project: {
+        _id: 0,
+        tutorId: "$_id",
+        tutorName: "$tutor.fullName",
+        avgRating: { $round: ["$avgRating", 2] },
+        totalRatings: 1,
+        lowRatings: 1,
+        lastFeedbackAt: 1,
+      },
+    },
+    { $sort: { avgRating: -1 } },
+  ]);
+};
+
+/**
+ * Student count and average completion per coordinated tutor
+ */
+export const getProgressSummary = async (organizer, tutorId) => {
+  const tutorIds = resolveTutorScope(organizer, tutorId);
+
+  return Progress.aggregate([
+    { $match: { tutor: { $in: tutorIds }, ...tenantFilter(organizer) } },
+    {
+      $group: {
+        _id: "$tutor",
+        records: { $sum: 1 },
+        students: { $addToSet: "$student" },
+        avgCompletion: { $avg: "$completionPercent" },
+        completed: { $sum: { $cond: [{ $gte: ["$completionPercent", 100] }, 1, 0] } },
+        lastUpdatedAt: { $max: "$updatedAt" },
+      },
+    },
+    { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "tutor" } },
+    { $unwind: "$tutor" },
+    {
+      $project: {
+        _id: 0,
+        tutorId: "$_id",
+        tutorName: "$tutor.fullName",
+        records: 1,
+        studentCount: { $size: "$students" },
+        avgCompletion: { $round: ["$avgCompletion", 1] },
+        completed: 1,
+        lastUpdatedAt: 1,
+      },
+    },
+    { $sort: { tutorName: 1 } },
+  ]);
+};
+
+// --- admin: assigning tutors to an organizer (both must be in the admin's institution) ---
+
+const findOrganizerOrThrow = async (admin, organizerId) => {
+  const organizer = await User.findOne({ _id: organizerId, role: ROLES.ORGANIZER, ...tenantFilter(admin) });
+  if (!organizer) throw new NotFoundError(`No organizer found with id: ${organizerId}`);
+  return organizer;
+};
+
+export const assignTutor = async (admin, organizerId, tutorId) => {
+  const organizer = await findOrganizerOrThrow(admin, organizerId);
+
+  // A super admin can act across institutions, but the pair must still share one
+  const tutor = await User.findOne({
+    _id: tutorId,
+    role: ROLES.TUTOR,
+    institution: institutionOf(organizer),
+  }).select("_id");
+  if (!tutor) throw new NotFoundError(`No tutor found with id: ${tutorId}`);
+  if (organizer.coordinatesTutor(tutorId)) {
+    throw new BadRequestError("This tutor is already assigned to the organizer");
+  }
+
+  organizer.organizerProfile.tutors.push(tutor._id);
+  await organizer.save();
+  return organizer;
+};
+
+export const unassignTutor = async (admin, organizerId, tutorId) => {
+  const organizer = await findOrganizerOrThrow(admin, organizerId);
+  if (!organizer.coordinatesTutor(tutorId)) {
+    throw new NotFoundError("This tutor is not assigned to the organizer");
+  }
+
+  organizer.organizerProfile.tutors.pull(tutorId);
+  await organizer.save();
+  return organizer;
+};
@@ -1,6 +1,8 @@
-import StudyMaterial from "../Models/StudyMaterialModel.js";
+import StudyMaterial from "../models/StudyMaterialModel.js";
 import { NotFoundError, UnauthorizedError, BadRequestError } from "../errors/customErrors.js";
 import { cloudinary } from "../Middleware/uploadMiddleware.js";
+import { can } from "../Config/permissions.js";
+import { institutionOf, tenantFilter } from "../Config/tenancy.js";
 
 /**
  * Extract public_id from a Cloudinary URL.
@@ -21,15 +23,16 @@ const extractPublicId = (url) => {
   }
 };
 
-export const createMaterial = async (data, uploaderId) => {
+export const createMaterial = async (data, uploader) => {
   // Duplicate prevention: check if a material with the same title already exists
-  // (case-insensitive match within the same subject)
+  // (case-insensitive match within the same subject and institution)
   const normalizedTitle = data.title.trim();
   const normalizedSubject = data.subject.trim().toLowerCase();
 
   const existing = await StudyMaterial.findOne({
     title: { $regex: `^${normalizedTitle}$`, $options: "i" },
     subject: normalizedSubject,
+    ...tenantFilter(uploader),
   });
 
   if (existing) {
@@ -41,7 +44,8 @@ export const createMaterial = async (data, uploaderId) => {
   const materialData = {
     ...data,
     subject: normalizedSubject,
-    uploadedBy: uploaderId,
+    uploadedBy: uploader._id,
+    institution: institutionOf(uploader),
   };
 
   if (data.tags && Array.isArray(data.tags)) {
@@ -52,10 +56,10 @@ export const createMaterial = async (data, uploaderId) => {
   return material;
 };
 
-export const getAllMaterials = async (query) => {
+export const getAllMaterials = async (user, query) => {
   const { subject, grade, keyword, sort, page, limit } = query;
 
-  const filter = {};
+  const filter = { ...tenantFilter(user) };
   if (subject) filter.subject = subject.trim().toLowerCase();
   if (grade) filter.grade = grade.trim();
   if (keyword) {
@@ -94,21 +98,17 @@ export const getAllMaterials = async (query) => {
   };
 };
 
-export const getMaterialById = async (id) => {
-  const material = await StudyMaterial.findById(id).lean().populate("uploadedBy", "name email role");
+export const getMaterialById = async (user, id) => {
+  const material = await StudyMaterial.findOne({ _id: id, ...tenantFilter(user) }).lean().populate("uploadedBy", "name email role");
   if (!material) throw new NotFoundError(`No study material found with id: ${id}`);
   return material;
 };
 
 export const updateMaterial = async (id, updates, user) => {
-  const material = await StudyMaterial.findById(id);
+  const material = await StudyMaterial.findOne({ _id: id, ...tenantFilter(user) });
   if (!material) throw new NotFoundError(`No study material found with id: ${id}`);
 
-  const requesterId = String(user._id || user.userId);
-  const uploaderId = String(material.uploadedBy);
-  const isAdmin = user.role === "admin";
-
-  if (requesterId !== uploaderId && !isAdmin) {
+  if (!can(user, "material:update", [material.uploadedBy])) {
     throw new UnauthorizedError("You are not authorized to update this material");
   }
 
@@ -136,18 +136,14 @@ export const updateMaterial = async (id, updates, user) => {
     { new: true, runValidators: true }
   ).populate("uploadedBy", "name email role");
 
-  return updatedMaterial;
+  return { material: updatedMaterial, previousStatus: material.status };
 };
 
 export const deleteMaterial = async (id, user) => {
-  const material = await StudyMaterial.findById(id);
+  const material = await StudyMaterial.findOne({ _id: id, ...tenantFilter(user) });
   if (!material) throw new NotFoundError(`No study material found with id: ${id}`);
 
-  const requesterId = String(user._id || user.userId);
-  const uploaderId = String(material.uploadedBy);
-  const isAdmin = user.role === "admin";
-
-  if (requesterId !== uploaderId && !isAdmin) {
+  if (!can(user, "material:delete", [material.uploadedBy])) {
     throw new UnauthorizedError("You are not authorized to delete this material");
   }
 
@@ -165,3 +161,22 @@ export const deleteMaterial = async (id, user) => {
   return material;
 };
 
+/**
+ * Remove every material a user uploaded, including the Cloudinary files (account erasure)
+ */
+export const deleteMaterialsByUploader = async (uploaderId) => {
+  const materials = await StudyMaterial.find({ uploadedBy: uploaderId }).select("fileUrl");
+
+  for (const material of materials) {
+    const publicId = extractPublicId(material.fileUrl);
+    if (!publicId) continue;
+    try {
+      await cloudinary.uploader.destroy(publicId, { resource_type: "raw" });
+    } catch (err) {
+      console.error("Cloudinary deletion error:", err.message);
+    }
+  }
+
+  const { deletedCount } = await StudyMaterial.deleteMany({ uploadedBy: uploaderId });
+  return deletedCount;
+};
@@ -0,0 +1,67 @@
+import User, { DEFAULT_TUTOR_TIMEZONE } from "../models/UserModel.js";
+import TutoringSession from "../models/TutoringSessionModel.js";
+import { computeBookableSlots, sessionInterval } from "../utils/availabilityUtils.js";
+import { tenantFilter } from "../Config/tenancy.js";
+import { BadRequestError, NotFoundError } from "../errors/customErrors.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SLOT_RANGE_DAYS = 7;
+const MAX_SLOT_RANGE_DAYS = 31;
+
+/**
+ * Time already taken in the tutor's calendar, as UTC intervals
+ */
+export const getBusyIntervals = async (tutor, from, to) => {
+  const timeZone = tutor.tutorProfile?.timezone || DEFAULT_TUTOR_TIMEZONE;
+
+  // schedule.date only carries the day, so widen the query by a day on both sides
+  const sessions = await TutoringSession.find({
+    tutor: tutor._id,
+    status: { $in: ["scheduled", "in-progress"] },
+    "schedule.date": { $gte: new Date(from.getTime() - DAY_MS), $lte: new Date(to.getTime() + DAY_MS) },
+  }).select("schedule");
+
+  return sessions.map((session) => sessionInterval(session.schedule, timeZone));
+};
+
+/**
+ * Free slots of a tutor between `from` and `to` (default: the next 7 days, at most 31).
+ * Past slots are never returned; tutors marked "unavailable" have none.
+ */
+export const getBookableSlots = async (viewer, tutorId, { from, to } = {}) => {
+  const tutor = await User.findOne({
+    _id: tutorId,
+    role: "tutor",
+    status: { $nin: ["suspended", "deleted"] },
+    ...tenantFilter(viewer),
+  }).select("tutorProfile");
+  if (!tutor) throw new NotFoundError("Tutor not found");
+
+  const now = new Date();
+  const rangeStart = from ? new Date(from) : now;
+  const rangeEnd = to ? new Date(to) : new Date(rangeStart.getTime() + DEFAULT_SLOT_RANGE_DAYS * DAY_MS);
+  if (rangeEnd <= rangeStart) throw new BadRequestError("to must be after from");
+  if (rangeEnd - rangeStart > MAX_SLOT_RANGE_DAYS * DAY_MS) {
+    throw new BadRequestError(`Slots can be requested for at most ${MAX_SLOT_RANGE_DAYS} days at a time`);
+  }
+
+  const profile = tutor.tutorProfile || {};
+  const timeZone = profile.timezone || DEFAULT_TUTOR_TIMEZONE;
+  const slotMinutes = profile.slotMinutes || 60;
+  const effectiveStart = rangeStart < now ? now : rangeStart;
+
+  const slots =
+    profile.availability === "unavailable" || effectiveStart >= rangeEnd
+      ? []
+      : computeBookableSlots({
+          timeZone,
+          slotMinutes,
+          weekly: profile.weeklyAvailability || [],
+          exceptions: profile.availabilityExceptions || [],
+          busy: await getBusyIntervals(tutor, effectiveStart, rangeEnd),
+          from: effectiveStart,
+          to: rangeEnd,
+        });
+
+  return { tutorId: tutor._id, timezone: timeZone, slotMinutes, from: rangeStart, to: rangeEnd, slots };
+};
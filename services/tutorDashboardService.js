@@ -0,0 +1,287 @@
+import TutoringSession from "../models/TutoringSessionModel.js";
+import Feedback from "../models/FeedbackModel.js";
+import Progress from "../models/ProgressModel.js";
+import StudyMaterial from "../models/StudyMaterialModel.js";
+import { DEFAULT_TUTOR_TIMEZONE } from "../models/UserModel.js";
+import { zonedDate } from "../utils/availabilityUtils.js";
+import { tenantFilter } from "../Config/tenancy.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const UPCOMING_DAYS = 14;
+const UPCOMING_LIMIT = 20;
+const FLAGGED_SESSIONS_LIMIT = 10;
+const NEARLY_FULL_PERCENT = 80;
+const UNDER_ENROLLED_PERCENT = 30;
+// Under-enrolment only matters for sessions starting soon
+const UNDER_ENROLLED_WITHIN_DAYS = 3;
+const RATING_TREND_WEEKS = 8;
+const LATEST_FEEDBACK_LIMIT = 5;
+const STALLED_PROGRESS_DAYS = 14;
+const STALLED_PROGRESS_LIMIT = 10;
+const TOP_MATERIALS_LIMIT = 5;
+
+const roundTo = (value, digits) => (value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+/**
+ * Open sessions from today on, bucketed into today / upcoming / nearly full / under-enrolled.
+ * A session's day is its booked start in the tutor's timezone, or schedule.date for regular
+ * sessions (stored as a calendar day, see sessionInterval in utils/availabilityUtils.js).
+ */
+const sessionSummary = (tutor, timeZone, now) => {
+  const today = zonedDate(now, timeZone);
+  const horizon = zonedDate(new Date(now.getTime() + UPCOMING_DAYS * DAY_MS), timeZone);
+  const soon = zonedDate(new Date(now.getTime() + UNDER_ENROLLED_WITHIN_DAYS * DAY_MS), timeZone);
+  const publicOnly = { isPrivate: { $ne: true } };
+
+  return TutoringSession.aggregate([
+    {
+      $match: {
+        tutor: tutor._id,
+        ...tenantFilter(tutor),
+        status: { $in: ["scheduled", "in-progress"] },
+        // One day of margin: a booked start can fall on the previous UTC day
+        "schedule.date": { $gte: new Date(Date.parse(`${today}T00:00:00Z`) - DAY_MS) },
+      },
+    },
+    {
+      $addFields: {
+        day: {
+          $cond: [
+            { $ifNull: ["$schedule.startsAt", false] },
+            { $dateToString: { format: "%Y-%m-%d", date: "$schedule.startsAt", timezone: timeZone } },
+            { $dateToString: { format: "%Y-%m-%d", date: "$schedule.date" } },
+          ],
+        },
+        fillRate: {
+          $round: [{ $multiply: [{ $divide: ["$capacity.currentEnrolled", "$capacity.maxParticipants"] }, 100] }, 0],
+        },
+        seatsLeft: { $max: [0, { $subtract: ["$capacity.maxParticipants", "$capacity.currentEnrolled"] }] },
+      },
+    },
+    { $match: { day: { $gte: today, $lte: horizon } } },
+    { $sort: { day: 1, "schedule.startTime": 1, _id: 1 } },
+    {
+      $project: {
+        subject: 1,
+        topic: 1,
+        day: 1,
+        status: 1,
+        isPrivate: 1,
+        "schedule.date": 1,
+        "schedule.startTime": 1,
+        "schedule.endTime": 1,
+        "schedule.startsAt": 1,
+        "schedule.endsAt": 1,
+        "location.type": 1,
+        "location.meetingLink": 1,
+        "capacity.maxParticipants": 1,
+        "capacity.currentEnrolled": 1,
+        fillRate: 1,
+        seatsLeft: 1,
+      },
+    },
+    {
+      $facet: {
+        today: [{ $match: { day: today } }],
+        upcoming: [{ $limit: UPCOMING_LIMIT }],
+        nearlyFull: [
+          { $match: { ...publicOnly, fillRate: { $gte: NEARLY_FULL_PERCENT } } },
+          { $limit: FLAGGED_SESSIONS_LIMIT },
+        ],
+        underEnrolled: [
+          { $match: { ...publicOnly, fillRate: { $lt: UNDER_ENROLLED_PERCENT }, day: { $lte: soon } } },
+          { $limit: FLAGGED_SESSIONS_LIMIT },
+        ],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              sessions: { $sum: 1 },
+              seatsTaken: { $sum: "$capacity.currentEnrolled" },
+              seats: { $sum: "$capacity.maxParticipants" },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+};
+
+/**
+ * Overall rating, weekly averages, the last four weeks against the four before, and latest feedback
+ */
+const feedbackSummary = (tutor, timeZone, now) => {
+  const trendStart = new Date(now.getTime() - RATING_TREND_WEEKS * 7 * DAY_MS);
+  const recentStart = new Date(now.getTime() - (RATING_TREND_WEEKS / 2) * 7 * DAY_MS);
+
+  return Feedback.aggregate([
+    { $match: { tutor: tutor._id, ...tenantFilter(tutor) } },
+    {
+      $facet: {
+        overall: [{ $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } }],
+        weekly: [
+          { $match: { createdAt: { $gte: trendStart } } },
+          {
+            $group: {
+              _id: { $dateToString: { format: "%G-W%V", date: "$createdAt", timezone: timeZone } },
+              average: { $avg: "$rating" },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, week: "$_id", average: { $round: ["$average", 2] }, count: 1 } },
+        ],
+        periods: [
+          { $match: { createdAt: { $gte: trendStart } } },
+          {
+            $group: {
+              _id: { $cond: [{ $gte: ["$createdAt", recentStart] }, "recent", "previous"] },
+              average: { $avg: "$rating" },
+            },
+          },
+        ],
+        latest: [
+          { $sort: { createdAt: -1 } },
+          { $limit: LATEST_FEEDBACK_LIMIT },
+          { $lookup: { from: "users", localField: "student", foreignField: "_id", as: "student" } },
+          {
+            $project: {
+              rating: 1,
+              message: 1,
+              session: 1,
+              createdAt: 1,
+              // Anonymized feedback has no student left
+              studentName: { $ifNull: [{ $arrayElemAt: ["$student.fullName", 0] }, null] },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+};
+
+/**
+ * Unfinished progress records the tutor has not touched for STALLED_PROGRESS_DAYS, oldest first
+ */
+const stalledProgressSummary = (tutor, now) => {
+  const stalledBefore = new Date(now.getTime() - STALLED_PROGRESS_DAYS * DAY_MS);
+
+  return Progress.aggregate([
+    {
+      $match: {
+        tutor: tutor._id,
+        ...tenantFilter(tutor),
+        completionPercent: { $lt: 100 },
+        updatedAt: { $lt: stalledBefore },
+      },
+    },
+    {
+      $facet: {
+        count: [{ $count: "total" }],
+        students: [
+          { $sort: { updatedAt: 1 } },
+          { $limit: STALLED_PROGRESS_LIMIT },
+          { $lookup: { from: "users", localField: "student", foreignField: "_id", as: "student" } },
+          { $unwind: "$student" },
+          {
+            $project: {
+              _id: 0,
+              progressId: "$_id",
+              studentId: "$student._id",
+              studentName: "$student.fullName",
+              topic: 1,
+              completionPercent: 1,
+              lastUpdatedAt: "$updatedAt",
+              daysStalled: { $floor: { $divide: [{ $subtract: [now, "$updatedAt"] }, DAY_MS] } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+};
+
+/**
+ * Views, downloads and likes over the tutor's non-archived materials, plus the most viewed ones
+ */
+const materialSummary = (tutor) =>
+  StudyMaterial.aggregate([
+    { $match: { uploadedBy: tutor._id, ...tenantFilter(tutor), status: { $ne: "archived" } } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              materials: { $sum: 1 },
+              views: { $sum: "$metrics.views" },
+              downloads: { $sum: "$metrics.downloads" },
+              likes: { $sum: "$metrics.likes" },
+            },
+          },
+        ],
+        top: [
+          { $sort: { "metrics.views": -1, "metrics.downloads": -1, _id: 1 } },
+          { $limit: TOP_MATERIALS_LIMIT },
+          { $project: { title: 1, subject: 1, status: 1, metrics: 1, createdAt: 1 } },
+        ],
+      },
+    },
+  ]);
+
+/**
+ * Everything a tutor needs to plan their day, in four aggregation queries
+ */
+export const getTutorDashboard = async (tutor, now = new Date()) => {
+  const timeZone = tutor.tutorProfile?.timezone || DEFAULT_TUTOR_TIMEZONE;
+
+  const [[sessions], [feedback], [progress], [materials]] = await Promise.all([
+    sessionSummary(tutor, timeZone, now),
+    feedbackSummary(tutor, timeZone, now),
+    stalledProgressSummary(tutor, now),
+    materialSummary(tutor),
+  ]);
+
+  const sessionTotals = sessions.totals[0] || { sessions: 0, seatsTaken: 0, seats: 0 };
+  const overall = feedback.overall[0];
+  const period = (name) => feedback.periods.find((p) => p._id === name)?.average ?? null;
+  const recent = period("recent");
+  const previous = period("previous");
+  const materialTotals = materials.totals[0] || { materials: 0, views: 0, downloads: 0, likes: 0 };
+
+  return {
+    timezone: timeZone,
+    generatedAt: now,
+    sessions: {
+      today: sessions.today,
+      upcoming: sessions.upcoming,
+      nearlyFull: sessions.nearlyFull,
+      underEnrolled: sessions.underEnrolled,
+      upcomingCount: sessionTotals.sessions,
+      averageFillRate: sessionTotals.seats ? Math.round((sessionTotals.seatsTaken / sessionTotals.seats) * 100) : 0,
+    },
+    ratings: {
+      average: roundTo(overall?.average ?? 0, 2),
+      count: overall?.count ?? 0,
+      weekly: feedback.weekly,
+      recentAverage: roundTo(recent, 2),
+      previousAverage: roundTo(previous, 2),
+      // Last four weeks minus the four before; null until both periods have feedback
+      change: recent != null && previous != null ? roundTo(recent - previous, 2) : null,
+      latest: feedback.latest,
+    },
+    stalledProgress: {
+      count: progress.count[0]?.total ?? 0,
+      students: progress.students,
+    },
+    materials: {
+      count: materialTotals.materials,
+      views: materialTotals.views,
+      downloads: materialTotals.downloads,
+      likes: materialTotals.likes,
+      downloadRate: materialTotals.views ? roundTo(materialTotals.downloads / materialTotals.views, 2) : 0,
+      top: materials.top,
+    },
+  };
+};
@@ -0,0 +1,100 @@
+import User from "../models/UserModel.js";
+import { escapeRegex } from "../utils/tutoringSessionUtils.js";
+import { tenantFilter } from "../Config/tenancy.js";
+
+// What any logged-in user may see of a tutor. A whitelist, so account fields added later
+// (contact details, status, security settings, tenancy) stay private by default.
+export const TUTOR_PUBLIC_FIELDS = "fullName avatar location tutorProfile";
+
+// _id breaks ties so pages never overlap or skip tutors with equal values
+export const TUTOR_SORT_OPTIONS = {
+  latest: { createdAt: -1, _id: 1 },
+  rating: { "tutorProfile.rating.average": -1, "tutorProfile.rating.count": -1, _id: 1 },
+  price_asc: { "tutorProfile.hourlyRate": 1, _id: 1 },
+  price_desc: { "tutorProfile.hourlyRate": -1, _id: 1 },
+  experience: { "tutorProfile.experience": -1, _id: 1 },
+  sessions: { "tutorProfile.sessionCount": -1, _id: 1 },
+};
+
+const toList = (value) =>
+  []
+    .concat(value ?? [])
+    .filter((v) => v !== undefined && v !== null)
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const range = (min, max) => {
+  const bounds = {};
+  if (min !== undefined && min !== "") bounds.$gte = Number(min);
+  if (max !== undefined && max !== "") bounds.$lte = Number(max);
+  return Object.keys(bounds).length ? bounds : null;
+};
+
+/**
+ * Search the tutors of the viewer's institution
+ * Query params:
+ *  - q: text search over bio and specializations
+ *  - subjects / subject, languages: comma-separated, a tutor matches if they have any of them
+ *  - minRate, maxRate, minRating, minExperience
+ *  - availability (comma-separated; "unavailable" tutors are hidden unless asked for), verified
+ *  - sort: relevance (default with q), latest (default), rating, price_asc, price_desc, experience, sessions
+ *  - page, limit (≤ 50)
+ */
+export const searchTutors = async (viewer, query) => {
+  const {
+    q, subject, subjects, languages, minRate, maxRate, minRating, minExperience,
+    availability, verified, sort, page, limit,
+  } = query;
+
+  const filter = { role: "tutor", status: { $nin: ["suspended", "deleted"] }, ...tenantFilter(viewer) };
+
+  const subjectList = toList([subjects, subject]).map((s) => s.toLowerCase());
+  if (subjectList.length) filter["tutorProfile.subjects"] = { $in: subjectList };
+
+  // Languages are stored as typed by the tutor, so match them case-insensitively
+  const languageList = toList(languages);
+  if (languageList.length) {
+    filter["tutorProfile.languages"] = { $in: languageList.map((l) => new RegExp(`^${escapeRegex(l)}$`, "i")) };
+  }
+
+  const rate = range(minRate, maxRate);
+  if (rate) filter["tutorProfile.hourlyRate"] = rate;
+  if (minRating) filter["tutorProfile.rating.average"] = { $gte: Number(minRating) };
+  if (minExperience) filter["tutorProfile.experience"] = { $gte: Number(minExperience) };
+  if (verified !== undefined) filter["tutorProfile.isVerified"] = String(verified) === "true";
+
+  // Tutors who switched themselves to "unavailable" are hidden unless explicitly requested
+  const availabilityList = toList(availability);
+  filter["tutorProfile.availability"] = availabilityList.length
+    ? { $in: availabilityList }
+    : { $ne: "unavailable" };
+
+  const search = q && String(q).trim();
+  if (search) filter.$text = { $search: search };
+
+  let sortObj = TUTOR_SORT_OPTIONS[sort];
+  let projection;
+  if (search && (!sortObj || sort === "relevance")) {
+    projection = { score: { $meta: "textScore" } };
+    sortObj = { score: { $meta: "textScore" }, _id: 1 };
+  }
+  sortObj = sortObj || TUTOR_SORT_OPTIONS.latest;
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+  const skip = (pageNum - 1) * limitNum;
+
+  const [totalCount, tutors] = await Promise.all([
+    User.countDocuments(filter),
+    User.find(filter, projection).select(TUTOR_PUBLIC_FIELDS).sort(sortObj).skip(skip).limit(limitNum),
+  ]);
+
+  return {
+    totalCount,
+    totalPages: Math.ceil(totalCount / limitNum),
+    currentPage: pageNum,
+    limit: limitNum,
+    tutors,
+  };
+};
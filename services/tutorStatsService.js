@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+import Feedback from "../models/FeedbackModel.js";
+import TutoringSession from "../models/TutoringSessionModel.js";
+import User, { ROLES } from "../models/UserModel.js";
+import { tenantFilter } from "../Config/tenancy.js";
+
+// tutorProfile.rating and tutorProfile.sessionCount are copies of Feedback and completed
+// TutoringSession data, kept on the user so tutor lists can filter and sort on them.
+// They are always recomputed from the source collections, never incremented, so any
+// update also repairs earlier drift.
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id?._id ?? id));
+
+const roundRating = (average) => Math.round(average * 100) / 100;
+
+const ratingsByTutor = (match) =>
+  Feedback.aggregate([
+    { $match: match },
+    { $group: { _id: "$tutor", average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+
+const completedSessionsByTutor = (match) =>
+  TutoringSession.aggregate([
+    { $match: { ...match, status: "completed" } },
+    { $group: { _id: "$tutor", count: { $sum: 1 } } },
+  ]);
+
+/**
+ * Recompute a tutor's rating average/count from their feedback.
+ * Best effort: a failure is logged and left for the admin recompute to repair.
+ */
+export const refreshTutorRating = async (tutorId) => {
+  try {
+    const [stats] = await ratingsByTutor({ tutor: toObjectId(tutorId) });
+    await User.updateOne(
+      { _id: toObjectId(tutorId), role: ROLES.TUTOR },
+      {
+        $set: {
+          "tutorProfile.rating.average": stats ? roundRating(stats.average) : 0,
+          "tutorProfile.rating.count": stats?.count ?? 0,
+        },
+      }
+    );
+  } catch (err) {
+    console.error("Tutor rating refresh failed:", err.message);
+  }
+};
+
+/**
+ * Recompute a tutor's number of completed sessions. Best effort, like refreshTutorRating.
+ */
+export const refreshTutorSessionCount = async (tutorId) => {
+  try {
+    const count = await TutoringSession.countDocuments({ tutor: toObjectId(tutorId), status: "completed" });
+    await User.updateOne({ _id: toObjectId(tutorId), role: ROLES.TUTOR }, { $set: { "tutorProfile.sessionCount": count } });
+  } catch (err) {
+    console.error("Tutor session count refresh failed:", err.message);
+  }
+};
+
+/**
+ * Recompute rating and session count for every tutor the admin can see.
+ * Only tutors whose stored values differ are written.
+ */
+export const recomputeTutorStats = async (user) => {
+  const tutors = await User.find({ role: ROLES.TUTOR, ...tenantFilter(user) })
+    .select("tutorProfile.rating tutorProfile.sessionCount")
+    .lean();
+  const tutorIds = tutors.map((t) => t._id);
+
+  const [ratings, sessions] = await Promise.all([
+    ratingsByTutor({ tutor: { $in: tutorIds } }),
+    completedSessionsByTutor({ tutor: { $in: tutorIds } }),
+  ]);
+  const ratingOf = new Map(ratings.map((r) => [String(r._id), r]));
+  const sessionsOf = new Map(sessions.map((s) => [String(s._id), s.count]));
+
+  const updates = tutors.flatMap((tutor) => {
+    const rating = ratingOf.get(String(tutor._id));
+    const expected = {
+      "tutorProfile.rating.average": rating ? roundRating(rating.average) : 0,
+      "tutorProfile.rating.count": rating?.count ?? 0,
+      "tutorProfile.sessionCount": sessionsOf.get(String(tutor._id)) ?? 0,
+    };
+
+    const current = tutor.tutorProfile || {};
+    const inSync =
+      current.rating?.average === expected["tutorProfile.rating.average"] &&
+      current.rating?.count === expected["tutorProfile.rating.count"] &&
+      current.sessionCount === expected["tutorProfile.sessionCount"];
+
+    return inSync ? [] : [{ updateOne: { filter: { _id: tutor._id }, update: { $set: expected } } }];
+  });
+
+  if (updates.length) await User.bulkWrite(updates);
+  return { tutorsChecked: tutors.length, tutorsUpdated: updates.length };
+};
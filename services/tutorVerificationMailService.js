@@ -0,0 +1,47 @@
+import { sendMail } from "./mailService.js";
+import { buildClientUrl } from "./authMailService.js";
+
+const DECISION_COPY = {
+  approved: {
+    subject: "Your tutor profile is verified",
+    heading: "You're verified!",
+    body: "An administrator reviewed your credentials and approved your verification. Your profile now shows a verified badge.",
+  },
+  rejected: {
+    subject: "Your tutor verification request was not approved",
+    heading: "Verification not approved",
+    body: "An administrator reviewed your credentials but could not approve your verification. You can submit a new request at any time.",
+  },
+  "info-requested": {
+    subject: "More information needed for your tutor verification",
+    heading: "More information needed",
+    body: "An administrator needs more information before your verification can be approved. Please upload the requested documents.",
+  },
+};
+
+export const sendVerificationDecisionEmail = async ({ to, name, decision, comment }) => {
+  const copy = DECISION_COPY[decision];
+  if (!copy || !to) return;
+
+  const statusUrl = buildClientUrl("/tutor/verification");
+
+  const text = `
+Hi ${name || "there"},
+
+${copy.body}
+${comment ? `\nReviewer comment:\n${comment}\n` : ""}
+View your verification status: ${statusUrl}
+  `.trim();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.5;">
+      <h2>${copy.heading}</h2>
+      <p>Hi ${name || "there"},</p>
+      <p>${copy.body}</p>
+      ${comment ? `<p><strong>Reviewer comment:</strong><br/>${comment}</p>` : ""}
+      <p><a href="${statusUrl}">View verification status</a></p>
+    </div>
+  `;
+
+  await sendMail({ to, subject: copy.subject, text, html });
+};
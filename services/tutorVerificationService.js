@@ -0,0 +1,162 @@
+import TutorVerificationRequest, {
+  VERIFICATION_STATUSES,
+  OPEN_VERIFICATION_STATUSES,
+} from "../models/TutorVerificationRequestModel.js";
+import User from "../models/UserModel.js";
+import { sendVerificationDecisionEmail } from "./tutorVerificationMailService.js";
+import { institutionOf, tenantFilter } from "../Config/tenancy.js";
+import { BadRequestError, NotFoundError } from "../errors/customErrors.js";
+
+// Admin action -> resulting request status
+const DECISIONS = {
+  approve: "approved",
+  reject: "rejected",
+  "request-info": "info-requested",
+};
+
+const toDocuments = (files = []) =>
+  files.map((file) => ({
+    url: file.path, // Cloudinary secure URL
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+  }));
+
+const findRequestOrThrow = async (admin, id) => {
+  const request = await TutorVerificationRequest.findOne({ _id: id, ...tenantFilter(admin) }).populate(
+    "tutor",
+    "fullName email tutorProfile.subjects tutorProfile.qualifications tutorProfile.isVerified",
+  );
+  if (!request) throw new NotFoundError(`No verification request found with id: ${id}`);
+  return request;
+};
+
+/**
+ * Submit credentials for verification.
+ * If an admin asked for more information, the documents are added to that request
+ * and it goes back into the queue instead of opening a new one.
+ */
+export const submitVerificationRequest = async (tutor, files, note) => {
+  if (tutor.tutorProfile?.isVerified) {
+    throw new BadRequestError("Your tutor profile is already verified");
+  }
+
+  const documents = toDocuments(files);
+  const open = await TutorVerificationRequest.findOne({
+    tutor: tutor._id,
+    status: { $in: OPEN_VERIFICATION_STATUSES },
+  });
+
+  if (open?.status === "pending") {
+    throw new BadRequestError("You already have a verification request waiting for review");
+  }
+
+  if (open) {
+    if (documents.length === 0 && !note) {
+      throw new BadRequestError("Please upload the requested documents or add a note");
+    }
+    open.documents.push(...documents);
+    if (note) open.note = note;
+    open.status = "pending";
+    open.history.push({ action: "resubmitted", by: tutor._id, comment: note });
+    await open.save();
+    return open;
+  }
+
+  if (documents.length === 0) {
+    throw new BadRequestError("Please upload at least one credential document");
+  }
+
+  return TutorVerificationRequest.create({
+    tutor: tutor._id,
+    institution: institutionOf(tutor),
+    documents,
+    note,
+    history: [{ action: "submitted", by: tutor._id, comment: note }],
+  });
+};
+
+export const getMyVerificationRequests = async (tutorId) =>
+  TutorVerificationRequest.find({ tutor: tutorId }).sort({ createdAt: -1 });
+
+/**
+ * Admin review queue. Defaults to pending requests, oldest first.
+ * Query params: status, page, limit
+ */
+export const listVerificationRequests = async (admin, query) => {
+  const { status, page, limit } = query;
+
+  const statuses = status ? String(status).split(",") : ["pending"];
+  const invalid = statuses.filter((s) => !VERIFICATION_STATUSES.includes(s));
+  if (invalid.length) {
+    throw new BadRequestError(`Status must be one of: ${VERIFICATION_STATUSES.join(", ")}`);
+  }
+  const filter = { status: { $in: statuses }, ...tenantFilter(admin) };
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const skip = (pageNum - 1) * limitNum;
+
+  const [totalCount, requests] = await Promise.all([
+    TutorVerificationRequest.countDocuments(filter),
+    TutorVerificationRequest.find(filter)
+      .populate("tutor", "fullName email tutorProfile.subjects")
+      .sort({ updatedAt: 1 })
+      .skip(skip)
+      .limit(limitNum),
+  ]);
+
+  return {
+    totalCount,
+    totalPages: Math.ceil(totalCount / limitNum),
+    currentPage: pageNum,
+    limit: limitNum,
+    requests,
+  };
+};
+
+export const getVerificationRequest = async (admin, id) => findRequestOrThrow(admin, id);
+
+/**
+ * Approve, reject or ask for more information. The tutor is emailed in every case.
+ */
+export const reviewVerificationRequest = async (admin, id, action, comment) => {
+  const status = DECISIONS[action];
+  if (!status) throw new BadRequestError(`Unknown review action: ${action}`);
+
+  const request = await findRequestOrThrow(admin, id);
+  if (!OPEN_VERIFICATION_STATUSES.includes(request.status)) {
+    throw new BadRequestError(`This request has already been ${request.status}`);
+  }
+  if (status === "info-requested" && request.status === "info-requested") {
+    throw new BadRequestError("More information has already been requested");
+  }
+
+  if (status === "approved") {
+    const result = await User.updateOne(
+      { _id: request.tutor._id, role: "tutor" },
+      { "tutorProfile.isVerified": true, "tutorProfile.verifiedAt": new Date() },
+    );
+    if (result.matchedCount === 0) {
+      throw new BadRequestError("This user is no longer a tutor");
+    }
+  }
+
+  request.status = status;
+  request.reviewComment = comment;
+  request.reviewedBy = admin._id;
+  request.reviewedAt = new Date();
+  request.history.push({ action: status, by: admin._id, comment });
+  await request.save();
+
+  sendVerificationDecisionEmail({
+    to: request.tutor.email,
+    name: request.tutor.fullName,
+    decision: status,
+    comment,
+  }).catch((e) => {
+    console.error("Verification decision email failed:", e.message);
+  });
+
+  return request;
+};
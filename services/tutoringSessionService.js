@@ -1,25 +1,72 @@
 import TutoringSession from "../models/TutoringSessionModel.js";
+import User, { ROLES, DEFAULT_TUTOR_TIMEZONE } from "../models/UserModel.js";
+import { can, hasCapability, actingForIds } from "../Config/permissions.js";
+import { institutionOf, tenantFilter } from "../Config/tenancy.js";
 import { StatusCodes } from "http-status-codes";
 import { BadRequestError, UnauthorizedError, NotFoundError } from "../errors/customErrors.js";
 import { createCalendarEvent, updateCalendarEvent, deleteCalendarEvent } from "../service/googleCalendar.service.js";
 import mongoose from "mongoose";
 import * as validation from "../validations/tutoringSession.validation.js";
 import * as utils from "../utils/tutoringSessionUtils.js";
+import { zonedTime, sessionInterval } from "../utils/availabilityUtils.js";
+import { refreshTutorSessionCount } from "./tutorStatsService.js";
 
 // --- helpers used internally ---
+// Sessions of other institutions are reported as missing
+function findSessionInTenant(user, id) {
+  return TutoringSession.findOne({ _id: id, ...tenantFilter(user) });
+}
+
 function ensureSessionExists(session) {
   if (!session) throw new NotFoundError("Session not found");
   return session;
 }
 
-function checkOwnershipOrAdmin(session, user) {
-  const isTutor = String(session.tutor) === String(user.userId);
-  const isAdmin = user.role === "admin";
-  if (!(isTutor || isAdmin)) throw new UnauthorizedError("Not authorized to perform this action");
+// Private (booked one-to-one) sessions are only shown to their tutor, their student and staff
+// (never to anonymous visitors)
+export function visibleSessionsFilter(user) {
+  if (!user) return { isPrivate: { $ne: true } };
+  if (hasCapability(user, "session:update:any")) return {};
+  return {
+    $or: [
+      { isPrivate: { $ne: true } },
+      { tutor: { $in: actingForIds(user) } },
+      { "participants.userId": user._id },
+    ],
+  };
+}
+
+function ensureSessionVisible(session, user) {
+  if (!session.isPrivate) return session;
+  const visible =
+    Boolean(user) &&
+    (hasCapability(user, "session:update:any") ||
+      actingForIds(user).includes(String(session.tutor?._id ?? session.tutor)) ||
+      session.participants.some((p) => String(p.userId?._id ?? p.userId) === String(user._id)));
+  if (!visible) throw new NotFoundError("Session not found");
+  return session;
+}
+
+// Sessions are owned by their tutor (and, through them, the tutor's organizer)
+function checkSessionAccess(session, user, capability) {
+  if (!can(user, capability, [session.tutor])) {
+    throw new UnauthorizedError("Not authorized to perform this action");
+  }
+}
+
+async function syncCalendarAttendees(session) {
+  if (!session.googleEventId) return;
+  try {
+    const updated = await TutoringSession.findById(session._id).populate("participants.userId", "email");
+    await updateCalendarEvent(session.googleEventId, updated);
+  } catch (err) {
+    console.error("Failed to sync attendees:", err.message);
+  }
 }
 
 // --- service exports ---
-export async function createSession(user, payload) {
+// `tutorId` lets an organizer schedule a session for one of their tutors
+export async function createSession(user, payload, tutorId = user._id) {
   validation.validateSessionPayload(payload);
 
   const {
@@ -38,7 +85,9 @@ export async function createSession(user, payload) {
   } = payload;
 
   const sessionData = {
-    tutor: user.userId,
+    tutor: tutorId,
+    createdBy: user._id,
+    institution: institutionOf(user),
     title: title || subject,
     subject: String(subject).trim().toLowerCase(),
     description: String(description).trim(),
@@ -69,13 +118,64 @@ export async function createSession(user, payload) {
   return session;
 }
 
-export async function getAllSessions(query) {
+/**
+ * Private one-seat session for an accepted booking request, with a calendar event for both sides.
+ * Times are stored as exact instants (schedule.startsAt/endsAt) plus the tutor's wall-clock times.
+ */
+export async function createBookedSession(booking, tutor, student) {
+  const timeZone = tutor.tutorProfile?.timezone || DEFAULT_TUTOR_TIMEZONE;
+  const duration = Math.round((booking.end - booking.start) / 60000);
+  const description =
+    booking.message?.length >= 10 ? booking.message : `One-to-one ${booking.subject} session with ${student.fullName}`;
+
+  const session = await TutoringSession.create({
+    tutor: tutor._id,
+    createdBy: tutor._id,
+    institution: booking.institution,
+    subject: booking.subject,
+    description,
+    topic: `One-to-one with ${student.fullName}`.slice(0, 100),
+    duration,
+    schedule: {
+      date: booking.start,
+      startTime: zonedTime(booking.start, timeZone),
+      endTime: zonedTime(booking.end, timeZone),
+      startsAt: booking.start,
+      endsAt: booking.end,
+    },
+    location: { type: "online" },
+    capacity: { maxParticipants: 1, currentEnrolled: 1 },
+    participants: [{ userId: student._id }],
+    isPublished: true,
+    isPrivate: true,
+    booking: booking._id,
+  });
+
+  try {
+    const googleEventId = await createCalendarEvent({
+      title: `${booking.subject}: ${tutor.fullName} / ${student.fullName}`,
+      description,
+      date: booking.start,
+      duration,
+      participants: [{ userId: { email: tutor.email } }, { userId: { email: student.email } }],
+    });
+    if (googleEventId) {
+      session.googleEventId = googleEventId;
+      await session.save();
+    }
+  } catch (err) {
+    console.error("Calendar create error", err.message);
+  }
+  return session;
+}
+
+export async function getAllSessions(user, query) {
   validation.validateFilterQuery(query);
   const page = Math.max(1, parseInt(query.page) || 1);
   const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 10));
   const skip = (page - 1) * limit;
 
-  const filter = utils.buildFilter(query);
+  const filter = { ...utils.buildFilter(query), ...tenantFilter(user), ...visibleSessionsFilter(user) };
 
   const [total, sessions] = await Promise.all([
     TutoringSession.countDocuments(filter),
@@ -94,21 +194,34 @@ export async function getAllSessions(query) {
   };
 }
 
-export async function getSessionById(id) {
+export async function getSessionById(user, id) {
   validation.validateObjectId(id);
-  const session = await TutoringSession.findById(id)
+  const session = await findSessionInTenant(user, id)
     .populate("tutor", "fullName email role")
     .populate("participants.userId", "fullName email");
-  return ensureSessionExists(session);
+  return ensureSessionVisible(ensureSessionExists(session), user);
+}
+
+// A session counts towards the tutor's sessionCount, so it can only be completed once it has
+// ended and someone was enrolled
+async function assertSessionCanComplete(session) {
+  if (session.status === "cancelled") throw new BadRequestError("A cancelled session cannot be completed");
+  if (!session.capacity.currentEnrolled) {
+    throw new BadRequestError("A session without participants cannot be completed; cancel it instead");
+  }
+
+  const tutor = await User.findById(session.tutor).select("tutorProfile.timezone");
+  const { end } = sessionInterval(session.schedule, tutor?.tutorProfile?.timezone || DEFAULT_TUTOR_TIMEZONE);
+  if (end > new Date()) throw new BadRequestError("A session can only be completed after it has ended");
 }
 
 export async function updateSession(user, id, updates) {
   validation.validateObjectId(id);
   validation.validateUpdatePayload(updates);
 
-  const session = await TutoringSession.findById(id);
+  const session = await findSessionInTenant(user, id);
   ensureSessionExists(session);
-  checkOwnershipOrAdmin(session, user);
+  checkSessionAccess(session, user, "session:update");
 
   const allowed = [
     "title",
@@ -123,16 +236,35 @@ export async function updateSession(user, id, updates) {
     "tags",
     "notes",
     "status",
-    "capacity",
   ];
   const data = {};
   allowed.forEach((k) => {
     if (k in updates) data[k] = updates[k];
   });
 
+  // currentEnrolled follows the roster; only the seat limit can be edited
+  if (updates.capacity?.maxParticipants !== undefined) {
+    const max = parseInt(updates.capacity.maxParticipants, 10);
+    if (Number.isNaN(max) || max < session.capacity.currentEnrolled) {
+      throw new BadRequestError(
+        `capacity.maxParticipants must be a number of at least ${session.capacity.currentEnrolled} (currently enrolled)`
+      );
+    }
+    data["capacity.maxParticipants"] = max;
+  }
+
+  if (data.status === "completed" && session.status !== "completed") {
+    await assertSessionCanComplete(session);
+  }
+
   const updated = await TutoringSession.findByIdAndUpdate(id, data, { new: true, runValidators: true })
     .populate("tutor", "fullName email role");
 
+  // Completing a session (or reopening a completed one) changes the tutor's sessionCount
+  if ([session.status, updated.status].includes("completed") && session.status !== updated.status) {
+    await refreshTutorSessionCount(session.tutor);
+  }
+
   if (updated.googleEventId) {
     try {
       await updateCalendarEvent(updated.googleEventId, updated);
@@ -146,9 +278,9 @@ export async function updateSession(user, id, updates) {
 export async function deleteSession(user, id) {
   validation.validateObjectId(id);
 
-  const session = await TutoringSession.findById(id);
+  const session = await findSessionInTenant(user, id);
   ensureSessionExists(session);
-  checkOwnershipOrAdmin(session, user);
+  checkSessionAccess(session, user, "session:delete");
 
   if (session.googleEventId) {
     try {
@@ -159,31 +291,26 @@ export async function deleteSession(user, id) {
   }
 
   await TutoringSession.findByIdAndDelete(id);
-  return;
+  if (session.status === "completed") await refreshTutorSessionCount(session.tutor);
+  return session;
 }
 
 export async function joinSession(user, id) {
   validation.validateObjectId(id);
   if (!user) throw new UnauthorizedError("Authentication required");
 
-  const session = await TutoringSession.findById(id);
+  const session = await findSessionInTenant(user, id);
   ensureSessionExists(session);
+  if (session.isPrivate) throw new BadRequestError("This is a private one-to-one session");
 
   try {
-    await session.addParticipant(user.userId);
+    await session.addParticipant(user._id);
   } catch (err) {
     throw new BadRequestError(err.message);
   }
 
   // optionally update calendar attendees if googleEventId exists
-  if (session.googleEventId) {
-    try {
-      const updated = await TutoringSession.findById(id).populate("participants.userId", "email");
-      await updateCalendarEvent(session.googleEventId, updated);
-    } catch (err) {
-      console.error("Failed to sync attendees:", err.message);
-    }
-  }
+  await syncCalendarAttendees(session);
   return session.capacity.currentEnrolled;
 }
 
@@ -191,30 +318,23 @@ export async function leaveSession(user, id) {
   validation.validateObjectId(id);
   if (!user) throw new UnauthorizedError("Authentication required");
 
-  const session = await TutoringSession.findById(id);
+  const session = await findSessionInTenant(user, id);
   ensureSessionExists(session);
 
   try {
-    await session.removeParticipant(user.userId);
+    await session.removeParticipant(user._id);
   } catch (err) {
     throw new BadRequestError(err.message);
   }
 
-  if (session.googleEventId) {
-    try {
-      const updated = await TutoringSession.findById(id).populate("participants.userId", "email");
-      await updateCalendarEvent(session.googleEventId, updated);
-    } catch (err) {
-      console.error("Failed to sync attendees:", err.message);
-    }
-  }
+  await syncCalendarAttendees(session);
   return session.capacity.currentEnrolled;
 }
 
-export async function getTutorSessions(tutorId) {
+export async function getTutorSessions(user, tutorId) {
   validation.validateObjectId(tutorId, "tutorId");
 
-  const sessions = await TutoringSession.find({ tutor: tutorId })
+  const sessions = await TutoringSession.find({ tutor: tutorId, ...tenantFilter(user), ...visibleSessionsFilter(user) })
     .populate("tutor", "fullName email role")
     .populate("participants.userId", "fullName email")
     .sort({ "schedule.date": -1 });
@@ -224,8 +344,126 @@ export async function getTutorSessions(tutorId) {
 
 export async function getMyEnrolledSessions(user) {
   if (!user) throw new UnauthorizedError("Authentication required");
-  const sessions = await TutoringSession.find({ "participants.userId": user.userId })
+  const sessions = await TutoringSession.find({ "participants.userId": user._id })
     .populate("tutor", "fullName email role")
     .sort({ "schedule.date": 1 });
   return sessions;
 }
+
+// --- roster management (tutor, their organizer or an admin) ---
+export async function getSessionRoster(user, id) {
+  validation.validateObjectId(id);
+
+  const session = await findSessionInTenant(user, id).populate("participants.userId", "fullName email phoneNumber");
+  ensureSessionExists(session);
+  checkSessionAccess(session, user, "session:roster");
+
+  return session;
+}
+
+export async function addSessionParticipant(user, id, participantId) {
+  validation.validateObjectId(id);
+  validation.validateObjectId(participantId, "userId");
+
+  const session = await findSessionInTenant(user, id);
+  ensureSessionExists(session);
+  checkSessionAccess(session, user, "session:roster");
+
+  const participant = await User.findOne({ _id: participantId, ...tenantFilter(user) }).select("role status");
+  if (!participant || !participant.isActive()) throw new NotFoundError("Student not found");
+  if (participant.role !== ROLES.STUDENT) throw new BadRequestError("Only students can be enrolled in a session");
+
+  try {
+    await session.addParticipant(participantId);
+  } catch (err) {
+    throw new BadRequestError(err.message);
+  }
+
+  await syncCalendarAttendees(session);
+  return session;
+}
+
+export async function removeSessionParticipant(user, id, participantId) {
+  validation.validateObjectId(id);
+  validation.validateObjectId(participantId, "userId");
+
+  const session = await findSessionInTenant(user, id);
+  ensureSessionExists(session);
+  checkSessionAccess(session, user, "session:roster");
+
+  try {
+    await session.removeParticipant(participantId);
+  } catch (err) {
+    throw new BadRequestError(err.message);
+  }
+
+  await syncCalendarAttendees(session);
+  return session;
+}
+
+export async function updateSessionParticipantStatus(user, id, participantId, status) {
+  validation.validateObjectId(id);
+  validation.validateObjectId(participantId, "userId");
+
+  const session = await findSessionInTenant(user, id);
+  ensureSessionExists(session);
+  checkSessionAccess(session, user, "session:roster");
+
+  try {
+    await session.updateParticipantStatus(participantId, status);
+  } catch (err) {
+    throw new BadRequestError(err.message);
+  }
+  return session;
+}
+
+// --- account erasure ---
+
+/**
+ * Take a user out of every session roster (frees their seat and updates calendar attendees)
+ */
+export async function removeUserFromAllSessions(userId) {
+  const id = new mongoose.Types.ObjectId(String(userId));
+  const sessions = await TutoringSession.find({ "participants.userId": id }).select("_id googleEventId");
+
+  for (const session of sessions) {
+    // Pipeline update instead of save(): past sessions would fail the "future date" validator
+    await TutoringSession.updateOne({ _id: session._id }, [
+      {
+        $set: {
+          participants: { $filter: { input: "$participants", cond: { $ne: ["$$this.userId", id] } } },
+          "capacity.currentEnrolled": { $max: [0, { $subtract: ["$capacity.currentEnrolled", 1] }] },
+        },
+      },
+    ]);
+    await syncCalendarAttendees(session);
+  }
+  return sessions.length;
+}
+
+/**
+ * Cancel a tutor's upcoming sessions and remove their calendar events
+ */
+export async function cancelUpcomingTutorSessions(tutorId, reason) {
+  const sessions = await TutoringSession.find({
+    tutor: tutorId,
+    status: "scheduled",
+    "schedule.date": { $gte: new Date() },
+  });
+
+  for (const session of sessions) {
+    if (session.googleEventId) {
+      try {
+        await deleteCalendarEvent(session.googleEventId);
+      } catch (err) {
+        console.error("Calendar delete failed:", err.message);
+      }
+    }
+  }
+
+  await TutoringSession.updateMany(
+    { _id: { $in: sessions.map((s) => s._id) } },
+    { status: "cancelled", cancellationReason: reason, $unset: { googleEventId: "" } }
+  );
+  return sessions.length;
+}
@@ -0,0 +1,168 @@
+import crypto from "crypto";
+import User, { ROLES } from "../models/UserModel.js";
+import { comparePassword } from "../utils/passwordUtils.js";
+import { hashToken } from "../utils/tokenUtils.js";
+import { generateSecret, verifyTotp, buildOtpAuthUrl } from "../utils/totp.js";
+import { BadRequestError, UnauthenticatedError } from "../errors/customErrors.js";
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Quality Education";
+const RECOVERY_CODE_COUNT = 10;
+const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+/**
+ * Policy switch: REQUIRE_ADMIN_2FA=true makes 2FA mandatory for admins and the super admin
+ */
+export const isTwoFactorRequired = (user) => {
+  return (
+    String(process.env.REQUIRE_ADMIN_2FA).toLowerCase() === "true" &&
+    [ROLES.ADMIN, ROLES.SUPERADMIN].includes(user.role)
+  );
+};
+
+const loadWithSecrets = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) throw new UnauthenticatedError("Authentication invalid");
+  return user;
+};
+
+// Recovery codes look like "a1b2c-3d4e5"; only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    hashed: codes.map((code) => ({ hash: hashToken(code), usedAt: null })),
+  };
+};
+
+const normalizeRecoveryCode = (code) => String(code || "").trim().toLowerCase();
+
+/**
+ * Check a TOTP code (or a one-time recovery code) against a user loaded with secrets.
+ * Marks the code as used and saves the user. Returns true when accepted.
+ */
+const consumeCode = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null || (user.twoFactor.lastUsedStep ?? -1) >= step) return false;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const entry = (user.twoFactor.recoveryCodes || []).find(
+      (c) => c.hash === hash && !c.usedAt
+    );
+    if (!entry) return false;
+    entry.usedAt = new Date();
+    await user.save();
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Step 1: create a pending secret and return it for the authenticator app
+ */
+export const startEnrollment = async (userId) => {
+  const user = await loadWithSecrets(userId);
+  if (user.twoFactor?.enabled) {
+    throw new BadRequestError("Two-factor authentication is already enabled");
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  return {
+    secret,
+    otpauthUrl: buildOtpAuthUrl(secret, user.email, TOTP_ISSUER),
+  };
+};
+
+/**
+ * Step 2: confirm the pending secret with a valid code; returns the recovery codes (shown once)
+ */
+export const confirmEnrollment = async (userId, code) => {
+  const user = await loadWithSecrets(userId);
+  if (user.twoFactor?.enabled) {
+    throw new BadRequestError("Two-factor authentication is already enabled");
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw new BadRequestError("Start enrollment before confirming");
+  }
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw new BadRequestError("Invalid authentication code");
+  }
+
+  const { codes, hashed } = generateRecoveryCodes();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = hashed;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  return codes;
+};
+
+/**
+ * Turn 2FA off; requires the current password and a code (or recovery code)
+ */
+export const disableTwoFactor = async (userId, { password, code, recoveryCode }) => {
+  const user = await User.findById(userId).select(`+password ${SECRET_FIELDS}`);
+  if (!user) throw new UnauthenticatedError("Authentication invalid");
+
+  if (!user.twoFactor?.enabled) {
+    throw new BadRequestError("Two-factor authentication is not enabled");
+  }
+  if (isTwoFactorRequired(user)) {
+    throw new BadRequestError("Two-factor authentication is mandatory for your role");
+  }
+
+  const passwordOk = password && (await comparePassword(password, user.password));
+  if (!passwordOk || !(await consumeCode(user, { code, recoveryCode }))) {
+    throw new BadRequestError("Invalid password or authentication code");
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save();
+};
+
+/**
+ * Replace all recovery codes; requires a valid TOTP code
+ */
+export const regenerateRecoveryCodes = async (userId, code) => {
+  const user = await loadWithSecrets(userId);
+  if (!user.twoFactor?.enabled) {
+    throw new BadRequestError("Two-factor authentication is not enabled");
+  }
+  if (!(await consumeCode(user, { code }))) {
+    throw new BadRequestError("Invalid authentication code");
+  }
+
+  const { codes, hashed } = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashed;
+  await user.save();
+  return codes;
+};
+
+/**
+ * Login step-up: verify the second factor for a user who already passed the password check
+ */
+export const verifyLoginCode = async (userId, { code, recoveryCode }) => {
+  const user = await loadWithSecrets(userId);
+  if (!user.twoFactor?.enabled) return user;
+
+  const accepted = await consumeCode(user, { code, recoveryCode });
+  return accepted ? user : null;
+};
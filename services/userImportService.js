@@ -0,0 +1,181 @@
+import { validationResult } from "express-validator";
+import User, { ROLES } from "../models/UserModel.js";
+import { registerProfileRules } from "../Middleware/ValidatorMiddleware.js";
+import { buildClientUrl, sendAccountInviteEmail } from "./authMailService.js";
+import { parseCsv } from "../utils/csv.js";
+import { createRandomToken } from "../utils/tokenUtils.js";
+import { BadRequestError } from "../errors/customErrors.js";
+
+export const USER_INVITE_EXPIRE_DAYS = Number(process.env.USER_INVITE_EXPIRE_DAYS) || 7;
+const MAX_IMPORT_ROWS = 1000;
+
+const IMPORT_ROLES = [ROLES.STUDENT, ROLES.TUTOR];
+const ROLE_ALIASES = { student: ROLES.STUDENT, user: ROLES.STUDENT, tutor: ROLES.TUTOR };
+
+const COLUMNS = ["fullName", "email", "phoneNumber", "location", "role", "subjects"];
+const REQUIRED_COLUMNS = ["fullName", "email", "phoneNumber", "location"];
+
+/**
+ * Map header cells to known columns (case, spaces and underscores are ignored)
+ */
+const mapHeader = (headerRow) => {
+  const normalize = (value) => String(value).toLowerCase().replace(/[\s_-]/g, "");
+  const indexes = {};
+  COLUMNS.forEach((column) => {
+    const index = headerRow.findIndex((cell) => normalize(cell) === column.toLowerCase());
+    if (index !== -1) indexes[column] = index;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter((column) => indexes[column] === undefined);
+  if (missing.length) {
+    throw new BadRequestError(`CSV is missing required column(s): ${missing.join(", ")}`);
+  }
+  return indexes;
+};
+
+// Turn a CSV row into the same body shape /api/auth/register receives
+const toRegisterBody = (cells, indexes) => {
+  const cell = (column) => (indexes[column] === undefined ? "" : String(cells[indexes[column]] ?? "").trim());
+  const rawRole = cell("role").toLowerCase();
+
+  return {
+    fullName: cell("fullName"),
+    email: cell("email").toLowerCase(),
+    phoneNumber: cell("phoneNumber").replace(/[\s-]/g, ""),
+    location: cell("location"),
+    role: rawRole ? ROLE_ALIASES[rawRole] || rawRole : ROLES.STUDENT,
+    // Several subjects go in one cell separated by ";" or "|"
+    subjects: cell("subjects")
+      .split(/[;|]/)
+      .map((s) => s.trim())
+      .filter(Boolean),
+  };
+};
+
+// Run the registration rules against one row and collect the messages
+const validateRow = async (body) => {
+  const req = { body };
+  for (const rule of registerProfileRules) {
+    await rule.run(req);
+  }
+
+  const errors = validationResult(req).array().map((e) => e.msg);
+  if (body.role && !IMPORT_ROLES.includes(body.role) && !errors.includes("Invalid role")) {
+    errors.push(`Only ${IMPORT_ROLES.join(" and ")} accounts can be imported`);
+  }
+  return errors;
+};
+
+const createInvitedUser = async (body, institution) => {
+  const { token, hashedToken } = createRandomToken();
+
+  const user = await User.create({
+    fullName: body.fullName,
+    email: body.email,
+    phoneNumber: body.phoneNumber,
+    location: body.location,
+    role: body.role,
+    institution,
+    ...(body.role === ROLES.TUTOR && {
+      tutorProfile: {
+        subjects: body.subjects.map((s) => s.toLowerCase()),
+        availability: "available",
+        sessionCount: 0,
+        rating: { average: 0, count: 0 },
+        isVerified: false,
+      },
+    }),
+    emailVerified: false,
+    // No password: the invite link is a set-password link handled by /api/auth/reset-password
+    resetPasswordToken: hashedToken,
+    resetPasswordExpiry: new Date(Date.now() + USER_INVITE_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return { user, token };
+};
+
+/**
+ * Validate (and unless dryRun, create) accounts from a CSV file.
+ * Columns: fullName, email, phoneNumber, location, role (student|tutor), subjects.
+ * Invalid rows are reported and skipped; valid rows are created and emailed a set-password link.
+ * Row numbers match the spreadsheet (the header is row 1).
+ * Accounts join `institution`, the importing admin's tenant.
+ */
+export const importUsersFromCsv = async (buffer, { dryRun = false, institution = null } = {}) => {
+  if (!buffer?.length) throw new BadRequestError("A CSV file is required");
+
+  const [headerRow, ...dataRows] = parseCsv(buffer.toString("utf8"));
+  if (!headerRow) throw new BadRequestError("The CSV file is empty");
+  if (dataRows.length === 0) throw new BadRequestError("The CSV file has no data rows");
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new BadRequestError(`A single import is limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const indexes = mapHeader(headerRow);
+  const seenEmails = new Map();
+  const rows = [];
+
+  for (const [i, cells] of dataRows.entries()) {
+    const rowNumber = i + 2;
+    const body = toRegisterBody(cells, indexes);
+    const errors = await validateRow(body);
+
+    if (body.email && seenEmails.has(body.email)) {
+      errors.push(`Duplicate of row ${seenEmails.get(body.email)}`);
+    } else if (body.email) {
+      seenEmails.set(body.email, rowNumber);
+    }
+
+    rows.push({ row: rowNumber, email: body.email, role: body.role, body, errors });
+  }
+
+  const report = rows.map(({ row, email, role, errors }) => ({
+    row,
+    email,
+    role,
+    status: errors.length ? "invalid" : "valid",
+    errors,
+  }));
+
+  if (!dryRun) {
+    for (const [i, { body, errors }] of rows.entries()) {
+      if (errors.length) continue;
+
+      try {
+        const { user, token } = await createInvitedUser(body, institution);
+        report[i].status = "created";
+        report[i].userId = user._id;
+
+        try {
+          await sendAccountInviteEmail({
+            to: user.email,
+            name: user.fullName,
+            role: user.role,
+            setPasswordUrl: buildClientUrl("/set-password", { token }),
+            expiresInDays: USER_INVITE_EXPIRE_DAYS,
+          });
+          report[i].inviteSent = true;
+        } catch (err) {
+          // The account stays; an admin can resend with a password reset
+          console.error(`Invite email to ${user.email} failed:`, err.message);
+          report[i].inviteSent = false;
+        }
+      } catch (err) {
+        report[i].status = "failed";
+        report[i].errors = [err.code === 11000 ? "Email already exists" : err.message];
+      }
+    }
+  }
+
+  const count = (status) => report.filter((r) => r.status === status).length;
+
+  return {
+    dryRun,
+    totalRows: report.length,
+    valid: report.length - count("invalid"),
+    invalid: count("invalid"),
+    created: count("created"),
+    failed: count("failed"),
+    rows: report,
+  };
+};
@@ -0,0 +1,107 @@
+/**
+ * Test Suite for API key authentication and scopes
+ *
+ * Runs real queries: set MONGO_TEST_URI to a throwaway MongoDB database (skipped otherwise).
+ * To run tests: npm install
+ * Then: npm test
+ *
+ * File: tests/apiKeys.test.js
+ */
+
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import mongoose from "mongoose";
+import User from "../models/UserModel.js";
+import ApiKey from "../models/ApiKeyModel.js";
+import { authenticateUser } from "../Middleware/authMiddleware.js";
+import { errorHandler } from "../Middleware/errorHandler.js";
+import { createApiKey, revokeApiKey } from "../services/apiKeyService.js";
+
+const describeWithDb = process.env.MONGO_TEST_URI ? describe : describe.skip;
+
+// Only the authentication layer is under test: every route that gets through answers 200
+const ok = (req, res) => res.status(200).json({ userId: req.user._id });
+
+const app = express();
+app.get("/api/tutoring-sessions", authenticateUser, ok);
+app.post("/api/tutoring-sessions", authenticateUser, ok);
+app.get("/api/users/me", authenticateUser, ok);
+app.get("/api/users/me/export", authenticateUser, ok);
+app.use(errorHandler);
+
+describeWithDb("API keys", () => {
+  let user;
+  let apiKey;
+  let key;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGO_TEST_URI);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    user = await User.create({
+      fullName: "Key Owner",
+      email: `api-keys-${Date.now()}@test.com`,
+      password: "password123",
+      phoneNumber: "0771234567",
+      location: "Colombo",
+    });
+    ({ apiKey, key } = await createApiKey(user, {
+      name: "reporting",
+      scopes: ["sessions:read", "profile:read"],
+    }));
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await Promise.all([ApiKey.deleteMany({ user: user._id }), User.deleteOne({ _id: user._id })]);
+    await mongoose.disconnect();
+  });
+
+  test("Should act as the owner on a route its scopes open", async () => {
+    const res = await request(app).get("/api/tutoring-sessions?page=2").set("X-API-Key", key);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.userId).toBe(String(user._id));
+  });
+
+  test("Should accept the key as a bearer token too", async () => {
+    const res = await request(app).get("/api/users/me").set("Authorization", `Bearer ${key}`);
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  test("Should deny a method its scopes do not cover", async () => {
+    const res = await request(app).post("/api/tutoring-sessions").set("X-API-Key", key);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe("This API key does not have a scope for this route");
+  });
+
+  test("Should deny a route below an exact-match scope", async () => {
+    const res = await request(app).get("/api/users/me/export").set("X-API-Key", key);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test("Should deny every route while the owner is suspended", async () => {
+    await User.updateOne({ _id: user._id }, { status: "suspended" });
+
+    const res = await request(app).get("/api/tutoring-sessions").set("X-API-Key", key);
+
+    await User.updateOne({ _id: user._id }, { status: "active" });
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe("Your account has been suspended");
+  });
+
+  test("Should reject unknown and revoked keys", async () => {
+    const unknown = await request(app).get("/api/tutoring-sessions").set("X-API-Key", "qek_not-a-real-key");
+    expect(unknown.statusCode).toBe(401);
+
+    await revokeApiKey(user._id, apiKey._id);
+
+    const revoked = await request(app).get("/api/tutoring-sessions").set("X-API-Key", key);
+    expect(revoked.statusCode).toBe(401);
+    expect(revoked.body.message).toBe("API key is invalid, expired or revoked");
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Test Suite for refresh token rotation and reuse detection
+ *
+ * Runs real queries: set MONGO_TEST_URI to a throwaway MongoDB database (skipped otherwise).
+ * To run tests: npm install
+ * Then: npm test
+ *
+ * File: tests/authTokens.test.js
+ */
+
+import mongoose from "mongoose";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const { default: User } = await import("../models/UserModel.js");
+const { default: RefreshToken } = await import("../models/RefreshTokenModel.js");
+const { default: DeviceSession } = await import("../models/DeviceSessionModel.js");
+const { issueTokens, rotateRefreshToken, revokeSession, isSessionActive } = await import(
+  "../services/authTokenService.js"
+);
+const { verifyJWT } = await import("../utils/generateToken.js");
+
+const describeWithDb = process.env.MONGO_TEST_URI ? describe : describe.skip;
+
+describeWithDb("Refresh tokens", () => {
+  let user;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGO_TEST_URI);
+    user = await User.create({
+      fullName: "Token Tester",
+      email: `tokens-${Date.now()}@test.com`,
+      password: "password123",
+      phoneNumber: "0771234567",
+      location: "Colombo",
+    });
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      RefreshToken.deleteMany({ user: user._id }),
+      DeviceSession.deleteMany({ user: user._id }),
+      User.deleteOne({ _id: user._id }),
+    ]);
+    await mongoose.disconnect();
+  });
+
+  test("Should bind the access token to a new device session", async () => {
+    const login = await issueTokens(user, { ip: "10.0.0.1", userAgent: "jest" });
+
+    expect(verifyJWT(login.accessToken).sid).toBe(String(login.sessionId));
+    await expect(isSessionActive(String(login.sessionId))).resolves.toBe(true);
+  });
+
+  test("Should rotate a refresh token into a new pair on the same device session", async () => {
+    const login = await issueTokens(user, { ip: "10.0.0.1", userAgent: "jest" });
+
+    const rotated = await rotateRefreshToken(login.refreshToken, { ip: "10.0.0.2" });
+
+    expect(rotated.refreshToken).not.toBe(login.refreshToken);
+    expect(String(rotated.sessionId)).toBe(String(login.sessionId));
+
+    const tokens = await RefreshToken.find({ family: login.sessionId }).sort({ _id: 1 });
+    expect(tokens).toHaveLength(2);
+    expect(tokens[0].revokedReason).toBe("rotated");
+    expect(tokens[0].replacedByHash).toBe(tokens[1].tokenHash);
+    expect(tokens[1].revokedAt).toBeFalsy();
+
+    const session = await DeviceSession.findById(login.sessionId);
+    expect(session.ip).toBe("10.0.0.2");
+  });
+
+  test("Should revoke the whole device session when a rotated token is reused", async () => {
+    const login = await issueTokens(user, {});
+    const rotated = await rotateRefreshToken(login.refreshToken);
+
+    await expect(rotateRefreshToken(login.refreshToken)).rejects.toThrow("reuse detected");
+
+    // The token handed out by the rotation dies with its session
+    await expect(isSessionActive(String(login.sessionId))).resolves.toBe(false);
+    await expect(rotateRefreshToken(rotated.refreshToken)).rejects.toThrow("invalid or has expired");
+    const session = await DeviceSession.findById(login.sessionId);
+    expect(session.revokedReason).toBe("reuse-detected");
+  });
+
+  test("Should never let two concurrent refreshes with the same token both succeed", async () => {
+    const login = await issueTokens(user, {});
+
+    const results = await Promise.allSettled([
+      rotateRefreshToken(login.refreshToken),
+      rotateRefreshToken(login.refreshToken),
+    ]);
+
+    // The token is claimed atomically; the loser looks like a replayed token
+    expect(results.filter((r) => r.status === "fulfilled").length).toBeLessThanOrEqual(1);
+    expect(results.some((r) => r.status === "rejected" && /reuse detected/.test(r.reason.message))).toBe(true);
+    expect(await RefreshToken.countDocuments({ family: login.sessionId })).toBeLessThanOrEqual(2);
+  });
+
+  test("Should refuse to refresh a session that was logged out", async () => {
+    const login = await issueTokens(user, {});
+    await revokeSession(login.sessionId, "logout");
+
+    await expect(rotateRefreshToken(login.refreshToken)).rejects.toThrow("invalid or has expired");
+    await expect(isSessionActive(String(login.sessionId))).resolves.toBe(false);
+  });
+
+  test("Should refuse unknown refresh tokens", async () => {
+    await expect(rotateRefreshToken("not-a-real-token")).rejects.toThrow("invalid or has expired");
+    await expect(rotateRefreshToken(undefined)).rejects.toThrow("Refresh token is required");
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Test Suite for tutor availability and bookable slot computation
+ *
+ * To run tests: npm install --save-dev jest @jest/globals
+ * Then: npm test
+ *
+ * File: tests/availability.test.js
+ */
+
+import {
+  zonedTimeToUtc,
+  zonedDate,
+  sessionInterval,
+  computeBookableSlots,
+} from "../utils/availabilityUtils.js";
+
+const COLOMBO = "Asia/Colombo"; // UTC+05:30, no DST
+
+// 2026-03-02 is a Monday
+const WEEK = {
+  from: new Date("2026-03-01T00:00:00Z"),
+  to: new Date("2026-03-08T00:00:00Z"),
+};
+
+const isoSlots = (slots) => slots.map((s) => `${s.start.toISOString()}/${s.end.toISOString()}`);
+
+describe("Availability utilities", () => {
+  describe("timezones", () => {
+    test("Should convert wall-clock time to UTC", () => {
+      expect(zonedTimeToUtc("2026-03-02", 9 * 60, COLOMBO).toISOString()).toBe("2026-03-02T03:30:00.000Z");
+    });
+
+    test("Should follow daylight saving changes", () => {
+      expect(zonedTimeToUtc("2026-01-15", 9 * 60, "Europe/London").toISOString()).toBe("2026-01-15T09:00:00.000Z");
+      expect(zonedTimeToUtc("2026-07-15", 9 * 60, "Europe/London").toISOString()).toBe("2026-07-15T08:00:00.000Z");
+    });
+
+    test("Should give the local calendar date of an instant", () => {
+      expect(zonedDate(new Date("2026-03-01T20:00:00Z"), COLOMBO)).toBe("2026-03-02");
+    });
+
+    test("Should treat sessions ending before they start as running past midnight", () => {
+      const { start, end } = sessionInterval({ date: "2026-03-02", startTime: "23:00", endTime: "00:30" }, COLOMBO);
+      expect(end - start).toBe(90 * 60 * 1000);
+    });
+  });
+
+  describe("computeBookableSlots", () => {
+    const base = {
+      timeZone: COLOMBO,
+      slotMinutes: 60,
+      weekly: [{ day: 1, start: "09:00", end: "12:00" }],
+      ...WEEK,
+    };
+
+    test("Should cut weekly windows into slots", () => {
+      expect(isoSlots(computeBookableSlots(base))).toEqual([
+        "2026-03-02T03:30:00.000Z/2026-03-02T04:30:00.000Z",
+        "2026-03-02T04:30:00.000Z/2026-03-02T05:30:00.000Z",
+        "2026-03-02T05:30:00.000Z/2026-03-02T06:30:00.000Z",
+      ]);
+    });
+
+    test("Should subtract existing sessions", () => {
+      const busy = [sessionInterval({ date: "2026-03-02", startTime: "10:00", endTime: "11:00" }, COLOMBO)];
+      expect(isoSlots(computeBookableSlots({ ...base, busy }))).toEqual([
+        "2026-03-02T03:30:00.000Z/2026-03-02T04:30:00.000Z",
+        "2026-03-02T05:30:00.000Z/2026-03-02T06:30:00.000Z",
+      ]);
+    });
+
+    test("Should drop slots that no longer fit around a session", () => {
+      const busy = [sessionInterval({ date: "2026-03-02", startTime: "09:30", endTime: "10:00" }, COLOMBO)];
+      expect(isoSlots(computeBookableSlots({ ...base, busy }))).toEqual([
+        "2026-03-02T04:30:00.000Z/2026-03-02T05:30:00.000Z",
+        "2026-03-02T05:30:00.000Z/2026-03-02T06:30:00.000Z",
+      ]);
+    });
+
+    test("Should skip whole days off", () => {
+      const exceptions = [{ date: "2026-03-02", kind: "blocked" }];
+      expect(computeBookableSlots({ ...base, exceptions })).toEqual([]);
+    });
+
+    test("Should apply one-off blocks and extra hours", () => {
+      const exceptions = [
+        { date: "2026-03-02", kind: "blocked", start: "09:00", end: "11:00" },
+        { date: "2026-03-05", kind: "extra", start: "16:00", end: "17:00" },
+      ];
+      expect(isoSlots(computeBookableSlots({ ...base, exceptions }))).toEqual([
+        "2026-03-02T05:30:00.000Z/2026-03-02T06:30:00.000Z",
+        "2026-03-05T10:30:00.000Z/2026-03-05T11:30:00.000Z",
+      ]);
+    });
+
+    test("Should only return slots inside the requested range", () => {
+      const from = new Date("2026-03-02T04:00:00Z");
+      expect(isoSlots(computeBookableSlots({ ...base, from }))).toEqual([
+        "2026-03-02T04:30:00.000Z/2026-03-02T05:30:00.000Z",
+        "2026-03-02T05:30:00.000Z/2026-03-02T06:30:00.000Z",
+      ]);
+    });
+
+    test("Should merge overlapping windows", () => {
+      const weekly = [
+        { day: 1, start: "09:00", end: "10:30" },
+        { day: 1, start: "10:00", end: "11:00" },
+      ];
+      expect(computeBookableSlots({ ...base, weekly })).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Test Suite for booking request answers and expiry
+ *
+ * Model calls are stubbed, so no database is needed.
+ * To run tests: npm install
+ * Then: npm test
+ *
+ * File: tests/booking.test.js
+ */
+
+import { jest } from "@jest/globals";
+
+jest.unstable_mockModule("../services/tutorAvailabilityService.js", () => ({
+  getBookableSlots: jest.fn(),
+  getBusyIntervals: jest.fn(),
+}));
+jest.unstable_mockModule("../services/tutoringSessionService.js", () => ({
+  createBookedSession: jest.fn(),
+}));
+jest.unstable_mockModule("../services/bookingMailService.js", () => ({
+  sendBookingEmail: jest.fn(),
+}));
+
+const { default: BookingRequest } = await import("../models/BookingRequestModel.js");
+const { getBusyIntervals } = await import("../services/tutorAvailabilityService.js");
+const { createBookedSession } = await import("../services/tutoringSessionService.js");
+const { sendBookingEmail } = await import("../services/bookingMailService.js");
+const { BadRequestError, UnauthorizedError } = await import("../errors/customErrors.js");
+const { acceptBooking, declineBooking, cancelBooking, expireStaleBookings } = await import(
+  "../services/bookingService.js"
+);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const student = { _id: "student-1", fullName: "Sam Student", email: "sam@example.com" };
+const tutor = { _id: "tutor-1", fullName: "Tara Tutor", email: "tara@example.com", tutorProfile: {} };
+
+// Chainable stand-in for a mongoose query resolving to `result`
+const query = (result) => {
+  const q = {
+    populate: () => q,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return q;
+};
+
+const makeBooking = (overrides = {}) => ({
+  _id: "booking-1",
+  student,
+  tutor,
+  subject: "maths",
+  status: "pending",
+  awaiting: "tutor",
+  start: new Date(Date.now() + 24 * HOUR_MS),
+  end: new Date(Date.now() + 25 * HOUR_MS),
+  expiresAt: new Date(Date.now() + 12 * HOUR_MS),
+  history: [],
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(BookingRequest, "exists").mockResolvedValue(null);
+  getBusyIntervals.mockResolvedValue([]);
+  sendBookingEmail.mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Booking requests", () => {
+  describe("accept", () => {
+    test("Should claim the request and create the private session", async () => {
+      const booking = makeBooking();
+      jest.spyOn(BookingRequest, "findById").mockReturnValue(query(booking));
+      const claim = jest
+        .spyOn(BookingRequest, "findOneAndUpdate")
+        .mockReturnValue(query(makeBooking({ status: "accepted" })));
+      const update = jest.spyOn(BookingRequest, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+      createBookedSession.mockResolvedValue({ _id: "session-1" });
+
+      const result = await acceptBooking(tutor, booking._id);
+
+      expect(claim).toHaveBeenCalledWith(
+        { _id: booking._id, status: "pending" },
+        expect.objectContaining({ status: "accepted" }),
+        expect.anything()
+      );
+      expect(createBookedSession).toHaveBeenCalledTimes(1);
+      expect(update).toHaveBeenCalledWith(
+        { _id: booking._id },
+        expect.objectContaining({ session: "session-1", $push: { history: expect.objectContaining({ action: "accepted" }) } })
+      );
+      expect(result.session._id).toBe("session-1");
+      expect(result.booking.session).toBe("session-1");
+      expect(sendBookingEmail).toHaveBeenCalledTimes(2);
+    });
+
+    test("Should not create a session when the request was answered in the meantime", async () => {
+      jest.spyOn(BookingRequest, "findById").mockReturnValue(query(makeBooking()));
+      jest.spyOn(BookingRequest, "findOneAndUpdate").mockReturnValue(query(null));
+
+      await expect(acceptBooking(tutor, "booking-1")).rejects.toThrow(BadRequestError);
+      expect(createBookedSession).not.toHaveBeenCalled();
+    });
+
+    test("Should put the request back when the session cannot be created", async () => {
+      jest.spyOn(BookingRequest, "findById").mockReturnValue(query(makeBooking()));
+      jest.spyOn(BookingRequest, "findOneAndUpdate").mockReturnValue(query(makeBooking({ status: "accepted" })));
+      const update = jest.spyOn(BookingRequest, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+      createBookedSession.mockRejectedValue(new Error("calendar down"));
+
+      await expect(acceptBooking(tutor, "booking-1")).rejects.toThrow("calendar down");
+      expect(update).toHaveBeenCalledWith(
+        { _id: "booking-1", status: "accepted" },
+        expect.objectContaining({ status: "pending" })
+      );
+    });
+
+    test("Should release the claim when an overlapping request was accepted in parallel", async () => {
+      const booking = makeBooking();
+      jest.spyOn(BookingRequest, "findById").mockReturnValue(query(booking));
+      jest.spyOn(BookingRequest, "findOneAndUpdate").mockReturnValue(query(makeBooking({ status: "accepted" })));
+      const update = jest.spyOn(BookingRequest, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+      // Nothing before the claim, the other accepted request once it is in
+      const claimed = jest
+        .spyOn(BookingRequest, "exists")
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ _id: "booking-2" });
+
+      await expect(acceptBooking(tutor, booking._id)).rejects.toThrow("just booked");
+      expect(claimed).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          _id: { $ne: booking._id },
+          tutor: tutor._id,
+          status: "accepted",
+          session: null,
+          start: { $lt: booking.end },
+          end: { $gt: booking.start },
+        })
+      );
+      expect(update).toHaveBeenCalledWith(
+        { _id: booking._id, status: "accepted" },
+        expect.objectContaining({ status: "pending" })
+      );
+      expect(createBookedSession).not.toHaveBeenCalled();
+    });
+
+    test("Should release the claim when a session for the slot appeared in parallel", async () => {
+      const booking = makeBooking();
+      jest.spyOn(BookingRequest, "findById").mockReturnValue(query(booking));
+      jest.spyOn(BookingRequest, "findOneAndUpdate").mockReturnValue(query(makeBooking({ status: "accepted" })));
+      const update = jest.spyOn(BookingRequest, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+      getBusyIntervals.mockResolvedValueOnce([]).mockResolvedValueOnce([{ start: booking.start, end: booking.end }]);
+
+      await expect(acceptBooking(tutor, booking._id)).rejects.toThrow("just booked");
+      expect(update).toHaveBeenCalledTimes(1);
+      expect(createBookedSession).not.toHaveBeenCalled();
+    });
+
+    test("Should reject a slot that now clashes with another session", async () => {
+      const booking = makeBooking();
+      jest.spyOn(BookingRequest, "findById").mockReturnValue(query(booking));
+      const claim = jest.spyOn(BookingRequest, "findOneAndUpdate");
+      getBusyIntervals.mockResolvedValue([{ start: booking.start, end: booking.end }]);
+
+      await expect(acceptBooking(tutor, booking._id)).rejects.toThrow("already has a session");
+      expect(claim).not.toHaveBeenCalled();
+    });
+
+    test("Should only let the party whose turn it is answer", async () => {
+      jest.spyOn(BookingRequest, "findById").mockReturnValue(query(makeBooking()));
+
+      await expect(acceptBooking(student, "booking-1")).rejects.toThrow(UnauthorizedError);
+    });
+
+    test("Should hide requests from users who are not a party", async () => {
+      jest.spyOn(BookingRequest, "findById").mockReturnValue(query(makeBooking()));
+
+      await expect(acceptBooking({ _id: "someone-else" }, "booking-1")).rejects.toThrow("No booking request found");
+    });
+  });
+
+  describe("decline", () => {
+    test("Should decline conditionally on the status that was read", async () => {
+      jest.spyOn(BookingRequest, "findById").mockReturnValue(query(makeBooking()));
+      const decline = jest
+        .spyOn(BookingRequest, "findOneAndUpdate")
+        .mockReturnValue(query(makeBooking({ status: "declined" })));
+
+      const result = await declineBooking(tutor, "booking-1", "Not that day");
+
+      expect(decline).toHaveBeenCalledWith(
+        { _id: "booking-1", status: "pending" },
+        expect.objectContaining({
+          status: "declined",
+          $push: { history: expect.objectContaining({ action: "declined", note: "Not that day" }) },
+        }),
+        expect.anything()
+      );
+      expect(result.status).toBe("declined");
+      expect(sendBookingEmail).toHaveBeenCalledWith(expect.objectContaining({ to: student.email, event: "declined" }));
+    });
+
+    test("Should let the student decline a proposed time", async () => {
+      jest.spyOn(BookingRequest, "findById").mockReturnValue(query(makeBooking({ status: "proposed", awaiting: "student" })));
+      const decline = jest
+        .spyOn(BookingRequest, "findOneAndUpdate")
+        .mockReturnValue(query(makeBooking({ status: "declined" })));
+
+      await declineBooking(student, "booking-1");
+
+      expect(decline.mock.calls[0][0]).toEqual({ _id: "booking-1", status: "proposed" });
+    });
+
+    test("Should fail when the request was cancelled in the meantime", async () => {
+      jest.spyOn(BookingRequest, "findById").mockReturnValue(query(makeBooking()));
+      jest.spyOn(BookingRequest, "findOneAndUpdate").mockReturnValue(query(null));
+
+      await expect(declineBooking(tutor, "booking-1")).rejects.toThrow("answered in the meantime");
+      expect(sendBookingEmail).not.toHaveBeenCalled();
+    });
+
+    test("Should refuse to answer an expired request", async () => {
+      jest
+        .spyOn(BookingRequest, "findById")
+        .mockReturnValue(query(makeBooking({ expiresAt: new Date(Date.now() - HOUR_MS) })));
+
+      await expect(declineBooking(tutor, "booking-1")).rejects.toThrow("expired");
+    });
+
+    test("Should refuse to answer a closed request", async () => {
+      jest.spyOn(BookingRequest, "findById").mockReturnValue(query(makeBooking({ status: "accepted" })));
+
+      await expect(declineBooking(tutor, "booking-1")).rejects.toThrow("already accepted");
+    });
+  });
+
+  describe("cancel", () => {
+    test("Should only let the student cancel", async () => {
+      jest.spyOn(BookingRequest, "findById").mockReturnValue(query(makeBooking()));
+
+      await expect(cancelBooking(tutor, "booking-1")).rejects.toThrow(UnauthorizedError);
+    });
+
+    test("Should cancel conditionally on the status that was read", async () => {
+      jest.spyOn(BookingRequest, "findById").mockReturnValue(query(makeBooking({ status: "proposed", awaiting: "student" })));
+      const cancel = jest
+        .spyOn(BookingRequest, "findOneAndUpdate")
+        .mockReturnValue(query(makeBooking({ status: "cancelled" })));
+
+      await cancelBooking(student, "booking-1");
+
+      expect(cancel.mock.calls[0][0]).toEqual({ _id: "booking-1", status: "proposed" });
+      expect(cancel.mock.calls[0][1]).toMatchObject({ status: "cancelled" });
+    });
+  });
+
+  describe("expiry", () => {
+    test("Should expire stale requests and count only those it changed", async () => {
+      const now = new Date();
+      const stale = [makeBooking({ _id: "booking-1" }), makeBooking({ _id: "booking-2", status: "proposed" })];
+      const find = jest.spyOn(BookingRequest, "find").mockReturnValue(query(stale));
+      // booking-2 was answered between the read and the update
+      const update = jest
+        .spyOn(BookingRequest, "updateOne")
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 });
+
+      const expired = await expireStaleBookings(now);
+
+      expect(expired).toBe(1);
+      expect(find).toHaveBeenCalledWith({ status: { $in: ["pending", "proposed"] }, expiresAt: { $lte: now } });
+      expect(update.mock.calls.map(([filter]) => filter)).toEqual([
+        { _id: "booking-1", status: "pending" },
+        { _id: "booking-2", status: "proposed" },
+      ]);
+      expect(update.mock.calls[0][1]).toMatchObject({ status: "expired" });
+      // Both parties of booking-1 only
+      expect(sendBookingEmail).toHaveBeenCalledTimes(2);
+      expect(sendBookingEmail.mock.calls.every(([mail]) => mail.bookingId === "booking-1")).toBe(true);
+    });
+
+    test("Should do nothing when no request is stale", async () => {
+      jest.spyOn(BookingRequest, "find").mockReturnValue(query([]));
+      const update = jest.spyOn(BookingRequest, "updateOne");
+
+      await expect(expireStaleBookings()).resolves.toBe(0);
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Test Suite for failed-login throttling, lockout and unlock
+ *
+ * Runs real queries: set MONGO_TEST_URI to a throwaway MongoDB database (skipped otherwise).
+ * To run tests: npm install
+ * Then: npm test
+ *
+ * File: tests/loginThrottle.test.js
+ */
+
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+
+process.env.LOGIN_MAX_ATTEMPTS = "3";
+process.env.LOGIN_IP_MAX_ATTEMPTS = "5";
+process.env.LOGIN_DELAY_BASE_MS = "200";
+process.env.LOGIN_DELAY_MAX_MS = "400";
+
+jest.unstable_mockModule("../services/authMailService.js", () => ({
+  buildClientUrl: (path, params = {}) => `http://client.test${path}?${new URLSearchParams(params)}`,
+  sendAccountLockedEmail: jest.fn().mockResolvedValue(),
+}));
+
+const { default: LoginAttempt } = await import("../models/LoginAttemptModel.js");
+const { sendAccountLockedEmail } = await import("../services/authMailService.js");
+const {
+  assertLoginAllowed,
+  assertIpNotLocked,
+  recordFailedLogin,
+  clearLoginFailures,
+  unlockWithToken,
+  clearLock,
+} = await import("../services/loginThrottleService.js");
+
+const describeWithDb = process.env.MONGO_TEST_URI ? describe : describe.skip;
+
+const RUN = `throttle-${Date.now()}`;
+let counter = 0;
+// Fresh email and IP per test so counters never leak between tests
+const nextEmail = () => `${RUN}-${++counter}@test.com`;
+const nextIp = () => `${RUN}-ip-${++counter}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const failTimes = async (times, email, ip, user) => {
+  for (let i = 0; i < times; i++) {
+    await recordFailedLogin(email, ip, user);
+  }
+};
+
+describeWithDb("Login throttling", () => {
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGO_TEST_URI);
+  });
+
+  afterEach(() => {
+    sendAccountLockedEmail.mockClear();
+  });
+
+  afterAll(async () => {
+    await LoginAttempt.deleteMany({ key: new RegExp(RUN) });
+    await mongoose.disconnect();
+  });
+
+  test("Should lock an account after too many failures and email an unlock link", async () => {
+    const email = nextEmail();
+
+    await failTimes(3, email, nextIp(), { email, fullName: "Locked Out" });
+
+    await expect(assertLoginAllowed(email)).rejects.toThrow("Too many failed login attempts");
+    expect(sendAccountLockedEmail).toHaveBeenCalledTimes(1);
+    expect(sendAccountLockedEmail.mock.calls[0][0]).toMatchObject({ to: email, lockoutMinutes: 15 });
+  });
+
+  test("Should lift the lock once with the emailed unlock token", async () => {
+    const email = nextEmail();
+    await failTimes(3, email, nextIp(), { email, fullName: "Locked Out" });
+    const { unlockUrl } = sendAccountLockedEmail.mock.calls[0][0];
+    const token = new URL(unlockUrl).searchParams.get("token");
+
+    await unlockWithToken(token);
+
+    await expect(assertLoginAllowed(email)).resolves.toBeUndefined();
+    await expect(unlockWithToken(token)).rejects.toThrow("Unlock link is invalid or has expired");
+  });
+
+  test("Should lock an unknown email the same way without sending anything", async () => {
+    const email = nextEmail();
+
+    await failTimes(3, email, nextIp());
+
+    await expect(assertLoginAllowed(email)).rejects.toThrow("Too many failed login attempts");
+    expect(sendAccountLockedEmail).not.toHaveBeenCalled();
+  });
+
+  test("Should make the caller wait before retrying after a failure", async () => {
+    const email = nextEmail();
+
+    await recordFailedLogin(email, nextIp());
+
+    await expect(assertLoginAllowed(email)).rejects.toThrow("Too many failed login attempts");
+    await sleep(250);
+    await expect(assertLoginAllowed(email)).resolves.toBeUndefined();
+  });
+
+  test("Should reset the account counter after a successful login", async () => {
+    const email = nextEmail();
+    const ip = nextIp();
+    await failTimes(2, email, ip);
+
+    await clearLoginFailures(email);
+    await recordFailedLogin(email, ip);
+    await sleep(250);
+
+    // Had the counter kept running, this third failure would have locked the account
+    await expect(assertLoginAllowed(email)).resolves.toBeUndefined();
+  });
+
+  test("Should lock an IP across accounts without locking out a fresh account on it", async () => {
+    const ip = nextIp();
+
+    for (let i = 0; i < 5; i++) {
+      await recordFailedLogin(nextEmail(), ip);
+    }
+
+    await expect(assertIpNotLocked(ip)).rejects.toThrow("Too many failed login attempts");
+    await expect(assertLoginAllowed(nextEmail())).resolves.toBeUndefined();
+  });
+
+  test("Should let an admin clear both the account and the IP lock", async () => {
+    const email = nextEmail();
+    const ip = nextIp();
+    await failTimes(5, email, ip);
+
+    await expect(clearLock({ email, ip })).resolves.toBe(2);
+
+    await expect(assertLoginAllowed(email)).resolves.toBeUndefined();
+    await expect(assertIpNotLocked(ip)).resolves.toBeUndefined();
+  });
+});
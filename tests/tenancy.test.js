@@ -0,0 +1,229 @@
+/**
+ * Test Suite for multi-institution tenant isolation
+ *
+ * Model calls are stubbed, so no database is needed.
+ * To run tests: npm install
+ * Then: npm test
+ *
+ * File: tests/tenancy.test.js
+ */
+
+import { jest } from "@jest/globals";
+
+jest.unstable_mockModule("../services/guardianMailService.js", () => ({
+  sendGuardianInviteEmail: jest.fn(),
+  sendGuardianWeeklySummaryEmail: jest.fn(),
+}));
+
+const { default: User } = await import("../models/UserModel.js");
+const { default: TutoringSession } = await import("../models/TutoringSessionModel.js");
+const { default: Progress } = await import("../models/ProgressModel.js");
+const { default: GuardianLink } = await import("../models/GuardianLinkModel.js");
+const { default: DeviceSession } = await import("../models/DeviceSessionModel.js");
+const { isSuperAdmin, institutionOf, tenantFilter, sameTenant } = await import("../Config/tenancy.js");
+const { getAllSessions, getSessionById, visibleSessionsFilter } = await import(
+  "../services/tutoringSessionService.js"
+);
+const { authenticateIfPresent } = await import("../Middleware/authMiddleware.js");
+const { getStudentProgress, getStudentSessions } = await import("../services/guardianService.js");
+const { getUserSessions, revokeUserSessionByAdmin, clearUserLockout } = await import(
+  "../Controllers/authController.js"
+);
+const { sendWeeklySummaries } = await import("../services/guardianSummaryService.js");
+const { sendGuardianWeeklySummaryEmail } = await import("../services/guardianMailService.js");
+
+const SCHOOL_A = "institution-a";
+const SCHOOL_B = "institution-b";
+
+const studentA = { _id: "student-a", role: "user", institution: SCHOOL_A };
+const tutorA = { _id: "tutor-a", role: "tutor", institution: SCHOOL_A };
+const adminA = { _id: "admin-a", role: "admin", institution: SCHOOL_A };
+const guardianA = { _id: "guardian-a", role: "guardian", institution: SCHOOL_A, fullName: "Gina", email: "gina@example.com" };
+const legacyUser = { _id: "legacy", role: "user" };
+const legacyAdmin = { _id: "legacy-admin", role: "admin" };
+const superAdmin = { _id: "64b7f0c2a1b2c3d4e5f60700", role: "superadmin" };
+
+// Chainable stand-in for a mongoose query resolving to `result`
+const query = (result) => {
+  const q = {
+    populate: () => q,
+    select: () => q,
+    sort: () => q,
+    skip: () => q,
+    limit: () => q,
+    lean: () => q,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return q;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe("Tenant isolation", () => {
+  describe("tenancy helpers", () => {
+    test("Should restrict queries to the caller's institution", () => {
+      expect(tenantFilter(studentA)).toEqual({ institution: SCHOOL_A });
+      expect(tenantFilter(tutorA, "tenant")).toEqual({ tenant: SCHOOL_A });
+    });
+
+    test("Should put accounts without an institution in the shared default tenant", () => {
+      expect(tenantFilter(legacyUser)).toEqual({ institution: null });
+    });
+
+    test("Should not restrict the super admin", () => {
+      expect(isSuperAdmin(superAdmin)).toBe(true);
+      expect(tenantFilter(superAdmin)).toEqual({});
+    });
+
+    test("Should read the institution of populated and plain documents", () => {
+      expect(institutionOf({ institution: { _id: SCHOOL_B, name: "B" } })).toBe(SCHOOL_B);
+      expect(institutionOf({ institution: SCHOOL_B })).toBe(SCHOOL_B);
+      expect(institutionOf({})).toBeNull();
+      expect(institutionOf(null)).toBeNull();
+    });
+
+    test("Should only match documents of the same institution", () => {
+      expect(sameTenant(studentA, { institution: SCHOOL_A })).toBe(true);
+      expect(sameTenant(studentA, { institution: { _id: SCHOOL_A } })).toBe(true);
+      expect(sameTenant(studentA, { institution: SCHOOL_B })).toBe(false);
+      expect(sameTenant(studentA, {})).toBe(false);
+      expect(sameTenant(legacyUser, {})).toBe(true);
+      expect(sameTenant(legacyUser, { institution: SCHOOL_A })).toBe(false);
+      expect(sameTenant(superAdmin, { institution: SCHOOL_B })).toBe(true);
+    });
+  });
+
+  describe("tutoring sessions", () => {
+    test("Should list only the caller's institution and hide others' private sessions", async () => {
+      const count = jest.spyOn(TutoringSession, "countDocuments").mockResolvedValue(0);
+      const find = jest.spyOn(TutoringSession, "find").mockReturnValue(query([]));
+
+      await getAllSessions(studentA, {});
+
+      const filter = find.mock.calls[0][0];
+      expect(filter).toMatchObject({ institution: SCHOOL_A });
+      expect(filter.$or).toEqual(visibleSessionsFilter(studentA).$or);
+      expect(count).toHaveBeenCalledWith(filter);
+    });
+
+    test("Should show staff every session of their institution", async () => {
+      jest.spyOn(TutoringSession, "countDocuments").mockResolvedValue(0);
+      const find = jest.spyOn(TutoringSession, "find").mockReturnValue(query([]));
+
+      await getAllSessions(adminA, {});
+
+      const filter = find.mock.calls[0][0];
+      expect(filter).toMatchObject({ institution: SCHOOL_A });
+      expect(filter).not.toHaveProperty("$or");
+    });
+
+    test("Should show anonymous visitors only the default tenant's public sessions", async () => {
+      jest.spyOn(TutoringSession, "countDocuments").mockResolvedValue(0);
+      const find = jest.spyOn(TutoringSession, "find").mockReturnValue(query([]));
+
+      await getAllSessions(undefined, {});
+
+      expect(find.mock.calls[0][0]).toMatchObject({ institution: null, isPrivate: { $ne: true } });
+    });
+
+    test("Should hide a private session from anonymous visitors", async () => {
+      jest.spyOn(TutoringSession, "findOne").mockReturnValue(query({ isPrivate: true, tutor: tutorA._id, participants: [] }));
+
+      await expect(getSessionById(undefined, "64b7f0c2a1b2c3d4e5f60718")).rejects.toThrow("Session not found");
+    });
+
+    test("Should let anonymous requests through public routes without a user", async () => {
+      const req = { headers: {}, cookies: {} };
+      const next = jest.fn();
+
+      await authenticateIfPresent(req, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user).toBeUndefined();
+    });
+
+    test("Should still reject an invalid token on public routes", async () => {
+      const req = { headers: { authorization: "Bearer not-a-jwt" }, cookies: {} };
+
+      await expect(authenticateIfPresent(req, {}, jest.fn())).rejects.toThrow("Authentication invalid");
+    });
+
+    test("Should report a session of another institution as missing", async () => {
+      const findOne = jest.spyOn(TutoringSession, "findOne").mockReturnValue(query(null));
+      const id = "64b7f0c2a1b2c3d4e5f60718";
+
+      await expect(getSessionById(studentA, id)).rejects.toThrow("Session not found");
+      expect(findOne).toHaveBeenCalledWith({ _id: id, institution: SCHOOL_A });
+    });
+  });
+
+  describe("admin account tools", () => {
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+
+    test.each([
+      ["list the sessions of", getUserSessions],
+      ["revoke the sessions of", revokeUserSessionByAdmin],
+      ["clear the lockout of", clearUserLockout],
+    ])("Should not let a default-tenant admin %s the super admin", async (_, handler) => {
+      // The super admin has no institution, so { institution: null } matches them
+      const findOne = jest.spyOn(User, "findOne").mockReturnValue(query(superAdmin));
+      const req = { user: legacyAdmin, params: { userId: superAdmin._id }, query: {} };
+
+      await expect(handler(req, res)).rejects.toThrow("No user found");
+      expect(findOne).toHaveBeenCalledWith({ _id: superAdmin._id, institution: null });
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    test("Should still let the super admin reach their own account", async () => {
+      jest.spyOn(User, "findOne").mockReturnValue(query(superAdmin));
+      jest.spyOn(DeviceSession, "find").mockReturnValue(query([]));
+      const req = { user: superAdmin, params: { userId: superAdmin._id }, query: {} };
+
+      await getUserSessions(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe("guardian views", () => {
+    beforeEach(() => {
+      jest.spyOn(GuardianLink, "findOne").mockResolvedValue({ status: "active" });
+    });
+
+    test("Should scope a linked student's progress to the guardian's institution", async () => {
+      const find = jest.spyOn(Progress, "find").mockReturnValue(query([]));
+
+      await getStudentProgress(guardianA, studentA._id);
+
+      expect(find).toHaveBeenCalledWith({ student: studentA._id, institution: SCHOOL_A });
+    });
+
+    test("Should scope a linked student's sessions to the guardian's institution", async () => {
+      const find = jest.spyOn(TutoringSession, "find").mockReturnValue(query([]));
+
+      await getStudentSessions(guardianA, studentA._id);
+
+      expect(find).toHaveBeenCalledWith({ "participants.userId": studentA._id, institution: SCHOOL_A });
+    });
+
+    test("Should scope the weekly summary queries to the guardian's institution", async () => {
+      jest.spyOn(User, "find").mockReturnValue(query([guardianA]));
+      jest.spyOn(User, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(GuardianLink, "find").mockReturnValue(query([{ student: { _id: studentA._id, fullName: "Sam" } }]));
+      const progress = jest.spyOn(Progress, "find").mockReturnValue(query([]));
+      const sessions = jest.spyOn(TutoringSession, "find").mockReturnValue(query([]));
+      sendGuardianWeeklySummaryEmail.mockResolvedValue();
+
+      await expect(sendWeeklySummaries(new Date())).resolves.toBe(1);
+
+      expect(progress.mock.calls[0][0]).toMatchObject({ student: studentA._id, institution: SCHOOL_A });
+      expect(sessions).toHaveBeenCalledTimes(2);
+      sessions.mock.calls.forEach(([filter]) => {
+        expect(filter).toMatchObject({ "participants.userId": studentA._id, institution: SCHOOL_A });
+      });
+    });
+  });
+});
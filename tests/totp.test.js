@@ -0,0 +1,84 @@
+/**
+ * Test Suite for TOTP two-factor helpers (RFC 6238)
+ *
+ * To run tests: npm install --save-dev jest @jest/globals
+ * Then: npm test
+ *
+ * File: tests/totp.test.js
+ */
+
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUrl,
+} from "../utils/totp.js";
+
+// RFC 6238 Appendix B test secret (ASCII "12345678901234567890", SHA-1)
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("TOTP utilities", () => {
+  describe("base32", () => {
+    test("Should round-trip arbitrary bytes", () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    test("Should reject invalid characters", () => {
+      expect(() => base32Decode("ABC1")).toThrow(/base32/);
+    });
+
+    test("Should generate 160-bit secrets", () => {
+      expect(base32Decode(generateSecret())).toHaveLength(20);
+    });
+  });
+
+  describe("generateTotp", () => {
+    test.each([
+      [59, "94287082"],
+      [1111111109, "07081804"],
+      [1111111111, "14050471"],
+      [1234567890, "89005924"],
+      [2000000000, "69279037"],
+    ])("Should match RFC 6238 vector at T=%i", (seconds, expected) => {
+      expect(generateTotp(RFC_SECRET, seconds * 1000, 8)).toBe(expected);
+    });
+
+    test("Should produce 6 digits by default", () => {
+      expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe("287082");
+    });
+  });
+
+  describe("verifyTotp", () => {
+    const now = 1700000000 * 1000;
+
+    test("Should accept the current code and return its time step", () => {
+      const code = generateTotp(RFC_SECRET, now);
+      expect(verifyTotp(RFC_SECRET, code, { timestampMs: now })).toBe(Math.floor(now / 30000));
+    });
+
+    test("Should tolerate one step of clock drift", () => {
+      const previous = generateTotp(RFC_SECRET, now - 30 * 1000);
+      expect(verifyTotp(RFC_SECRET, previous, { timestampMs: now })).not.toBeNull();
+    });
+
+    test("Should reject codes outside the window", () => {
+      const old = generateTotp(RFC_SECRET, now - 5 * 60 * 1000);
+      expect(verifyTotp(RFC_SECRET, old, { timestampMs: now })).toBeNull();
+    });
+
+    test("Should reject malformed codes", () => {
+      expect(verifyTotp(RFC_SECRET, "12ab56", { timestampMs: now })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, "", { timestampMs: now })).toBeNull();
+    });
+  });
+
+  test("Should build an otpauth URL for authenticator apps", () => {
+    const url = buildOtpAuthUrl("JBSWY3DPEHPK3PXP", "tutor@test.com", "Quality Education");
+    expect(url).toMatch(/^otpauth:\/\/totp\/Quality%20Education%3Atutor%40test\.com\?/);
+    expect(url).toContain("secret=JBSWY3DPEHPK3PXP");
+    expect(url).toContain("issuer=Quality+Education");
+  });
+});
@@ -0,0 +1,164 @@
+// Weekly availability and bookable slot computation.
+// Tutors enter wall-clock times ("HH:MM") in their own IANA timezone; slots are returned as UTC instants.
+
+export const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Milliseconds the timezone is ahead of UTC at the given instant
+const offsetAt = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(instant);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+
+  const wallClockAsUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return wallClockAsUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * UTC instant of a wall-clock time in a timezone, e.g. zonedTimeToUtc("2026-03-02", 9 * 60, "Asia/Colombo")
+ * Times skipped by a DST change resolve to the instant after the gap.
+ */
+export const zonedTimeToUtc = (date, minutes, timeZone) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day) + minutes * MINUTE_MS;
+
+  const firstGuess = wallClock - offsetAt(new Date(wallClock), timeZone);
+  const corrected = wallClock - offsetAt(new Date(firstGuess), timeZone);
+  return new Date(Math.max(firstGuess, corrected));
+};
+
+// Calendar date (YYYY-MM-DD) of an instant in a timezone
+export const zonedDate = (instant, timeZone) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(instant);
+
+// Wall-clock time (HH:MM) of an instant in a timezone
+export const zonedTime = (instant, timeZone) =>
+  new Intl.DateTimeFormat("en-GB", { timeZone, hourCycle: "h23", hour: "2-digit", minute: "2-digit" }).format(instant);
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// Sort and merge overlapping or touching [start, end) intervals (ms timestamps)
+const mergeIntervals = (intervals) =>
+  [...intervals]
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, interval) => {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) last.end = Math.max(last.end, interval.end);
+      else merged.push({ ...interval });
+      return merged;
+    }, []);
+
+// Remove every busy interval from the free ones
+const subtractIntervals = (free, busy) =>
+  busy.reduce(
+    (remaining, b) =>
+      remaining.flatMap((f) => {
+        if (b.end <= f.start || b.start >= f.end) return [f];
+        return [
+          ...(b.start > f.start ? [{ start: f.start, end: b.start }] : []),
+          ...(b.end < f.end ? [{ start: b.end, end: f.end }] : []),
+        ];
+      }),
+    free,
+  );
+
+/**
+ * UTC interval a tutoring session occupies. Booked sessions store exact startsAt/endsAt instants.
+ * Otherwise schedule.date carries the day and startTime/endTime are wall-clock times in the
+ * tutor's timezone; sessions ending at or before their start time run past midnight.
+ */
+export const sessionInterval = (schedule, timeZone) => {
+  if (schedule.startsAt && schedule.endsAt) {
+    return { start: new Date(schedule.startsAt), end: new Date(schedule.endsAt) };
+  }
+
+  const date = new Date(schedule.date).toISOString().slice(0, 10);
+  const start = zonedTimeToUtc(date, toMinutes(schedule.startTime), timeZone);
+  let end = zonedTimeToUtc(date, toMinutes(schedule.endTime), timeZone);
+  if (end <= start) end = zonedTimeToUtc(addDays(date, 1), toMinutes(schedule.endTime), timeZone);
+  return { start, end };
+};
+
+/**
+ * Free bookable slots between `from` and `to`.
+ *
+ * @param {object} options
+ * @param {string} options.timeZone - IANA timezone the windows are expressed in
+ * @param {number} options.slotMinutes - Length of one slot
+ * @param {Array<{day: number, start: string, end: string}>} options.weekly - Recurring windows (day 0 = Sunday)
+ * @param {Array<{date: string, kind: "blocked"|"extra", start?: string, end?: string}>} [options.exceptions]
+ *   "blocked" without times blocks the whole day; with times it blocks that window. "extra" adds a window.
+ * @param {Array<{start: Date, end: Date}>} [options.busy] - Already booked time (sessions, bookings)
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+export const computeBookableSlots = ({ timeZone, slotMinutes, weekly, exceptions = [], busy = [], from, to }) => {
+  const rangeStart = from.getTime();
+  const rangeEnd = to.getTime();
+  const slotMs = slotMinutes * MINUTE_MS;
+
+  const open = [];
+  const blocked = [];
+  const toInterval = (date, start, end) => ({
+    start: zonedTimeToUtc(date, toMinutes(start), timeZone).getTime(),
+    end: zonedTimeToUtc(date, toMinutes(end), timeZone).getTime(),
+  });
+
+  // One day of margin on both sides: a local day can start before `from` in UTC
+  const lastDate = addDays(zonedDate(to, timeZone), 1);
+  for (let date = addDays(zonedDate(from, timeZone), -1); date <= lastDate; date = addDays(date, 1)) {
+    const dayExceptions = exceptions.filter((e) => e.date === date);
+    const dayOff = dayExceptions.some((e) => e.kind === "blocked" && !e.start);
+
+    if (!dayOff) {
+      weekly.filter((w) => w.day === weekdayOf(date)).forEach((w) => open.push(toInterval(date, w.start, w.end)));
+    }
+    dayExceptions.forEach((e) => {
+      if (e.kind === "extra") open.push(toInterval(date, e.start, e.end));
+      else if (e.start) blocked.push(toInterval(date, e.start, e.end));
+    });
+  }
+
+  const taken = [
+    ...blocked,
+    ...busy.map((b) => ({ start: new Date(b.start).getTime(), end: new Date(b.end).getTime() })),
+  ];
+  const free = subtractIntervals(mergeIntervals(open), mergeIntervals(taken));
+
+  const slots = [];
+  free.forEach(({ start, end }) => {
+    for (let slotStart = start; slotStart + slotMs <= end; slotStart += slotMs) {
+      if (slotStart >= rangeStart && slotStart + slotMs <= rangeEnd) {
+        slots.push({ start: new Date(slotStart), end: new Date(slotStart + slotMs) });
+      }
+    }
+  });
+  return slots;
+};
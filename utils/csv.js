@@ -0,0 +1,64 @@
+/**
+ * Minimal CSV helpers (RFC 4180 quoting)
+ */
+
+// Cells starting with these can be run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsvRow = (values) => values.map(escapeCsvValue).join(",");
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields with commas, doubled quotes and line breaks; skips blank lines.
+ */
+export const parseCsv = (text) => {
+  const input = String(text).replace(/^﻿/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some((value) => value.trim() !== "")) rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length) endRow();
+  return rows;
+};
@@ -1,7 +1,7 @@
 import jwt from 'jsonwebtoken';
 
-export const createJWT = (payload) => {
-    const token = jwt.sign(payload , process.env.JWT_SECRET , {expiresIn: process.env.JWT_EXPIRE_IN});
+export const createJWT = (payload, expiresIn = process.env.JWT_EXPIRE_IN) => {
+    const token = jwt.sign(payload , process.env.JWT_SECRET , {expiresIn});
     return token;
 };
 
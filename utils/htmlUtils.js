@@ -0,0 +1,12 @@
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escape user-supplied text (names, topics, notes) before it goes into an HTML email
+ */
+export const escapeHtml = (value) => String(value ?? "").replace(/[&<>"']/g, (ch) => HTML_ENTITIES[ch]);
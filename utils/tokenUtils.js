@@ -0,0 +1,17 @@
+import crypto from "crypto";
+
+/**
+ * Hash a raw token so only the digest is ever stored in the database
+ */
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+/**
+ * Generate a random URL-safe token together with its stored hash
+ * Returns: { token, hashedToken }
+ */
+export const createRandomToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString("hex");
+  return { token, hashedToken: hashToken(token) };
+};